@@ -0,0 +1,81 @@
+/**
+ * Batch manifests and ZIP entry names
+ *
+ * Every batch ZIP carries a manifest.json with one entry per input item,
+ * in input order, whether the item made it into the ZIP or not:
+ *
+ *   { index, id, filename, status, error, pages, bytes, durationMs }
+ *
+ * `id` is whatever the caller sent as the item's `id`; `filename` is the
+ * ZIP entry name the item was given, also for items that produced no file,
+ * so a caller can see which file is missing. `status` says whether it exists.
+ */
+
+const MANIFEST_NAME = 'manifest.json';
+
+const safeName = (value) => String(value).replace(/[^a-z0-9._-]+/gi, '_').replace(/^[._]+/, '').slice(0, 100);
+
+/**
+ * Decide a unique ZIP entry name for every item before rendering starts,
+ * so names never depend on which item finishes first. Items may ask for a
+ * `filename`; otherwise it is built from headerInfo.formName and user.
+ * Clashes get a -2, -3... suffix.
+ */
+const assignFilenames = (batch) => {
+  const used = new Set([MANIFEST_NAME]);
+
+  return batch.map((item, i) => {
+    const { filename, headerInfo = {} } = item || {};
+    const base = (filename
+      ? safeName(String(filename).replace(/\.pdf$/i, ''))
+      : `${safeName(headerInfo.formName || 'form')}_${safeName(headerInfo.user || `user-${i}`)}`) || `document-${i + 1}`;
+
+    let name = `${base}.pdf`;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}-${n}.pdf`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+};
+
+/**
+ * Track the outcome of each item. `record(index, status, error, details)`
+ * takes the same arguments as a batch onItem hook.
+ */
+const createManifest = (batch, filenames) => {
+  const items = batch.map((item, index) => ({
+    index,
+    id: item && item.id !== undefined ? item.id : null,
+    filename: filenames[index],
+    status: 'pending',
+    error: null,
+    pages: null,
+    bytes: null,
+    durationMs: null
+  }));
+
+  const record = (index, status, error, { pages = null, bytes = null, durationMs = null } = {}) => {
+    Object.assign(items[index], {
+      status,
+      error: error || null,
+      pages,
+      bytes,
+      durationMs
+    });
+  };
+
+  const count = (status) => items.filter(item => item.status === status).length;
+
+  const toJSON = () => ({
+    generatedAt: new Date().toISOString(),
+    total: items.length,
+    completed: count('completed'),
+    failed: count('failed'),
+    skipped: count('skipped'),
+    cancelled: count('cancelled'),
+    items
+  });
+
+  return { record, toJSON };
+};
+
+module.exports = { MANIFEST_NAME, assignFilenames, createManifest };
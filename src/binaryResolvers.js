@@ -0,0 +1,275 @@
+const { parseS3Uri, createS3ClientFromEnv } = require('./s3');
+const { networkPolicy } = require('./networkPolicy');
+const { logger } = require('./logger');
+
+/**
+ * Binary field resolvers (signatures, file inputs)
+ *
+ * Each field value is matched against a registry of resolvers that turn it
+ * into a data URI the page can paint. A resolver is picked by the caller's
+ * per-field hint (`fieldResolvers: { signature: 'http' }`) or, failing that,
+ * by the first resolver whose `match` accepts the value. Every failure is
+ * collected and returned so the response can report it.
+ *
+ *   registerBinaryResolver({
+ *     name: 'vault',
+ *     match: (value) => value.startsWith('vault://'),
+ *     resolve: async (value, ctx) => 'data:image/png;base64,...'
+ *   });
+ *
+ * `ctx` carries { field, domainName, limits, fetchLimited }.
+ */
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const LIMITS = {
+  timeoutMs: envInt('BINARY_FETCH_TIMEOUT_MS', 10000),
+  retries: envInt('BINARY_FETCH_RETRIES', 2),
+  maxBytes: envInt('BINARY_MAX_BYTES', 10 * 1024 * 1024)
+};
+
+const IMAGE_EXTENSIONS = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml'
+};
+
+const isHttpUrl = (value) => value.startsWith('http://') || value.startsWith('https://');
+
+const extensionType = (path) => IMAGE_EXTENSIONS[(path.split('.').pop() || '').toLowerCase()];
+
+// Errors that retrying cannot fix (size limits, 4xx, bad configuration)
+const permanentError = (message) => Object.assign(new Error(message), { retryable: false });
+
+/**
+ * Read a fetch Response body, failing once it grows past `maxBytes`
+ */
+const readLimited = async (response, maxBytes) => {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > maxBytes) {
+    throw permanentError(`Response is ${declared} bytes, over the ${maxBytes} byte limit`);
+  }
+
+  const chunks = [];
+  let total = 0;
+
+  for await (const chunk of response.body) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      throw permanentError(`Response exceeded the ${maxBytes} byte limit`);
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * fetch() with the resolver timeout, size limit and network policy applied.
+ * Resolves to { buffer, contentType }.
+ */
+const fetchLimited = async (url, init = {}, limits = LIMITS) => {
+  const response = await networkPolicy.safeFetch(url, { ...init, signal: AbortSignal.timeout(limits.timeoutMs) });
+
+  if (!response.ok) {
+    const message = `HTTP ${response.status} from ${new URL(url).host}`;
+    throw response.status >= 500 || response.status === 429 ? new Error(message) : permanentError(message);
+  }
+
+  return {
+    buffer: await readLimited(response, limits.maxBytes),
+    contentType: (response.headers.get('content-type') || '').split(';')[0].trim()
+  };
+};
+
+const toDataUri = (buffer, contentType) => `data:${contentType};base64,${buffer.toString('base64')}`;
+
+let s3Client;
+const getS3Client = () => {
+  if (s3Client === undefined) s3Client = createS3ClientFromEnv();
+  return s3Client;
+};
+
+const resolvers = [];
+
+const builtInResolvers = [
+  {
+    // Inline data URIs need no fetching, only a size check
+    name: 'dataUri',
+    match: (value) => value.startsWith('data:image/'),
+    resolve: async (value, { limits }) => {
+      const approxBytes = Math.floor((value.length - value.indexOf(',') - 1) * 3 / 4);
+      if (approxBytes > limits.maxBytes) {
+        throw permanentError(`Inline image is ~${approxBytes} bytes, over the ${limits.maxBytes} byte limit`);
+      }
+      return value;
+    }
+  },
+
+  {
+    // Legacy callback: the calling app exchanges an S3 URL for a data URI
+    name: 'displayS3Data',
+    match: (value, { domainName }) => Boolean(domainName) && isHttpUrl(value) && value.includes('amazonaws.com'),
+    resolve: async (value, { domainName, limits }) => {
+      if (!domainName) throw permanentError('domainName is required for the displayS3Data resolver');
+
+      const { buffer } = await fetchLimited(
+        `${domainName}/track/mgt?page=displayS3Data&pageName=formDataDisplay`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8'
+          },
+          body: new URLSearchParams({ txnID: value }).toString()
+        },
+        limits
+      );
+
+      const text = buffer.toString('utf8').trim();
+      if (!text.startsWith('data:')) {
+        throw permanentError('displayS3Data callback did not return a data URI');
+      }
+      return text;
+    }
+  },
+
+  {
+    // s3://bucket/key from the S3-compatible store configured via S3_* env vars
+    name: 's3',
+    match: (value) => value.startsWith('s3://'),
+    resolve: async (value, { limits }) => {
+      const location = parseS3Uri(value);
+      if (!location) throw permanentError(`Invalid S3 URI: ${value}`);
+
+      const client = getS3Client();
+      if (!client) throw permanentError('S3 resolver is not configured (set S3_ENDPOINT and credentials)');
+
+      let response;
+      try {
+        response = await client.getObject(location.bucket, location.key, { signal: AbortSignal.timeout(limits.timeoutMs) });
+      } catch (err) {
+        if (/HTTP 4\d\d/.test(err.message)) throw permanentError(err.message);
+        throw err;
+      }
+
+      const buffer = await readLimited(response, limits.maxBytes);
+      const headerType = (response.headers.get('content-type') || '').split(';')[0].trim();
+      const contentType = headerType.startsWith('image/') ? headerType : extensionType(location.key);
+      if (!contentType) throw permanentError(`s3://${location.bucket}/${location.key} is not an image`);
+
+      return toDataUri(buffer, contentType);
+    }
+  },
+
+  {
+    // Plain image URLs; other URLs are only fetched when hinted
+    name: 'http',
+    match: (value) => isHttpUrl(value) && Boolean(extensionType(new URL(value).pathname)),
+    resolve: async (value, { limits }) => {
+      if (!isHttpUrl(value)) throw permanentError('http resolver needs an http(s) URL');
+
+      const { buffer, contentType } = await fetchLimited(value, {}, limits);
+      const type = contentType.startsWith('image/') ? contentType : extensionType(new URL(value).pathname);
+      if (!type) throw permanentError(`Expected an image but got "${contentType || 'unknown'}"`);
+
+      return toDataUri(buffer, type);
+    }
+  }
+];
+
+/**
+ * Register a custom resolver. Custom resolvers are tried before built-ins.
+ */
+const registerBinaryResolver = ({ name, match, resolve }) => {
+  if (!name || typeof resolve !== 'function') {
+    throw new TypeError('A binary resolver needs a name and a resolve function');
+  }
+  resolvers.push({ name, match: match || (() => false), resolve });
+};
+
+const allResolvers = () => [...resolvers, ...builtInResolvers];
+
+const findResolver = (name) => allResolvers().find(r => r.name === name);
+
+const withRetries = async (fn, retries) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (err.retryable === false || err.code === 'ERR_URL_BLOCKED' || attempt >= retries) {
+        err.attempts = attempt + 1;
+        throw err;
+      }
+      await new Promise(resolve => setTimeout(resolve, 250 * 2 ** attempt));
+    }
+  }
+};
+
+const describeError = (err, limits) =>
+  err.name === 'TimeoutError' ? `Timed out after ${limits.timeoutMs}ms` : err.message;
+
+/**
+ * Resolve every binary field in `fields`. Non-string values and values no
+ * resolver claims are left alone.
+ * Resolves to { fieldData, binaryErrors: [{ field, resolver, error, attempts }] }.
+ */
+const resolveBinaryFields = async (fields = {}, { domainName, fieldResolvers = {}, limits = LIMITS } = {}) => {
+  const fieldData = {};
+  const binaryErrors = [];
+
+  await Promise.all(Object.entries(fields).map(async ([field, value]) => {
+    if (typeof value !== 'string' || value === '') return;
+
+    const ctx = { field, domainName, limits, fetchLimited: (url, init) => fetchLimited(url, init, limits) };
+    const hint = fieldResolvers[field];
+    if (hint === 'none') return;
+
+    const resolver = hint
+      ? findResolver(hint)
+      : allResolvers().find(r => {
+        try {
+          return r.match(value, ctx);
+        } catch {
+          return false;
+        }
+      });
+
+    if (!resolver) {
+      if (hint) binaryErrors.push({ field, resolver: hint, error: `Unknown resolver "${hint}"`, attempts: 0 });
+      return;
+    }
+
+    try {
+      fieldData[field] = await withRetries(() => resolver.resolve(value, ctx), limits.retries);
+    } catch (err) {
+      logger.warn('Binary fetch failed', { field, resolver: resolver.name, attempts: err.attempts || 1, error: err.message });
+      fieldData[field] = null;
+      binaryErrors.push({ field, resolver: resolver.name, error: describeError(err, limits), attempts: err.attempts || 1 });
+    }
+  }));
+
+  return { fieldData, binaryErrors };
+};
+
+/**
+ * Return an error message if `fieldResolvers` is unusable, else null
+ */
+const validateResolverOptions = ({ fieldResolvers } = {}) => {
+  if (fieldResolvers === undefined) return null;
+
+  if (typeof fieldResolvers !== 'object' || fieldResolvers === null || Array.isArray(fieldResolvers)) {
+    return 'fieldResolvers must be an object mapping field names to resolver names';
+  }
+
+  const names = [...allResolvers().map(r => r.name), 'none'];
+  const bad = Object.entries(fieldResolvers).find(([, name]) => !names.includes(name));
+  return bad ? `fieldResolvers.${bad[0]} must be one of: ${names.join(', ')}` : null;
+};
+
+module.exports = { LIMITS, registerBinaryResolver, resolveBinaryFields, validateResolverOptions, fetchLimited };
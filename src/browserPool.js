@@ -0,0 +1,255 @@
+const { logger } = require('./logger');
+
+/**
+ * Warm browser pool
+ *
+ * Keeps a set of long-lived Chrome instances around and hands out isolated
+ * incognito browser contexts per request. Browsers are recycled after a
+ * number of renders or once they pass an age limit, and replaced when Chrome
+ * dies underneath us.
+ */
+
+const createBrowserPool = ({
+  launch,
+  min = 1,
+  max = 2,
+  maxContextsPerBrowser = 5,
+  maxRenders = 100,
+  maxAgeMs = 30 * 60 * 1000,
+  acquireTimeoutMs = 60000,
+  maintenanceIntervalMs = 30000
+}) => {
+  const entries = new Set();
+  const waiters = [];
+  const totals = { launched: 0, recycled: 0, crashed: 0, leases: 0, launchFailures: 0 };
+
+  let launching = 0;
+  let nextId = 1;
+  let closed = false;
+  let maintenanceTimer = null;
+
+  const isExpired = (entry) =>
+    entry.renders >= maxRenders || Date.now() - entry.createdAt >= maxAgeMs;
+
+  const isAvailable = (entry) =>
+    !entry.retiring && entry.browser.connected && entry.active < maxContextsPerBrowser;
+
+  // Wake the oldest waiter so it can retry reserving a slot
+  const notify = () => {
+    const waiter = waiters.shift();
+    if (waiter) waiter.wake();
+  };
+
+  const spawn = async () => {
+    launching++;
+    try {
+      const browser = await launch();
+      const entry = {
+        id: nextId++,
+        browser,
+        createdAt: Date.now(),
+        renders: 0,
+        active: 0,
+        retiring: false
+      };
+
+      browser.on('disconnected', () => {
+        if (!entries.has(entry)) return;
+
+        // Chrome went away without us closing it
+        entries.delete(entry);
+        totals.crashed++;
+        logger.error('Browser disconnected unexpectedly, replacing it', { browserId: entry.id });
+        ensureMin();
+        notify();
+      });
+
+      entries.add(entry);
+      totals.launched++;
+      return entry;
+    } catch (err) {
+      totals.launchFailures++;
+      throw err;
+    } finally {
+      launching--;
+    }
+  };
+
+  const retire = async (entry) => {
+    if (!entries.has(entry)) return;
+    entries.delete(entry);
+    totals.recycled++;
+
+    await entry.browser.close().catch(err => logger.error('Error closing browser', { browserId: entry.id, err }));
+
+    ensureMin();
+    notify();
+  };
+
+  const ensureMin = () => {
+    while (!closed && entries.size + launching < min) {
+      spawn()
+        .then(notify)
+        .catch(err => logger.error('Failed to launch pooled browser', { err }));
+    }
+  };
+
+  const maintain = () => {
+    for (const entry of entries) {
+      if (!entry.retiring && isExpired(entry)) entry.retiring = true;
+      if (entry.retiring && entry.active === 0) retire(entry);
+    }
+    ensureMin();
+  };
+
+  const waitForSlot = (deadline) =>
+    new Promise((resolve, reject) => {
+      const remaining = deadline - Date.now();
+      const waiter = {
+        wake: () => {
+          clearTimeout(timer);
+          resolve();
+        },
+        fail: (err) => {
+          clearTimeout(timer);
+          reject(err);
+        }
+      };
+
+      const timer = setTimeout(() => {
+        const index = waiters.indexOf(waiter);
+        if (index !== -1) waiters.splice(index, 1);
+        reject(new Error(`Timeout waiting for a browser from the pool after ${acquireTimeoutMs}ms`));
+      }, Math.max(remaining, 0));
+
+      waiters.push(waiter);
+    });
+
+  // Pick the least busy browser, launching a new one if we are below max
+  const reserveEntry = async () => {
+    const deadline = Date.now() + acquireTimeoutMs;
+
+    while (true) {
+      if (closed) throw new Error('Browser pool is shut down');
+
+      const candidates = [...entries].filter(isAvailable);
+      if (candidates.length > 0) {
+        const entry = candidates.reduce((a, b) => (b.active < a.active ? b : a));
+        entry.active++;
+        return entry;
+      }
+
+      if (entries.size + launching < max) {
+        const entry = await spawn();
+        entry.active++;
+        return entry;
+      }
+
+      await waitForSlot(deadline);
+    }
+  };
+
+  const releaseEntry = (entry) => {
+    entry.active--;
+    entry.renders++;
+
+    if (!entry.retiring && isExpired(entry)) entry.retiring = true;
+
+    if (entry.retiring && entry.active === 0) {
+      retire(entry);
+    } else {
+      notify();
+    }
+  };
+
+  /**
+   * Lease an isolated incognito context. Callers must call `release()` when
+   * done, which closes the context and returns the slot to the pool.
+   */
+  const acquire = async () => {
+    const entry = await reserveEntry();
+
+    let context;
+    try {
+      context = await entry.browser.createBrowserContext();
+    } catch (err) {
+      entry.active--;
+      entry.retiring = true;
+      if (entry.active === 0) retire(entry);
+      throw err;
+    }
+
+    totals.leases++;
+    let released = false;
+
+    return {
+      browser: entry.browser,
+      context,
+      release: async () => {
+        if (released) return;
+        released = true;
+
+        await context.close().catch(() => { });
+        releaseEntry(entry);
+      }
+    };
+  };
+
+  /**
+   * Warm up the minimum number of browsers and start periodic recycling
+   */
+  const start = () => {
+    ensureMin();
+
+    if (!maintenanceTimer) {
+      maintenanceTimer = setInterval(maintain, maintenanceIntervalMs);
+      maintenanceTimer.unref();
+    }
+  };
+
+  /**
+   * Close every browser and reject anyone still waiting for a slot
+   */
+  const drain = async () => {
+    closed = true;
+    clearInterval(maintenanceTimer);
+
+    for (const waiter of waiters.splice(0)) {
+      waiter.fail(new Error('Browser pool is shut down'));
+    }
+
+    const all = [...entries];
+    entries.clear();
+    await Promise.all(all.map(entry => entry.browser.close().catch(() => { })));
+  };
+
+  const stats = () => {
+    const browsers = [...entries].map(entry => ({
+      id: entry.id,
+      pid: entry.browser.process()?.pid ?? null,
+      connected: entry.browser.connected,
+      activeContexts: entry.active,
+      renders: entry.renders,
+      ageMs: Date.now() - entry.createdAt,
+      retiring: entry.retiring
+    }));
+
+    return {
+      min,
+      max,
+      maxContextsPerBrowser,
+      maxRenders,
+      maxAgeMs,
+      size: entries.size,
+      launching,
+      activeContexts: browsers.reduce((sum, b) => sum + b.activeContexts, 0),
+      waiting: waiters.length,
+      browsers,
+      totals: { ...totals }
+    };
+  };
+
+  return { acquire, start, drain, stats };
+};
+
+module.exports = { createBrowserPool };
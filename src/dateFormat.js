@@ -0,0 +1,169 @@
+/**
+ * Date / time formatting for form fields
+ *
+ * Values are formatted server-side so the result never depends on the
+ * container's local time zone. Supported tokens:
+ *
+ *   YYYY YY         year            MMMM MMM MM   month name / short / number
+ *   DD              day of month    dddd ddd      weekday name / short
+ *   HH hh           hour (24 / 12)  mm ss         minutes / seconds
+ *   A               AM / PM         [text]        literal text
+ *
+ * For plain `date` fields the legacy lowercase spellings keep working:
+ * `yyyy`, `yy`, `dd` and `mm` (month), so "dd/mm/yyyy" still means a date.
+ */
+
+const DATE_KINDS = ['date', 'datetime', 'time'];
+
+const DEFAULT_FORMATS = {
+  date: 'DD/MM/YYYY',
+  datetime: 'DD/MM/YYYY HH:mm',
+  time: 'HH:mm'
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const NAIVE_DATETIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/;
+const TIME_ONLY = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+const TOKENS = /\[([^\]]*)\]|YYYY|yyyy|YY|yy|MMMM|MMM|MM|dddd|ddd|DD|dd|HH|hh|mm|ss|A/g;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Check an IANA time zone name (e.g. "America/Chicago")
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant as seen in `timeZone`
+const zonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Parts read straight from a string, or null when one is out of range (2024-02-31, 25:00)
+const checkedParts = (parts) => {
+  const { year, month, day, hour, minute, second } = parts;
+  const valid = month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(year, month) &&
+    hour <= 23 && minute <= 59 && second <= 59;
+  return valid ? parts : null;
+};
+
+/**
+ * Turn a raw field value into wall-clock parts, or null if it isn't a date.
+ * Calendar dates and naive date-times are taken as-is; instants (epoch
+ * numbers, strings with Z or an offset) are converted into `timeZone`.
+ */
+const parseValue = (value, timeZone) => {
+  if (typeof value === 'number') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : zonedParts(date, timeZone);
+  }
+
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const raw = value.trim();
+
+  let m = raw.match(DATE_ONLY);
+  if (m) return checkedParts({ year: +m[1], month: +m[2], day: +m[3], hour: 0, minute: 0, second: 0 });
+
+  m = raw.match(NAIVE_DATETIME);
+  if (m) return checkedParts({ year: +m[1], month: +m[2], day: +m[3], hour: +m[4], minute: +m[5], second: +(m[6] || 0) });
+
+  m = raw.match(TIME_ONLY);
+  if (m) return checkedParts({ year: 1970, month: 1, day: 1, hour: +m[1], minute: +m[2], second: +(m[3] || 0) });
+
+  const date = new Date(raw);
+  return isNaN(date.getTime()) ? null : zonedParts(date, timeZone);
+};
+
+/**
+ * Format `value` for a field of `kind` ('date' | 'datetime' | 'time').
+ * Unparseable values are returned unchanged.
+ */
+const formatDateValue = (value, format, { kind = 'date', timeZone = 'UTC' } = {}) => {
+  if (!format || typeof format !== 'string') return value;
+
+  const parts = parseValue(value, timeZone);
+  if (!parts) return value;
+
+  const { year, month, day, hour, minute, second } = parts;
+  const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+  const hour12 = hour % 12 === 0 ? 12 : hour % 12;
+
+  return format.replace(TOKENS, (token, literal) => {
+    if (literal !== undefined) return literal;
+
+    switch (token) {
+      case 'YYYY': case 'yyyy': return String(year);
+      case 'YY': case 'yy': return String(year).slice(-2);
+      case 'MMMM': return MONTHS[month - 1];
+      case 'MMM': return MONTHS[month - 1].slice(0, 3);
+      case 'MM': return pad(month);
+      case 'dddd': return weekday;
+      case 'ddd': return weekday.slice(0, 3);
+      case 'DD': case 'dd': return pad(day);
+      case 'HH': return pad(hour);
+      case 'hh': return pad(hour12);
+      case 'mm': return kind === 'date' ? pad(month) : pad(minute);
+      case 'ss': return pad(second);
+      case 'A': return hour < 12 ? 'AM' : 'PM';
+      default: return token;
+    }
+  });
+};
+
+/**
+ * Return an error message if the date options of a payload are unusable, else null
+ */
+const validateDateOptions = ({ fieldTypes, timeZone, dateDisplayFormat, dateTimeDisplayFormat, timeDisplayFormat } = {}) => {
+  if (fieldTypes !== undefined) {
+    if (typeof fieldTypes !== 'object' || fieldTypes === null || Array.isArray(fieldTypes)) {
+      return 'fieldTypes must be an object mapping field names to types';
+    }
+    const bad = Object.entries(fieldTypes).find(([, type]) => typeof type !== 'string');
+    if (bad) return `fieldTypes.${bad[0]} must be a string`;
+  }
+
+  if (timeZone !== undefined && (typeof timeZone !== 'string' || !isValidTimeZone(timeZone))) {
+    return 'timeZone must be a valid IANA time zone (e.g. "America/Chicago")';
+  }
+
+  const formats = { dateDisplayFormat, dateTimeDisplayFormat, timeDisplayFormat };
+  const badFormat = Object.entries(formats).find(([, f]) => f !== undefined && typeof f !== 'string');
+  if (badFormat) return `${badFormat[0]} must be a string`;
+
+  return null;
+};
+
+module.exports = { DATE_KINDS, DEFAULT_FORMATS, isValidTimeZone, formatDateValue, validateDateOptions };
@@ -0,0 +1,84 @@
+const { logger } = require('./logger');
+
+/**
+ * Per-render page diagnostics
+ *
+ * Collects what the page said and what went wrong while it loaded: console
+ * messages, uncaught page errors, failed requests and HTTP error responses.
+ * Everything is also logged at debug level under the current request ID.
+ * Callers opt in to receiving it with `diagnostics: true`.
+ */
+
+const MAX_ENTRIES = 50;
+const MAX_TEXT = 1000;
+
+const trim = (text) => (text.length > MAX_TEXT ? `${text.slice(0, MAX_TEXT)}…` : text);
+
+// Query strings often carry tokens; keep them out of logs and responses
+const stripQuery = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'data:') return 'data:…';
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch {
+    return trim(url);
+  }
+};
+
+/**
+ * Start collecting diagnostics for `page`. Returns the live
+ * { console, errors, failedRequests, truncated } object. `redact` scrubs
+ * caller secrets from page text before it is kept or logged.
+ */
+const capturePageDiagnostics = (page, fields = {}, { redact = (text) => text } = {}) => {
+  const diagnostics = { console: [], errors: [], failedRequests: [], truncated: false };
+
+  const record = (list, entry, msg) => {
+    logger.debug(msg, { ...fields, ...entry });
+    if (list.length < MAX_ENTRIES) {
+      list.push(entry);
+    } else {
+      diagnostics.truncated = true;
+    }
+  };
+
+  page.on('console', (message) => {
+    const location = message.location();
+    record(diagnostics.console, {
+      type: message.type(),
+      text: trim(redact(message.text())),
+      ...(location && location.url && { source: `${stripQuery(location.url)}:${location.lineNumber ?? 0}` })
+    }, 'page console');
+  });
+
+  page.on('pageerror', (err) => {
+    record(diagnostics.errors, { message: trim(redact(err.message || String(err))) }, 'page error');
+  });
+
+  page.on('requestfailed', (request) => {
+    record(diagnostics.failedRequests, {
+      url: stripQuery(request.url()),
+      resourceType: request.resourceType(),
+      error: request.failure()?.errorText || 'failed'
+    }, 'page request failed');
+  });
+
+  page.on('response', (response) => {
+    if (response.status() < 400) return;
+    record(diagnostics.failedRequests, {
+      url: stripQuery(response.url()),
+      resourceType: response.request().resourceType(),
+      status: response.status()
+    }, 'page request failed');
+  });
+
+  return diagnostics;
+};
+
+/**
+ * Return an error message if the `diagnostics` option is unusable, else null
+ */
+const validateDiagnosticsOption = ({ diagnostics } = {}) =>
+  diagnostics === undefined || typeof diagnostics === 'boolean' ? null : 'diagnostics must be a boolean';
+
+module.exports = { stripQuery, capturePageDiagnostics, validateDiagnosticsOption };
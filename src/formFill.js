@@ -0,0 +1,371 @@
+const { DATE_KINDS, DEFAULT_FORMATS, formatDateValue } = require('./dateFormat');
+
+/**
+ * Form-fill engine shared by every PDF route
+ *
+ * Fields are filled inside the page by per-type handlers. Custom handlers can
+ * be registered per field type or name pattern and take precedence over the
+ * built-in ones. Handlers run in the browser, so they must be self-contained
+ * arrow or function expressions that only use their arguments:
+ *
+ *   registerFieldHandler({
+ *     types: ['text'],
+ *     namePattern: /^phone_/,
+ *     fill: (el, value, ctx) => { ctx.setValue(el, String(value).replace(/\D/g, '')); }
+ *   });
+ *
+ * `ctx` carries { name, type, declared, elements, setValue, notify, isTruthy }.
+ * `type` is the caller's declared type from `fieldTypes` when there is one
+ * (`declared` is then true), otherwise the element's own type. A handler
+ * returning `false` leaves the field untouched and falls through.
+ */
+
+const customHandlers = [];
+
+/**
+ * Register a custom fill handler. `types` are field types as reported by the
+ * engine ('text', 'select', 'select-multiple', 'radio', 'checkbox',
+ * 'textarea', 'contenteditable', input types...).
+ */
+const registerFieldHandler = ({ types, namePattern, fill }) => {
+  if (!types && !namePattern) {
+    throw new TypeError('A field handler needs types and/or a namePattern');
+  }
+
+  if (typeof fill !== 'function') {
+    throw new TypeError('fill must be a function');
+  }
+
+  const source = fill.toString();
+  try {
+    // Make sure the source can be shipped to the page as an expression
+    new Function(`return (${source});`);
+  } catch {
+    throw new TypeError('fill must be an arrow or function expression');
+  }
+
+  customHandlers.push({
+    types: types ? [].concat(types) : null,
+    namePattern: namePattern ? { source: namePattern.source, flags: namePattern.flags } : null,
+    source
+  });
+};
+
+/**
+ * Runs in the page. Fills `fields`, paints binary data (file inputs and
+ * signature canvases) and returns which fields were filled or missing.
+ */
+const browserFillForm = async ({ fields, fieldTypes, fieldData, pageWidth }, customHandlers) => {
+
+  const waitImage = (img, timeout = 15000) =>
+    new Promise(resolve => {
+      const done = () => resolve();
+
+      if (img.complete) return done();
+
+      const t = setTimeout(done, timeout);
+      img.onload = () => { clearTimeout(t); done(); };
+      img.onerror = () => { clearTimeout(t); done(); };
+    });
+
+  const isTruthy = (value) =>
+    value === true || ['true', 'yes', 'on', '1'].includes(String(value).trim().toLowerCase());
+
+  const toList = (value) =>
+    Array.isArray(value)
+      ? value.map(v => String(v))
+      : String(value ?? '').split(',').map(v => v.trim()).filter(Boolean);
+
+  // Frameworks (React, Vue) listen for these to sync their own state
+  const notify = (el) => {
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  // React overrides the `value` setter on controlled inputs; calling the
+  // prototype setter makes it notice the change on the next input event
+  const setValue = (el, value) => {
+    const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), 'value');
+    if (descriptor && descriptor.set) {
+      descriptor.set.call(el, value);
+    } else {
+      el.value = value;
+    }
+    notify(el);
+  };
+
+  // Click so framework handlers run, then force the state if a handler vetoed it
+  const setChecked = (el, checked) => {
+    if (el.checked !== checked) el.click();
+    if (el.checked !== checked) {
+      el.checked = checked;
+      notify(el);
+    }
+  };
+
+  const fieldTypeOf = (el) => {
+    if (el.tagName === 'SELECT') return el.multiple ? 'select-multiple' : 'select';
+    if (el.tagName === 'TEXTAREA') return 'textarea';
+    if (el.tagName === 'INPUT') return (el.type || 'text').toLowerCase();
+    if (el.isContentEditable || ['', 'true'].includes(el.getAttribute('contenteditable'))) return 'contenteditable';
+    return 'value' in el ? 'text' : 'unknown';
+  };
+
+  const findElements = (name) => {
+    const byName = [...document.querySelectorAll(`[name="${CSS.escape(name)}"]`)];
+    if (byName.length > 0) return byName;
+
+    const byId = document.getElementById(name);
+    return byId ? [byId] : [];
+  };
+
+  // Reuse a real option when one matches by value or label, else add one
+  const ensureOption = (select, value) => {
+    const options = [...select.options];
+    const existing = options.find(o => o.value === value) || options.find(o => o.text.trim() === value);
+    if (existing) return existing;
+
+    const option = new Option(value, value);
+    select.add(option);
+    return option;
+  };
+
+  const builtInHandlers = [
+    // IMPORTANT: never set value for file inputs (browser security restriction)
+    { types: ['file'], fill: () => { } },
+
+    {
+      // Values arrive already formatted server-side
+      types: ['date', 'datetime', 'time'],
+      fill: (el, value, { declared }) => {
+        if (!declared || el.tagName !== 'INPUT') return false;
+        // Force type to text so the browser doesn't use its internal US-format display
+        el.type = 'text';
+        setValue(el, value ?? '');
+      }
+    },
+
+    {
+      types: ['radio'],
+      fill: (el, value, { elements }) => {
+        const radios = elements.filter(r => r.type === 'radio');
+        const wanted = String(value ?? '').trim().toLowerCase();
+        const match = radios.find(r => r.value.trim().toLowerCase() === wanted);
+
+        if (match) {
+          setChecked(match, true);
+        } else if (radios.length === 1) {
+          // Lone radio used as a yes/no flag
+          setChecked(radios[0], isTruthy(value));
+        }
+      }
+    },
+
+    {
+      types: ['checkbox'],
+      fill: (el, value, { elements }) => {
+        const boxes = elements.filter(b => b.type === 'checkbox');
+
+        if (boxes.length === 1) {
+          const box = boxes[0];
+          const ownValue = box.getAttribute('value');
+          setChecked(box, isTruthy(value) || (ownValue !== null && ownValue !== 'on' && ownValue === String(value)));
+          return;
+        }
+
+        const wanted = toList(value);
+        boxes.forEach(box => setChecked(box, wanted.includes(box.value)));
+      }
+    },
+
+    {
+      types: ['select'],
+      fill: (el, value) => {
+        const option = ensureOption(el, String(value ?? ''));
+        option.selected = true;
+        notify(el);
+      }
+    },
+
+    {
+      types: ['select-multiple'],
+      fill: (el, value) => {
+        const wanted = toList(value);
+        wanted.forEach(v => ensureOption(el, v));
+        [...el.options].forEach(o => {
+          o.selected = wanted.includes(o.value) || wanted.includes(o.text.trim());
+        });
+        notify(el);
+      }
+    },
+
+    {
+      types: ['textarea'],
+      fill: (el, value) => {
+        setValue(el, value ?? '');
+        el.textContent = value ?? '';
+        // Ensure text wraps properly in PDF
+        el.style.whiteSpace = 'pre-wrap';
+        el.style.wordBreak = 'break-word';
+        el.style.wordWrap = 'break-word';
+      }
+    },
+
+    {
+      types: ['contenteditable'],
+      fill: (el, value) => {
+        el.textContent = value ?? '';
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+    },
+
+    {
+      fill: (el, value) => {
+        if (!('value' in el)) return false;
+        setValue(el, value ?? '');
+      }
+    }
+  ];
+
+  const handlers = [
+    ...customHandlers.map(h => ({
+      ...h,
+      namePattern: h.namePattern ? new RegExp(h.namePattern.source, h.namePattern.flags) : null
+    })),
+    ...builtInHandlers
+  ];
+
+  const matches = (handler, name, type) =>
+    (!handler.types || handler.types.includes(type)) &&
+    (!handler.namePattern || handler.namePattern.test(name));
+
+  const filled = [];
+  const missing = [];
+
+  // Fill form fields
+  for (const [name, value] of Object.entries(fields)) {
+    const elements = findElements(name);
+    if (elements.length === 0) {
+      missing.push(name);
+      continue;
+    }
+
+    const el = elements[0];
+    const declared = Boolean(fieldTypes[name]);
+    const type = fieldTypes[name] || fieldTypeOf(el);
+    const ctx = { name, type, declared, elements, setValue, notify, isTruthy };
+
+    for (const handler of handlers) {
+      if (!matches(handler, name, type)) continue;
+      if (handler.fill(el, value, ctx) !== false) break;
+    }
+
+    filled.push(name);
+  }
+
+  // File inputs → images
+  const fileInputs = [...document.querySelectorAll('input[type="file"]')];
+
+  for (const input of fileInputs) {
+    const key = input.name;
+    const data = fieldData[key];
+    if (!data || !data.startsWith('data:image')) continue;
+
+    input.style.display = 'none';
+
+    const img = new Image();
+    img.src = data;
+    await waitImage(img);
+
+    const scale = Math.min(1, pageWidth / img.width);
+    const canvas = document.createElement('canvas');
+    canvas.width = img.width * scale;
+    canvas.height = img.height * scale;
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    input.after(canvas);
+  }
+
+  // Signature canvases
+  const sigCanvases = [...document.querySelectorAll('canvas[name]')];
+
+  for (const canvas of sigCanvases) {
+    const key = canvas.getAttribute('name');
+    const data = fieldData[key];
+    if (!data) continue;
+
+    const img = new Image();
+    img.src = data;
+    await waitImage(img);
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  }
+
+  // Ensure textarea values are visible in PDF
+  document.querySelectorAll('textarea').forEach(el => {
+    el.style.height = 'auto';
+    // Set height to match the internal content height
+    el.style.height = (el.scrollHeight) + 'px';
+  });
+
+  return { filled, missing };
+};
+
+/**
+ * Resolve each field's declared type. Explicit `fieldTypes` win; otherwise a
+ * name containing "date" is still treated as a date for older callers.
+ */
+const resolveFieldTypes = (fields, fieldTypes = {}) => {
+  const types = {};
+
+  for (const name of Object.keys(fields)) {
+    if (fieldTypes[name]) {
+      types[name] = fieldTypes[name];
+    } else if (name.toLowerCase().includes('date')) {
+      types[name] = 'date';
+    }
+  }
+
+  return types;
+};
+
+/**
+ * Fill a page's form fields and binary fields. Date, datetime and time fields
+ * are formatted here, in `timeZone`, before they reach the page.
+ * Resolves to { filled, missing }.
+ */
+const fillForm = (page, {
+  fields = {},
+  fieldTypes,
+  fieldData = {},
+  dateDisplayFormat = DEFAULT_FORMATS.date,
+  dateTimeDisplayFormat = DEFAULT_FORMATS.datetime,
+  timeDisplayFormat = DEFAULT_FORMATS.time,
+  timeZone = 'UTC',
+  pageWidth
+}) => {
+  const types = resolveFieldTypes(fields, fieldTypes);
+  const formats = { date: dateDisplayFormat, datetime: dateTimeDisplayFormat, time: timeDisplayFormat };
+
+  const values = {};
+  for (const [name, value] of Object.entries(fields)) {
+    const kind = types[name];
+    values[name] = DATE_KINDS.includes(kind) && value !== null && value !== undefined
+      ? formatDateValue(value, formats[kind], { kind, timeZone })
+      : value;
+  }
+
+  const args = JSON.stringify({ fields: values, fieldTypes: types, fieldData, pageWidth });
+  const handlers = customHandlers
+    .map(h => `{ types: ${JSON.stringify(h.types)}, namePattern: ${JSON.stringify(h.namePattern)}, fill: (${h.source}) }`)
+    .join(',\n');
+
+  // Evaluated as a string so custom handler sources travel with the engine
+  return page.evaluate(`(${browserFillForm.toString()})(${args}, [${handlers}])`);
+};
+
+module.exports = { registerFieldHandler, resolveFieldTypes, fillForm };
@@ -1,16 +1,39 @@
 const express = require('express');
 const puppeteer = require('puppeteer-core');
-const rateLimit = require('express-rate-limit');
-const archiver = require('archiver');
-const pLimit = require('p-limit');
+const { createBrowserPool } = require('./browserPool');
+const { createRenderer, createZipArchive } = require('./render');
+const { ACTIVE_STATUSES, FINAL_STATUSES, createJobManager, createMemoryJobStore } = require('./jobs');
+const {
+  validateUrl, validatePdfPayload, validateScreenshotPayload, validatePdfBase64Payload, validateBatchPayload,
+  normalizeBatchPayload
+} = require('./validation');
+const { RESPONSE_TYPES, resolveResponseType, sendRendered } = require('./responses');
+const { createTenantRegistryFromEnv, parseTrustProxy } = require('./tenants');
+const { createMetrics } = require('./metrics');
+const { logger, requestLogger } = require('./logger');
+const { createApi, jsonResponse, ERROR_RESPONSE } = require('./openapi');
+const { validateCallbackOptions, createWebhookSenderFromEnv } = require('./webhooks');
+const { createFileStoreFromEnv } = require('./storage');
+const { createRenderCacheFromEnv, matchesEtag } = require('./renderCache');
+const { loadPluginsFromEnv } = require('./plugins');
+
+// Custom field handlers and binary resolvers from PLUGINS
+loadPluginsFromEnv();
 
 const app = express();
 
-const fetch = global.fetch || require('node-fetch');
-app.set('trust proxy', true);
+// Routes registered through `api` are validated and listed in /openapi.json
+const api = createApi(app, { title: 'Puppeteer Fargate Service', version: '1.0.0' });
+
+// Only trust X-Forwarded-For from known proxies, otherwise clients can pick their own IP
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 
 const PORT = process.env.PORT || 3000;
 
+const metrics = createMetrics();
+
+app.use(requestLogger);
+app.use(metrics.httpMiddleware);
 app.use(express.json({ limit: '50mb' }));
 
 // Security headers middleware
@@ -21,33 +44,40 @@ app.use((req, res, next) => {
   next();
 });
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100,
-  message: {
-    error: 'Too many requests from this IP, please try again later.'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
+/**
+ * API keys, per-tenant rate limits and quotas
+ */
+const tenants = createTenantRegistryFromEnv();
 
-// Apply rate limiting to screenshot and PDF endpoints
-app.use('/screenshot', limiter);
-app.use('/pdf', limiter);
+// Every route that renders (or reads rendered output) needs a key and counts against its tenant
+app.use(['/screenshot', '/pdf', '/connector-pdf', '/pdf-batch', '/jobs', '/test'], tenants.authenticate, tenants.limit);
 
 /**
- * URL validation utility
+ * Apply the tenant's batch size, domain and quota limits to a validated
+ * request. Sends the rejection and returns false when it may not proceed.
  */
-const validateUrl = (url) => {
-  try {
-    const parsedUrl = new URL(url);
-    return ['http:', 'https:'].includes(parsedUrl.protocol);
-  } catch {
+const admitTenant = (req, res, payloads, options) => {
+  const rejection = tenants.admit(req.tenant, payloads, options);
+  if (rejection) {
+    res.status(rejection.status).json({ error: rejection.error });
     return false;
   }
+  return true;
 };
 
+/**
+ * Base of absolute links handed to other systems (callbacks, stored files).
+ * Never taken from the request's Host header, which the caller controls.
+ */
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL ? process.env.PUBLIC_BASE_URL.replace(/\/+$/, '') : null;
+if (PUBLIC_BASE_URL && !validateUrl(PUBLIC_BASE_URL)) throw new Error('PUBLIC_BASE_URL must be an http(s) URL');
+
+/**
+ * Storage for `store: true` batch output, downloaded via signed /files links
+ */
+const fileStore = createFileStoreFromEnv();
+if (fileStore && !PUBLIC_BASE_URL) throw new Error('STORAGE_BACKEND needs PUBLIC_BASE_URL for download links');
+
 /**
  * Puppeteer configuration
  */
@@ -65,27 +95,230 @@ const launchBrowser = async () => {
       '--disable-dev-shm-usage',
       '--disable-gpu',
       '--window-size=1920x1080',
-      '--single-process',
-      '--no-zygote',
       '--disable-accelerated-2d-canvas',
-      '--disable-web-security',
       '--disable-features=site-per-process'
     ]
   });
 };
 
+/**
+ * Shared pool of warm browsers, leased out as incognito contexts per request
+ */
+const browserPool = createBrowserPool({
+  launch: launchBrowser,
+  min: parseInt(process.env.BROWSER_POOL_MIN, 10) || 1,
+  max: parseInt(process.env.BROWSER_POOL_MAX, 10) || 2,
+  maxContextsPerBrowser: parseInt(process.env.BROWSER_POOL_MAX_CONTEXTS, 10) || 5,
+  maxRenders: parseInt(process.env.BROWSER_MAX_RENDERS, 10) || 100,
+  maxAgeMs: parseInt(process.env.BROWSER_MAX_AGE_MS, 10) || 30 * 60 * 1000,
+  acquireTimeoutMs: parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT_MS, 10) || 60000
+});
+
+/**
+ * Render cache for /pdf and /connector-pdf (RENDER_CACHE=memory|disk)
+ */
+const renderCache = createRenderCacheFromEnv();
+
+const renderer = createRenderer({ browserPool, metrics, renderCache });
+
+// Cached renders are per tenant; noCache or Cache-Control: no-cache forces a fresh one
+const cacheOptions = (req) => ({
+  scope: req.tenant.id,
+  refresh: req.body.noCache === true || /no-cache|no-store/i.test(req.get('cache-control') || '')
+});
+
+/**
+ * Set ETag and X-Cache for a render. Sends 304 and returns true when the
+ * client's If-None-Match already names this document.
+ */
+const sendNotModified = (req, res, cache) => {
+  if (!cache) return false;
+
+  res.setHeader('ETag', cache.etag);
+  res.setHeader('X-Cache', cache.status);
+  if (!matchesEtag(req.get('if-none-match'), cache.etag)) return false;
+
+  res.status(304).end();
+  return true;
+};
+
+/**
+ * Job runner for the single-document routes, reporting progress as item 0
+ */
+const singlePdfRunner = (render) => ({
+  validate: validatePdfPayload,
+  run: async (payload, { onItem, signal }) => {
+    onItem(0, 'running');
+
+    let rendered;
+    try {
+      rendered = await render(payload, { signal });
+    } catch (err) {
+      if (signal.aborted) onItem(0, 'cancelled');
+      else onItem(0, 'failed', err.message);
+      throw err;
+    }
+
+    onItem(0, 'completed', null, rendered.report);
+    return {
+      data: rendered.pdf,
+      contentType: 'application/pdf',
+      filename: `document-${Date.now()}.pdf`,
+      report: rendered.report
+    };
+  }
+});
+
+/**
+ * Async render jobs. Each runner accepts the same payload as its sync route.
+ */
+const jobManager = createJobManager({
+  store: createMemoryJobStore(),
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+  ttlMs: parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000,
+  onFinished: (job) => deliverJobWebhook(job),
+  runners: {
+    'pdf': singlePdfRunner(renderer.renderPdf),
+    'connector-pdf': singlePdfRunner(renderer.renderConnectorPdf),
+    'pdf-batch': {
+      validate: validateBatchPayload,
+      itemCount: (payload) => normalizeBatchPayload(payload).items.length,
+      run: async (payload, hooks) => {
+        const { items, output, pageNumbering, encryption, failOnError } = normalizeBatchPayload(payload);
+
+        if (output === 'merged') {
+          const { pdf, manifest } = await renderer.renderBatchMerged(items, {
+            ...hooks,
+            continuousPageNumbers: pageNumbering === 'continuous',
+            encryption,
+            failOnError
+          });
+          return { data: pdf, contentType: 'application/pdf', filename: `batch-documents-${Date.now()}.pdf`, report: manifest };
+        }
+
+        const { zip, manifest } = await renderer.renderBatchZip(items, { ...hooks, failOnError });
+        return { data: zip, contentType: 'application/zip', filename: `batch-documents-${Date.now()}.zip`, report: manifest };
+      }
+    }
+  }
+});
+
+metrics.watch({ browserPool, jobManager, renderCache });
+
+/**
+ * Job callbacks: when a job with a callbackUrl finishes, POST a signed
+ * summary to it (see webhooks.js). Completed jobs carry a download link,
+ * plus the file itself as base64 when callbackContent is "content" and it
+ * fits under WEBHOOK_MAX_INLINE_BYTES.
+ */
+const webhooks = createWebhookSenderFromEnv();
+const WEBHOOK_MAX_INLINE_BYTES = parseInt(process.env.WEBHOOK_MAX_INLINE_BYTES, 10) || 10 * 1024 * 1024;
+
+const webhookSecretFor = (tenantId) => tenants.webhookSecretFor(tenantId) || process.env.WEBHOOK_SECRET || null;
+
+const buildWebhookPayload = async (job) => {
+  const { items, ...totals } = job.progress;
+  const payload = {
+    event: `job.${job.status}`,
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    durationMs: job.startedAt && job.finishedAt ? Date.parse(job.finishedAt) - Date.parse(job.startedAt) : null,
+    totals,
+    error: job.error,
+    report: job.report || null,
+    result: null
+  };
+
+  if (job.status === 'completed') {
+    payload.result = { ...job.result, url: `${job.webhook.baseUrl}/jobs/${job.id}/result`, expiresAt: job.expiresAt };
+
+    if (job.webhook.content === 'content' && job.result.size <= WEBHOOK_MAX_INLINE_BYTES) {
+      const stored = await jobManager.getResult(job.id);
+      if (stored) payload.result.data = stored.data.toString('base64');
+    }
+  }
+
+  return payload;
+};
+
+const deliverJobWebhook = async (job) => {
+  if (!job.webhook) return;
+
+  const secret = webhookSecretFor(job.tenantId);
+  if (!secret) {
+    logger.error('Webhook not sent: no signing secret configured', { jobId: job.id });
+    await jobManager.recordWebhook(job.id, { status: 'failed' });
+    return;
+  }
+
+  await jobManager.recordWebhook(job.id, { status: 'delivering' });
+  const status = await webhooks.deliver({
+    url: job.webhook.url,
+    secret,
+    payload: await buildWebhookPayload(job),
+    onAttempt: (attempt) => jobManager.recordWebhook(job.id, { status: 'delivering', attempt })
+  });
+  await jobManager.recordWebhook(job.id, { status });
+};
+
+// Jobs are only visible to the tenant that submitted them
+const findTenantJob = async (req) => {
+  const job = await jobManager.get(req.params.id);
+  return job && job.tenantId === req.tenant.id ? job : null;
+};
+
 /**
  * Health check endpoint
  */
-app.get('/health', (req, res) => {
+api.get('/health', {
+  operationId: 'health',
+  summary: 'Service, browser pool and job queue status',
+  responses: { 200: jsonResponse('Healthy') }
+}, (req, res) => {
   res.status(200).json({
     status: 'healthy',
     service: 'puppeteer-fargate',
     timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    version: '1.0.0',
+    browserPool: browserPool.stats(),
+    jobs: jobManager.stats(),
+    storage: fileStore ? fileStore.stats() : null,
+    renderCache: renderCache ? renderCache.stats() : null
   });
 });
 
+/**
+ * Prometheus metrics
+ */
+api.get('/metrics', {
+  operationId: 'metrics',
+  summary: 'Prometheus metrics',
+  responses: { 200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+}, async (req, res) => {
+  try {
+    res.setHeader('Content-Type', metrics.contentType);
+    res.status(200).end(await metrics.metricsText());
+  } catch (err) {
+    logger.error('Metrics collection failed', { err });
+    res.status(500).json({ error: 'Failed to collect metrics', message: err.message });
+  }
+});
+
+/**
+ * OpenAPI document for every route registered through `api`
+ */
+api.get('/openapi.json', {
+  operationId: 'openapi',
+  summary: 'This API as an OpenAPI 3.1 document',
+  responses: { 200: jsonResponse('OpenAPI document') }
+}, (req, res) => {
+  res.status(200).json(api.openapi());
+});
+
 /**
  * Root endpoint
  */
@@ -93,77 +326,77 @@ app.get('/', (req, res) => {
   res.status(200).json({
     service: 'Puppeteer Fargate Service',
     version: '1.0.0',
-    endpoints: {
-      health: 'GET /health',
-      test: 'GET /test',
-      screenshot: 'POST /screenshot',
-      pdf: 'POST /pdf'
-    }
+    endpoints: api.endpoints()
   });
 });
 
 /**
  * Screenshot endpoint with improved error handling
  */
-app.post('/screenshot', async (req, res) => {
-  const { url, fullPage = true, quality, type = 'png' } = req.body;
-
-  // Validate URL
-  if (!url || !validateUrl(url)) {
-    return res.status(400).json({
-      error: 'Valid URL is required (must include http:// or https://)'
-    });
+api.post('/screenshot', {
+  operationId: 'screenshot',
+  summary: 'Capture a page, element or region as PNG, JPEG or WebP',
+  body: 'ScreenshotRequest',
+  auth: 'apiKey',
+  responses: {
+    200: {
+      description: 'JSON with a base64 image by default, or the image for responseType binary',
+      content: {
+        'application/json': { schema: { $ref: '#/components/schemas/RenderedJson' } },
+        'image/*': { schema: { type: 'string', format: 'binary' } }
+      }
+    },
+    422: ERROR_RESPONSE,
+    500: ERROR_RESPONSE
   }
+}, async (req, res) => {
+  const { url, type = 'png' } = req.body;
 
-  let browser;
-  try {
-    browser = await launchBrowser();
-    const page = await browser.newPage();
-
-    // Set viewport
-    await page.setViewport({ width: 1920, height: 1080 });
-
-    // Navigate to URL
-    await page.goto(url, {
-      waitUntil: 'networkidle2',
-      timeout: 30000
-    });
-
-    // Configure screenshot options
-    const screenshotOptions = {
-      encoding: 'base64',
-      fullPage: fullPage,
-      type: type
-    };
-
-    // Add quality for JPEG
-    if (type === 'jpeg' && quality) {
-      screenshotOptions.quality = Math.min(Math.max(quality, 0), 100);
-    }
+  const validationError = validateScreenshotPayload(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
 
-    const screenshot = await page.screenshot(screenshotOptions);
+  const mimeType = `image/${type}`;
+  const responseType = resolveResponseType(req, { mimeType, defaultType: 'base64' });
+  if (!responseType) {
+    return res.status(400).json({ error: `responseType must be one of: ${RESPONSE_TYPES.join(', ')}` });
+  }
 
-    await browser.close();
+  if (!admitTenant(req, res, [req.body])) return;
 
-    res.status(200).json({
-      success: true,
-      url: url,
-      screenshot: screenshot,
-      format: type,
-      timestamp: new Date().toISOString()
+  try {
+    const { screenshot, report } = await renderer.renderScreenshot(req.body);
+
+    sendRendered(res, responseType, {
+      data: screenshot,
+      mimeType,
+      filename: `screenshot-${Date.now()}.${type}`,
+      field: 'screenshot',
+      disposition: 'inline',
+      extra: { url: url, format: type },
+      report
     });
 
   } catch (error) {
-    if (browser && browser.process() != null) {
-      await browser.close().catch(e => console.error('Error closing browser:', e));
-    }
-
-    console.error('Screenshot error:', error);
+    logger.error('Screenshot failed', { err: error });
 
     let statusCode = 500;
     let errorMessage = 'Failed to capture screenshot';
 
-    if (error.message.includes('net::ERR_CONNECTION_REFUSED') ||
+    if (error.code === 'ERR_URL_BLOCKED') {
+      statusCode = error.statusCode;
+      errorMessage = 'URL is blocked by the network policy';
+    } else if (error.code === 'ERR_HOST_UNRESOLVED') {
+      statusCode = 400;
+      errorMessage = 'Cannot connect to the URL or domain not found';
+    } else if (error.code === 'ERR_SELECTOR_NOT_FOUND') {
+      statusCode = 422;
+      errorMessage = 'Element not found';
+    } else if (error.code === 'ERR_WAIT_TIMEOUT') {
+      statusCode = 408;
+      errorMessage = 'Page did not become ready';
+    } else if (error.message.includes('net::ERR_CONNECTION_REFUSED') ||
       error.message.includes('net::ERR_NAME_NOT_RESOLVED')) {
       statusCode = 400;
       errorMessage = 'Cannot connect to the URL or domain not found';
@@ -178,6 +411,8 @@ app.post('/screenshot', async (req, res) => {
     res.status(statusCode).json({
       error: errorMessage,
       message: error.message,
+      ...(error.wait && { wait: error.wait }),
+      ...(req.body.diagnostics === true && error.diagnostics && { diagnostics: error.diagnostics }),
       timestamp: new Date().toISOString()
     });
   }
@@ -186,985 +421,610 @@ app.post('/screenshot', async (req, res) => {
 /**
  * PDF generation endpoint
  */
-app.post('/pdf', async (req, res) => {
-
-  let browser;
-
+api.post('/pdf', {
+  operationId: 'pdf',
+  summary: 'Render a filled form or page to PDF',
+  body: 'PdfRequest',
+  auth: 'apiKey',
+  responses: {
+    200: {
+      description: 'The PDF (binary), or JSON for responseType base64 / dataUri',
+      content: {
+        'application/pdf': { schema: { type: 'string', format: 'binary' } },
+        'application/json': { schema: { $ref: '#/components/schemas/RenderedJson' } }
+      }
+    },
+    304: { description: 'Not modified: If-None-Match names the cached render' },
+    500: ERROR_RESPONSE
+  }
+}, async (req, res) => {
   try {
-    const { html, url, domainName, dateDisplayFormat = "DD/MM/YYYY", headerInfo = {}, fields = {} } = req.body;
-
-    if (!html && !url) {
-      return res.status(400).json({ error: 'Missing html or url' });
+    const validationError = validatePdfPayload(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    if (url && !validateUrl(url)) {
-      return res.status(400).json({ error: 'Valid URL is required (http/https)' });
+    const responseType = resolveResponseType(req, { mimeType: 'application/pdf', defaultType: 'binary' });
+    if (!responseType) {
+      return res.status(400).json({ error: `responseType must be one of: ${RESPONSE_TYPES.join(', ')}` });
     }
 
-    /* -------------------------------------------------------
-       FETCH BINARY DATA (SIGNATURES / FILE INPUTS)
-    ------------------------------------------------------- */
-    const fieldData = {};
-
-    for (const key of Object.keys(fields)) {
-      const data = fields[key];
-      if (!data) continue;
-
-      if ((data.includes('amazonaws.com')) && (data.startsWith('http://') || data.startsWith('https://'))) {
-        try {
-          const response = await fetch(
-            `${domainName}/track/mgt?page=displayS3Data&pageName=formDataDisplay`,
-            {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8'
-              },
-              body: new URLSearchParams({ txnID: data }).toString()
-            }
-          );
-          fieldData[key] = await response.text();
-        } catch (err) {
-          console.error('Binary fetch failed for:', key, err);
-          fieldData[key] = null;
-        }
-      }
-    }
+    if (!admitTenant(req, res, [req.body])) return;
 
-    /* -------------------------------------------------------
-       LAUNCH PUPPETEER
-    ------------------------------------------------------- */
-    browser = await launchBrowser();
-
-    const page = await browser.newPage();
-    page.on('console', msg => console.log('PAGE:', msg.text()));
-
-    if (url) {
-      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
-    } else {
-      await page.setContent(html, { waitUntil: 'domcontentloaded' });
-    }
+    const { pdf, report, cache } = await renderer.renderPdf(req.body, { cache: cacheOptions(req) });
+    if (sendNotModified(req, res, cache)) return;
 
-    /* -------------------------------------------------------
-       WAIT FOR LOADERS / SPINNERS TO DISAPPEAR
-    ------------------------------------------------------- */
-    await page.evaluate(async () => {
-      const waitFor = (fn, timeout = 30000) =>
-        new Promise((resolve, reject) => {
-          const start = Date.now();
-          const timer = setInterval(() => {
-            if (fn()) {
-              clearInterval(timer);
-              resolve();
-            }
-            if (Date.now() - start > timeout) {
-              clearInterval(timer);
-              reject('Timeout waiting for UI');
-            }
-          }, 300);
-        });
-
-      await waitFor(() => {
-        const spinner =
-          document.querySelector('.loading') ||
-          document.querySelector('.spinner') ||
-          document.querySelector('[class*="loading"]') ||
-          document.querySelector('[class*="spinner"]') ||
-          document.querySelector('[aria-busy="true"]');
-
-        return !spinner || spinner.offsetParent === null;
-      });
+    sendRendered(res, responseType, {
+      data: pdf,
+      mimeType: 'application/pdf',
+      filename: `document-${Date.now()}.pdf`,
+      field: 'pdf',
+      report
     });
 
-    /* -------------------------------------------------------
-       LET UI STABILIZE
-    ------------------------------------------------------- */
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    await page.evaluate(() => document.body.offsetHeight);
-
-    /* -------------------------------------------------------
-       PRINT CSS (CRITICAL)
-    ------------------------------------------------------- */
-    await page.emulateMediaType('print');
-
-    await page.addStyleTag({
-      content: `
-        body { margin:0; padding:0; background:white; }
-        table { width:100%; border-collapse:collapse; page-break-inside:auto; }
-        tr { page-break-inside:avoid; }
-        thead { display:table-header-group; }
-        canvas { display:block; page-break-inside:avoid; }
-        .loading, .spinner { display:none !important; }
-        `
+  } catch (err) {
+    logger.error('PDF generation failed', { err });
+    res.status(err.statusCode || 500).json({
+      error: 'PDF generation failed',
+      message: err.message,
+      ...(err.wait && { wait: err.wait }),
+      ...(req.body.diagnostics === true && err.diagnostics && { diagnostics: err.diagnostics })
     });
+  }
+});
 
-    const PDF_MARGIN = 40;
-    const PAGE_WIDTH = 595 - 2 * PDF_MARGIN;
-    const PAGE_HEIGHT = 842 - 2 * PDF_MARGIN;
-
-    /* -------------------------------------------------------
-       FILL FIELDS + RENDER FILES & SIGNATURES (SYNC SAFE)
-    ------------------------------------------------------- */
-    await page.evaluate(async (fields, fieldData, dateDisplayFormat, PAGE_WIDTH, PAGE_HEIGHT) => {
-
-      const waitImage = (img, timeout = 15000) =>
-        new Promise(resolve => {
-          const done = () => resolve();
-
-          if (img.complete) return done();
-
-          const t = setTimeout(done, timeout);
-          img.onload = () => { clearTimeout(t); done(); };
-          img.onerror = () => { clearTimeout(t); done(); };
-        });
-
-      // HELPER: Simple Date Formatter
-      const formatDataValue = (rawVal, fmt) => {
-        if (!fmt || typeof fmt !== 'string') return rawVal;
-        const d = new Date(rawVal);
-        if (isNaN(d.getTime())) return rawVal; // Return original if not a valid date
-
-        const dd = String(d.getDate()).padStart(2, '0');
-        const mm = String(d.getMonth() + 1).padStart(2, '0');
-        const yyyy = d.getFullYear();
-        const yy = String(yyyy).slice(-2);
-
-        // Replace tokens in the format string
-        return fmt
-          .replace(/YYYY/g, yyyy)
-          .replace(/yyyy/g, yyyy)
-          .replace(/YY/g, yy)
-          .replace(/yy/g, yy)
-          .replace(/MM/g, mm)
-          .replace(/mm/g, mm)
-          .replace(/DD/g, dd)
-          .replace(/dd/g, dd); // Handle lowercase dd too
-      };
-
-      // Fill form fields
-      for (const [name, value] of Object.entries(fields)) {
-        const el = document.querySelector(`[name="${name}"]`) || document.getElementById(name);
-        if (!el) continue;
-
-
-        // IMPORTANT: never set value for file inputs (browser security restriction)
-        if (el.tagName === 'INPUT' && el.type === 'file') {
-          continue;
-        }
-        if (name.toLowerCase().includes('date')) {
-          // Force type to text so the browser doesn't use its internal US-format display
-          el.type = 'text';
-          // Convert the raw date to the requested format
-          el.value = formatDataValue(value ?? '', dateDisplayFormat);
-          continue;
-        }
-        if (el.tagName === 'SELECT') {
-          el.innerHTML = `<option selected>${value}</option>`;
-        } else if (el.type === 'checkbox' || el.type === 'radio') {
-          el.checked = value === true || value === 'Yes' || value === 'true' || value === 'On' || value === 'on' || value === 'yes';
-        } else if (el.tagName === 'TEXTAREA') {
-          el.value = value ?? '';
-          el.innerHTML = value ?? '';
-          // Ensure text wraps properly in PDF
-          el.style.whiteSpace = 'pre-wrap';
-          el.style.wordBreak = 'break-word';
-          el.style.wordWrap = 'break-word';
-        } else if ('value' in el) {
-          el.value = value ?? '';
-        }
+/**
+ * 
+ * Testing endpoint for generating pdf on connector only
+ */
+api.post('/connector-pdf', {
+  operationId: 'connectorPdf',
+  summary: 'Render a connector form to PDF',
+  body: 'PdfRequest',
+  auth: 'apiKey',
+  responses: {
+    200: {
+      description: 'The PDF (binary), or JSON for responseType base64 / dataUri',
+      content: {
+        'application/pdf': { schema: { type: 'string', format: 'binary' } },
+        'application/json': { schema: { $ref: '#/components/schemas/RenderedJson' } }
       }
+    },
+    304: { description: 'Not modified: If-None-Match names the cached render' },
+    500: ERROR_RESPONSE
+  }
+}, async (req, res) => {
+  try {
+    const validationError = validatePdfPayload(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
 
-      // File inputs → images
-      const fileInputs = [...document.querySelectorAll('input[type="file"]')];
-
-      for (const input of fileInputs) {
-        const key = input.name;
-        const data = fieldData[key];
-        if (!data || !data.startsWith('data:image')) continue;
+    const responseType = resolveResponseType(req, { mimeType: 'application/pdf', defaultType: 'binary' });
+    if (!responseType) {
+      return res.status(400).json({ error: `responseType must be one of: ${RESPONSE_TYPES.join(', ')}` });
+    }
 
-        input.style.display = 'none';
+    if (!admitTenant(req, res, [req.body])) return;
 
-        const img = new Image();
-        img.src = data;
-        await waitImage(img);
+    const { pdf, report, cache } = await renderer.renderConnectorPdf(req.body, { cache: cacheOptions(req) });
+    if (sendNotModified(req, res, cache)) return;
 
-        const scale = Math.min(1, PAGE_WIDTH / img.width);
-        const canvas = document.createElement('canvas');
-        canvas.width = img.width * scale;
-        canvas.height = img.height * scale;
+    sendRendered(res, responseType, {
+      data: pdf,
+      mimeType: 'application/pdf',
+      filename: `document-${Date.now()}.pdf`,
+      field: 'pdf',
+      report
+    });
 
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  } catch (err) {
+    logger.error('PDF generation failed', { err });
+    res.status(err.statusCode || 500).json({
+      error: 'PDF generation failed',
+      message: err.message,
+      ...(err.wait && { wait: err.wait }),
+      ...(req.body.diagnostics === true && err.diagnostics && { diagnostics: err.diagnostics })
+    });
+  }
+});
 
-        input.after(canvas);
+/**
+ * Batch PDF generation endpoint (returns a ZIP file, or one merged PDF).
+ * With `store: true` the output is saved and a signed download link returned.
+ */
+api.post('/pdf-batch', {
+  operationId: 'pdfBatch',
+  summary: 'Render many documents into one ZIP or one merged PDF',
+  body: 'BatchRequest',
+  auth: 'apiKey',
+  responses: {
+    200: {
+      description: 'ZIP of the rendered PDFs, or the merged PDF for output "merged"; a download link with store: true',
+      content: {
+        'application/zip': { schema: { type: 'string', format: 'binary' } },
+        'application/pdf': { schema: { type: 'string', format: 'binary' } },
+        'application/json': { schema: { $ref: '#/components/schemas/StoredBatch' } }
       }
+    },
+    422: ERROR_RESPONSE,
+    500: ERROR_RESPONSE
+  }
+}, async (req, res) => {
+  try {
+    const validationError = validateBatchPayload(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
 
-      // Signature canvases
-      const sigCanvases = [...document.querySelectorAll('canvas[name]')];
+    const { items: batch, output, pageNumbering, encryption, failOnError, store } = normalizeBatchPayload(req.body);
 
-      for (const canvas of sigCanvases) {
-        const key = canvas.getAttribute('name');
-        const data = fieldData[key];
-        if (!data) continue;
+    if (store && !fileStore) {
+      return res.status(400).json({ error: 'store needs file storage to be configured (STORAGE_BACKEND)' });
+    }
 
-        const img = new Image();
-        img.src = data;
-        await waitImage(img);
+    if (!admitTenant(req, res, batch, { batch: true })) return;
 
-        const ctx = canvas.getContext('2d');
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-      }
+    const sendStored = async (data, contentType, filename, manifest) => {
+      const file = await fileStore.save(data, { contentType, filename });
+      res.status(200).json({
+        success: true,
+        file: { ...file, url: `${PUBLIC_BASE_URL}${file.url}` },
+        manifest
+      });
+    };
 
-      // ✅ FIX: Ensure textarea values are visible in PDF
-      const textareas = document.querySelectorAll('textarea');
-      textareas.forEach(el => {
-        /* const div = document.createElement('div');
-         div.textContent = el.value || '';
-
-         div.style.whiteSpace = 'pre-wrap';
-         div.style.wordBreak = 'break-word';
-         div.style.width = '100%';
-         div.style.fontSize = window.getComputedStyle(el).fontSize;
-         div.style.fontFamily = window.getComputedStyle(el).fontFamily; */
-
-        el.style.height = 'auto';
-        // Set height to match the internal content height
-        el.style.height = (el.scrollHeight) + 'px';
-        // el.replaceWith(div);
+    if (output === 'merged') {
+      // Merging needs every document first, so nothing can be streamed
+      const { pdf, manifest } = await renderer.renderBatchMerged(batch, {
+        continuousPageNumbers: pageNumbering === 'continuous',
+        encryption,
+        failOnError
       });
 
-    }, fields, fieldData, dateDisplayFormat, PAGE_WIDTH, PAGE_HEIGHT);
+      if (store) return sendStored(pdf, 'application/pdf', `batch-documents-${Date.now()}.pdf`, manifest);
+
+      return sendRendered(res, 'binary', {
+        data: pdf,
+        mimeType: 'application/pdf',
+        filename: `batch-documents-${Date.now()}.pdf`,
+        // Indexes of the items missing from the packet, by status
+        report: ['failed', 'skipped', 'cancelled'].reduce((missing, status) => ({
+          ...missing,
+          [status]: manifest.items.filter(item => item.status === status).map(item => item.index)
+        }), {})
+      });
+    }
+
+    if (failOnError || store) {
+      // A failure has to become an error response, so the ZIP is built before anything is sent
+      const { zip, manifest } = await renderer.renderBatchZip(batch, { failOnError });
+      if (store) return sendStored(zip, 'application/zip', `batch-documents-${Date.now()}.zip`, manifest);
+
+      return sendRendered(res, 'binary', {
+        data: zip,
+        mimeType: 'application/zip',
+        filename: `batch-documents-${Date.now()}.zip`
+      });
+    }
 
     /* -------------------------------------------------------
-       FINAL WAIT (VERY IMPORTANT)
+       INITIALIZE ZIP STREAM IMMEDIATELY
     ------------------------------------------------------- */
-    await new Promise(resolve => setTimeout(resolve, 500));
+    // Set headers for ZIP download right away
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="batch-documents-${Date.now()}.zip"`);
 
+    const archive = createZipArchive();
+
+    // Pipe archive data directly to the HTTP response
+    archive.pipe(res);
+
+    await renderer.renderBatchToArchive(batch, archive);
 
     /* -------------------------------------------------------
-       GENERATE PDF
+       FINALIZE THE STREAM
     ------------------------------------------------------- */
-    const pdf = await page.pdf({
-      format: 'A4',
-      printBackground: true,
-      preferCSSPageSize: true,
-      margin: { top: '70px', bottom: '60px', left: '40px', right: '40px' },
-      displayHeaderFooter: true,
-      headerTemplate: `<div style="
-  width:100%;
-  font-family: Arial, sans-serif;
-  font-size:10px;
-  color:#333;
-  padding:6px 40px;
-  box-sizing:border-box;
-">
-  
-  <table style="width:100%; border-bottom:1px solid #e5e7eb; padding-bottom:6px;">
-    <tr>
-      <td style="text-align:left; vertical-align:middle;">
-        <div style="font-size:11px; color:#6b7280;">
-          
-          <span style="font-weight:550;">Form Name:</span>
-          <span style="font-weight:500;">${headerInfo?.formName || 'N/A'}</span>
-
-          <span style="font-weight:550;">&nbsp;&nbsp; User:</span>
-          <span style="font-weight:500;">${headerInfo?.user || 'N/A'}</span>
-
-          <span style="font-weight:550;">&nbsp;&nbsp; Time:</span>
-          <span style="font-weight:500;">${headerInfo?.date || 'N/A'}</span>
-
-          <span style="font-weight:550;">&nbsp;&nbsp; Location:</span>
-          <span style="font-weight:500;">${headerInfo?.location || 'N/A'}</span>
-
-        </div>    
-      </td>
-    </tr>
-  </table>
-
-</div>`,
-      footerTemplate: `
-        <div style="font-size:10px;width:100%;text-align:center;">
-          Page <span class="pageNumber"></span> of <span class="totalPages"></span>
-        </div>`
-    });
-
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="document-${Date.now()}.pdf"`);
-    res.status(200).end(pdf);
+    // This finishes the ZIP stream and safely closes the HTTP connection
+    await archive.finalize();
 
   } catch (err) {
-    console.error('PDF ERROR:', err);
-    res.status(500).json({ error: 'PDF generation failed', message: err.message });
-  } finally {
-    if (browser) await browser.close();
+    logger.error('Batch PDF generation failed', { err });
+    if (!res.headersSent) {
+      res.status(err.statusCode || 500).json({
+        error: 'Batch PDF generation failed',
+        message: err.message,
+        ...(err.manifest && { manifest: err.manifest })
+      });
+    }
   }
 });
 
+
 /**
- * 
- * Testing endpoint for generating pdf on connector only
+ * Download a stored file through its signed link
  */
-app.post('/connector-pdf', async (req, res) => {
-
-  let browser;
-
+api.get('/files/:id', {
+  operationId: 'downloadFile',
+  summary: 'Download stored output through a signed, expiring link',
+  responses: {
+    200: { description: 'The stored file', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+    403: ERROR_RESPONSE,
+    404: ERROR_RESPONSE,
+    410: ERROR_RESPONSE
+  }
+}, async (req, res) => {
   try {
-    const { html, url, domainName, dateDisplayFormat = "DD/MM/YYYY", headerInfo = {}, fields = {} } = req.body;
+    if (!fileStore) {
+      return res.status(404).json({ error: 'File storage is not configured' });
+    }
 
-    if (!html && !url) {
-      return res.status(400).json({ error: 'Missing html or url' });
+    const rejection = fileStore.verify(req.params.id, req.query);
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
     }
 
-    if (url && !validateUrl(url)) {
-      return res.status(400).json({ error: 'Valid URL is required (http/https)' });
+    const file = await fileStore.open(req.params.id);
+    if (!file) {
+      return res.status(410).json({ error: 'File has expired or was removed' });
     }
 
-    /* -------------------------------------------------------
-       FETCH BINARY DATA (SIGNATURES / FILE INPUTS)
-    ------------------------------------------------------- */
-    const fieldData = {};
-
-    for (const key of Object.keys(fields)) {
-      const data = fields[key];
-      if (!data) continue;
-
-      if ((data.includes('amazonaws.com')) && (data.startsWith('http://') || data.startsWith('https://'))) {
-        try {
-          const response = await fetch(
-            `${domainName}/track/mgt?page=displayS3Data&pageName=formDataDisplay`,
-            {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8'
-              },
-              body: new URLSearchParams({ txnID: data }).toString()
-            }
-          );
-          fieldData[key] = await response.text();
-        } catch (err) {
-          console.error('Binary fetch failed for:', key, err);
-          fieldData[key] = null;
-        }
+    const { meta, stream } = file;
+    res.setHeader('Content-Type', meta.contentType);
+    res.setHeader('Content-Length', meta.size);
+    res.setHeader('Content-Disposition', `attachment; filename="${meta.filename}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    stream.on('error', (err) => {
+      logger.error('Stored file stream failed', { fileId: req.params.id, err });
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to read stored file', message: err.message });
+      } else {
+        res.destroy(err);
       }
-    }
+    });
+    stream.pipe(res);
 
-    /* -------------------------------------------------------
-       LAUNCH PUPPETEER
-    ------------------------------------------------------- */
-    browser = await launchBrowser();
+  } catch (err) {
+    logger.error('Stored file download failed', { err });
+    res.status(500).json({ error: 'Failed to read stored file', message: err.message });
+  }
+});
 
-    const page = await browser.newPage();
-    page.on('console', msg => console.log('PAGE:', msg.text()));
+/**
+ * Async job submission: { type: 'pdf' | 'connector-pdf' | 'pdf-batch', payload }
+ * where payload is exactly what the matching sync route accepts, plus an
+ * optional callbackUrl / callbackContent for a signed webhook when it finishes
+ */
+api.post('/jobs', {
+  operationId: 'createJob',
+  summary: 'Queue a pdf, connector-pdf or pdf-batch render',
+  body: 'JobRequest',
+  auth: 'apiKey',
+  responses: { 202: jsonResponse('Job accepted', 'JobAccepted'), 500: ERROR_RESPONSE }
+}, async (req, res) => {
+  try {
+    const { type, payload, callbackUrl, callbackContent = 'reference' } = req.body;
 
-    if (url) {
-      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
-    } else {
-      await page.setContent(html, { waitUntil: 'domcontentloaded' });
+    const validationError = jobManager.validate(type, payload) || validateCallbackOptions(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    /* -------------------------------------------------------
-       WAIT FOR LOADERS / SPINNERS TO DISAPPEAR
-    ------------------------------------------------------- */
-    await page.evaluate(async () => {
-      const waitFor = (fn, timeout = 30000) =>
-        new Promise((resolve, reject) => {
-          const start = Date.now();
-          const timer = setInterval(() => {
-            if (fn()) {
-              clearInterval(timer);
-              resolve();
-            }
-            if (Date.now() - start > timeout) {
-              clearInterval(timer);
-              reject('Timeout waiting for UI');
-            }
-          }, 300);
-        });
-
-      await waitFor(() => {
-        const spinner =
-          document.querySelector('.loading') ||
-          document.querySelector('.spinner') ||
-          document.querySelector('[class*="loading"]') ||
-          document.querySelector('[class*="spinner"]') ||
-          document.querySelector('[aria-busy="true"]');
-
-        return !spinner || spinner.offsetParent === null;
-      });
-    });
+    if (callbackUrl && !webhookSecretFor(req.tenant.id)) {
+      return res.status(400).json({ error: 'callbackUrl needs a webhook signing secret (WEBHOOK_SECRET or the tenant\'s webhookSecret)' });
+    }
 
-    /* -------------------------------------------------------
-       LET UI STABILIZE
-    ------------------------------------------------------- */
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    await page.evaluate(() => document.body.offsetHeight);
+    if (callbackUrl && !PUBLIC_BASE_URL) {
+      return res.status(400).json({ error: 'callbackUrl needs PUBLIC_BASE_URL to be configured for result links' });
+    }
 
-    /* -------------------------------------------------------
-       PRINT CSS (CRITICAL)
-    ------------------------------------------------------- */
-    await page.emulateMediaType('print');
-
-    await page.addStyleTag({
-      content: `
-        body { margin:0; padding:0; background:white !important; }
-        table { width:100%; border-collapse:collapse; page-break-inside:auto; }
-        tr { page-break-inside:avoid; }
-        thead { display:table-header-group; }
-        canvas { display:block; page-break-inside:avoid; }
-        .loading, .spinner { display:none !important; }
-        @page {
-          margin-top: 70px; /* Matches the margin in page.pdf */
-          margin-bottom: 60px;
-        }
-        input[value="Done"], 
-        input[value="done"],
-        button[value="Done"] {
-          display:none !important;
-        }
-          `
-    });
+    const isBatch = type === 'pdf-batch';
+    if (!admitTenant(req, res, isBatch ? normalizeBatchPayload(payload).items : [payload], { batch: isBatch })) return;
 
-    const PDF_MARGIN = 40;
-    const PAGE_WIDTH = 595 - 2 * PDF_MARGIN;
-    const PAGE_HEIGHT = 842 - 2 * PDF_MARGIN;
+    const webhook = callbackUrl
+      ? { url: callbackUrl, content: callbackContent, baseUrl: PUBLIC_BASE_URL }
+      : null;
+    const job = await jobManager.submit(type, payload, { tenantId: req.tenant.id, webhook });
 
-    /* -------------------------------------------------------
-       FILL FIELDS + RENDER FILES & SIGNATURES (SYNC SAFE)
-    ------------------------------------------------------- */
-    await page.evaluate(async (fields, fieldData, dateDisplayFormat, PAGE_WIDTH, PAGE_HEIGHT) => {
-
-      const waitImage = (img, timeout = 15000) =>
-        new Promise(resolve => {
-          const done = () => resolve();
-
-          if (img.complete) return done();
-
-          const t = setTimeout(done, timeout);
-          img.onload = () => { clearTimeout(t); done(); };
-          img.onerror = () => { clearTimeout(t); done(); };
-        });
-
-      // HELPER: Simple Date Formatter
-      const formatDataValue = (rawVal, fmt) => {
-        if (!fmt || typeof fmt !== 'string') return rawVal;
-        const d = new Date(rawVal);
-        if (isNaN(d.getTime())) return rawVal; // Return original if not a valid date
-
-        const dd = String(d.getDate()).padStart(2, '0');
-        const mm = String(d.getMonth() + 1).padStart(2, '0');
-        const yyyy = d.getFullYear();
-        const yy = String(yyyy).slice(-2);
-
-        // Replace tokens in the format string
-        return fmt
-          .replace(/YYYY/g, yyyy)
-          .replace(/yyyy/g, yyyy)
-          .replace(/YY/g, yy)
-          .replace(/yy/g, yy)
-          .replace(/MM/g, mm)
-          .replace(/mm/g, mm)
-          .replace(/DD/g, dd)
-          .replace(/dd/g, dd); // Handle lowercase dd too
-      };
-
-      // Fill form fields
-      for (const [name, value] of Object.entries(fields)) {
-        const el = document.querySelector(`[name="${name}"]`) || document.getElementById(name);
-        if (!el) continue;
-
-
-        // IMPORTANT: never set value for file inputs (browser security restriction)
-        if (el.tagName === 'INPUT' && el.type === 'file') {
-          continue;
-        }
-        if (name.toLowerCase().includes('date') || name.toLowerCase().includes('date')) {
-          // Force type to text so the browser doesn't use its internal US-format display
-          el.type = 'text';
-          // Convert the raw date to the requested format
-          el.value = formatDataValue(value ?? '', dateDisplayFormat);
-          continue;
-        }
-        if (el.tagName === 'SELECT') {
-          el.innerHTML = `<option selected>${value}</option>`;
-        } else if (el.type === 'checkbox' || el.type === 'radio') {
-          el.checked = value === true || value === 'Yes' || value === 'true' || value === 'On' || value === 'on' || value === 'yes';
-        } else if (el.tagName === 'TEXTAREA') {
-          el.value = value ?? '';
-          el.innerHTML = value ?? '';
-          // Ensure text wraps properly in PDF
-          el.style.whiteSpace = 'pre-wrap';
-          el.style.wordBreak = 'break-word';
-          el.style.wordWrap = 'break-word';
-        } else if ('value' in el) {
-          el.value = value ?? '';
-          el.dispatchEvent(new Event('input', { bubbles: true }));
-          el.dispatchEvent(new Event('change', { bubbles: true }));
-        }
-      }
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/jobs/${job.id}`,
+      eventsUrl: `/jobs/${job.id}/events`,
+      resultUrl: `/jobs/${job.id}/result`,
+      ...(webhook && { webhookUrl: `/jobs/${job.id}/webhook` }),
+      timestamp: new Date().toISOString()
+    });
 
-      // File inputs → images
-      const fileInputs = [...document.querySelectorAll('input[type="file"]')];
+  } catch (err) {
+    logger.error('Job submission failed', { err });
+    res.status(500).json({ error: 'Failed to create job', message: err.message });
+  }
+});
 
-      for (const input of fileInputs) {
-        const key = input.name;
-        const data = fieldData[key];
-        if (!data || !data.startsWith('data:image')) continue;
+/**
+ * Job status and per-item progress
+ */
+api.get('/jobs/:id', {
+  operationId: 'jobStatus',
+  summary: 'Job status and per-item progress',
+  auth: 'apiKey',
+  responses: { 200: jsonResponse('The job', 'Job'), 404: ERROR_RESPONSE }
+}, async (req, res) => {
+  try {
+    const job = await findTenantJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
 
-        input.style.display = 'none';
+    res.status(200).json(job);
 
-        const img = new Image();
-        img.src = data;
-        await waitImage(img);
+  } catch (err) {
+    logger.error('Job status lookup failed', { err });
+    res.status(500).json({ error: 'Failed to read job', message: err.message });
+  }
+});
 
-        const scale = Math.min(1, PAGE_WIDTH / img.width);
-        const canvas = document.createElement('canvas');
-        canvas.width = img.width * scale;
-        canvas.height = img.height * scale;
+/**
+ * Live job progress as Server-Sent Events: a `snapshot` of the job, then
+ * `status` and `item` events as it runs, and a final `done` event carrying
+ * the download location. The stream closes after `done`.
+ */
+const SSE_HEARTBEAT_MS = 15000;
+
+api.get('/jobs/:id/events', {
+  operationId: 'jobEvents',
+  summary: 'Stream job progress as Server-Sent Events',
+  auth: 'apiKey',
+  responses: {
+    200: { description: 'Event stream (snapshot, status, item, done)', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+    404: ERROR_RESPONSE
+  }
+}, async (req, res) => {
+  try {
+    const job = await findTenantJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
 
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
 
-        input.after(canvas);
-      }
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 
-      // Signature canvases
-      const sigCanvases = [...document.querySelectorAll('canvas[name]')];
+    let closed = false;
+    let heartbeat;
+    let unsubscribe = () => { };
 
-      for (const canvas of sigCanvases) {
-        const key = canvas.getAttribute('name');
-        const data = fieldData[key];
-        if (!data) continue;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
 
-        const img = new Image();
-        img.src = data;
-        await waitImage(img);
+    const finish = ({ status, totals, error }) => {
+      send('done', {
+        status,
+        totals,
+        ...(status === 'completed' && { resultUrl: `/jobs/${job.id}/result` }),
+        ...(error && { error })
+      });
+      close();
+    };
 
-        const ctx = canvas.getContext('2d');
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-      }
+    // Events that arrive while the snapshot is being read are sent after it
+    const pending = [];
+    let live = false;
 
-      // ✅ FIX: Ensure textarea values are visible in PDF
-      const textareas = document.querySelectorAll('textarea');
-      textareas.forEach(el => {
-        /* const div = document.createElement('div');
-         div.textContent = el.value || '';
-
-         div.style.whiteSpace = 'pre-wrap';
-         div.style.wordBreak = 'break-word';
-         div.style.width = '100%';
-         div.style.fontSize = window.getComputedStyle(el).fontSize;
-         div.style.fontFamily = window.getComputedStyle(el).fontFamily; */
-
-        el.style.height = 'auto';
-        // Set height to match the internal content height
-        el.style.height = (el.scrollHeight) + 'px';
-        // el.replaceWith(div);
-      });
+    const onEvent = ({ event, data }) => {
+      if (closed) return;
+      if (!live) return pending.push({ event, data });
+      send(event, data);
+      if (event === 'status' && FINAL_STATUSES.includes(data.status)) finish(data);
+    };
 
-    }, fields, fieldData, dateDisplayFormat, PAGE_WIDTH, PAGE_HEIGHT);
+    unsubscribe = jobManager.subscribe(job.id, onEvent);
+    req.on('close', close);
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
 
-    /* -------------------------------------------------------
-       FINAL WAIT (VERY IMPORTANT)
-    ------------------------------------------------------- */
-    await new Promise(resolve => setTimeout(resolve, 500));
+    const current = await jobManager.get(job.id);
+    if (!current) return finish({ status: 'cancelled' });
 
+    const { items, ...totals } = current.progress;
+    send('snapshot', { id: current.id, type: current.type, status: current.status, totals, items });
 
-    /* -------------------------------------------------------
-       GENERATE PDF
-    ------------------------------------------------------- */
-    const pdf = await page.pdf({
-      format: 'A4',
-      //landscape: true,
-      scale: 0.9,
-      printBackground: true,
-      preferCSSPageSize: true,
-      margin: { top: '70px', bottom: '60px', left: '40px', right: '40px' },
-      displayHeaderFooter: true,
-      headerTemplate: `<div style="
-  width:100%;
-  font-family: Arial, sans-serif;
-  font-size:10px;
-  color:#333;
-  padding:6px 40px;
-  box-sizing:border-box;
-">
-  
-  <table style="width:100%; border-bottom:1px solid #e5e7eb; padding-bottom:6px;">
-    <tr>
-      <td style="text-align:center; vertical-align:middle;">
-        <div style="font-size:11px; color:#6b7280;">
-          
-          <span style="font-weight:550;">Form Name:</span>
-          <span style="font-weight:500;">${headerInfo?.formName || 'N/A'}</span>
-
-          <span style="font-weight:550;">&nbsp;&nbsp; User:</span>
-          <span style="font-weight:500;">${headerInfo?.user || 'N/A'}</span>
-
-          <span style="font-weight:550;">&nbsp;&nbsp; Time:</span>
-          <span style="font-weight:500;">${headerInfo?.date || 'N/A'}</span>
-
-          <span style="font-weight:550;">&nbsp;&nbsp; Location:</span>
-          <span style="font-weight:500;">${headerInfo?.location || 'N/A'}</span>
-
-        </div>    
-      </td>
-    </tr>
-  </table>
-
-</div>`,
-      footerTemplate: `
-        <div style="font-size:10px;width:100%;text-align:center;">
-          Page <span class="pageNumber"></span> of <span class="totalPages"></span>
-        </div>`
-    });
+    if (FINAL_STATUSES.includes(current.status)) {
+      return finish({ status: current.status, totals, error: current.error });
+    }
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="document-${Date.now()}.pdf"`);
-    res.status(200).end(pdf);
+    live = true;
+    pending.forEach(onEvent);
 
   } catch (err) {
-    console.error('PDF ERROR:', err);
-    res.status(500).json({ error: 'PDF generation failed', message: err.message });
-  } finally {
-    if (browser) await browser.close();
+    logger.error('Job event stream failed', { err });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream job events', message: err.message });
+    } else {
+      res.end();
+    }
   }
 });
 
 /**
- * Batch PDF generation endpoint (returns a ZIP file)
+ * Download the PDF or ZIP produced by a completed job
  */
-app.post('/pdf-batch', async (req, res) => {
-  let browser;
-
+api.get('/jobs/:id/result', {
+  operationId: 'jobResult',
+  summary: 'Download the PDF or ZIP of a completed job',
+  auth: 'apiKey',
+  responses: {
+    200: {
+      description: 'The job output',
+      content: {
+        'application/pdf': { schema: { type: 'string', format: 'binary' } },
+        'application/zip': { schema: { type: 'string', format: 'binary' } }
+      }
+    },
+    404: ERROR_RESPONSE,
+    409: ERROR_RESPONSE,
+    410: ERROR_RESPONSE
+  }
+}, async (req, res) => {
   try {
-    const batch = req.body;
-
-    // Validate that the request body is an array
-    if (!Array.isArray(batch) || batch.length === 0) {
-      return res.status(400).json({ error: 'Request body must be an array of objects.' });
+    const job = await findTenantJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
 
-    /* -------------------------------------------------------
-       INITIALIZE ZIP STREAM IMMEDIATELY
-    ------------------------------------------------------- */
-    // Set headers for ZIP download right away
-    res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename="batch-documents-${Date.now()}.zip"`);
-
-    const archive = archiver('zip', {
-      zlib: { level: 9 } // Maximum compression
-    });
-
-    archive.on('warning', function (err) {
-      if (err.code === 'ENOENT') {
-        console.warn('Archiver warning:', err);
-      } else {
-        throw err;
-      }
-    });
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: `Job is ${job.status}, no result available`, status: job.status });
+    }
 
-    archive.on('error', function (err) {
-      throw err;
-    });
+    const result = await jobManager.getResult(job.id);
+    if (!result) {
+      return res.status(410).json({ error: 'Job result has expired' });
+    }
 
-    // Pipe archive data directly to the HTTP response
-    archive.pipe(res);
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.status(200).end(result.data);
 
-    /* -------------------------------------------------------
-       LAUNCH PUPPETEER ONCE FOR THE ENTIRE BATCH
-    ------------------------------------------------------- */
-    // Assuming launchBrowser() is defined elsewhere in your code
-    browser = await launchBrowser();
+  } catch (err) {
+    logger.error('Job result download failed', { err });
+    res.status(500).json({ error: 'Failed to read job result', message: err.message });
+  }
+});
 
-    /* -------------------------------------------------------
-       SET CONCURRENCY LIMIT (Processing 5 PDFs simultaneously)
-    ------------------------------------------------------- */
-    const limit = pLimit(5);
+/**
+ * Callback delivery log of a job submitted with a callbackUrl
+ */
+api.get('/jobs/:id/webhook', {
+  operationId: 'jobWebhook',
+  summary: 'Webhook delivery attempts for a job',
+  auth: 'apiKey',
+  responses: { 200: jsonResponse('The delivery log', 'WebhookLog'), 404: ERROR_RESPONSE }
+}, async (req, res) => {
+  try {
+    const job = await findTenantJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!job.webhook) {
+      return res.status(404).json({ error: 'Job has no callbackUrl' });
+    }
 
-    /* -------------------------------------------------------
-       MAP ITEMS TO CONCURRENT PROMISES
-    ------------------------------------------------------- */
-    const processingPromises = batch.map((item, i) => limit(async () => {
-      const { html, url, domainName, headerInfo = {}, fields = {} } = item;
+    const { url, content, status, attempts } = job.webhook;
+    res.status(200).json({ jobId: job.id, url, content, status, attempts });
 
-      if (!html && !url) {
-        console.warn(`Item ${i} skipped: Missing html or url`);
-        return; // Skip invalid items
-      }
+  } catch (err) {
+    logger.error('Job webhook lookup failed', { err });
+    res.status(500).json({ error: 'Failed to read webhook deliveries', message: err.message });
+  }
+});
 
-      if (url && !validateUrl(url)) {
-        console.warn(`Item ${i} skipped: Invalid URL`);
-        return;
-      }
+/**
+ * Cancel a queued or running job
+ */
+api.post('/jobs/:id/cancel', {
+  operationId: 'cancelJob',
+  summary: 'Cancel a queued or running job',
+  auth: 'apiKey',
+  responses: { 200: jsonResponse('The cancelled job', 'Job'), 404: ERROR_RESPONSE, 409: ERROR_RESPONSE }
+}, async (req, res) => {
+  try {
+    const found = await findTenantJob(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!ACTIVE_STATUSES.includes(found.status)) {
+      return res.status(409).json({ error: `Job is already ${found.status}` });
+    }
 
-      /* -------------------------------------------------------
-         FETCH BINARY DATA (SIGNATURES / FILE INPUTS) IN PARALLEL
-      ------------------------------------------------------- */
-      const fieldData = {};
-      const fetchPromises = Object.entries(fields).map(async ([key, data]) => {
-        if (data && typeof data === 'string' && data.includes('amazonaws.com') && (data.startsWith('http://') || data.startsWith('https://'))) {
-          try {
-            const response = await fetch(
-              `${domainName}/track/mgt?page=displayS3Data&pageName=formDataDisplay`,
-              {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8'
-                },
-                body: new URLSearchParams({ txnID: data }).toString()
-              }
-            );
-            fieldData[key] = await response.text();
-          } catch (err) {
-            console.error(`Binary fetch failed for item ${i}, key: ${key}`, err);
-            fieldData[key] = null;
-          }
-        }
-      });
+    const job = await jobManager.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
 
-      // Wait for all fetches for this specific page to complete simultaneously
-      await Promise.all(fetchPromises);
-
-      /* -------------------------------------------------------
-         PROCESS PAGE
-      ------------------------------------------------------- */
-      const page = await browser.newPage();
-      page.on('console', msg => console.log(`PAGE ${i}:`, msg.text()));
-
-      try {
-        if (url) {
-          // networkidle0 waits until there are no more than 0 network connections for at least 500ms
-          await page.goto(url, { waitUntil: 'networkidle0', timeout: 60000 });
-        } else {
-          await page.setContent(html, { waitUntil: ['domcontentloaded', 'networkidle0'] });
-        }
+    res.status(200).json(job);
 
-        /* -------------------------------------------------------
-           WAIT FOR LOADERS / SPINNERS TO DISAPPEAR
-        ------------------------------------------------------- */
-        await page.waitForFunction(() => {
-          const spinners = document.querySelectorAll(
-            '.loading, .spinner, [class*="loading"], [class*="spinner"], [aria-busy="true"]'
-          );
-          // Return true only when all spinners are hidden from the layout
-          return Array.from(spinners).every(el => el.offsetParent === null);
-        }, { timeout: 30000 });
-
-        /* -------------------------------------------------------
-           PRINT CSS (CRITICAL)
-        ------------------------------------------------------- */
-        await page.emulateMediaType('print');
-
-        await page.addStyleTag({
-          content: `
-          body { margin:0; padding:0; background:white; }
-          table { width:100%; border-collapse:collapse; page-break-inside:auto; }
-          tr { page-break-inside:avoid; }
-          thead { display:table-header-group; }
-          canvas { display:block; page-break-inside:avoid; }
-          .loading, .spinner { display:none !important; }
-        `
-        });
-
-        const PDF_MARGIN = 40;
-        const PAGE_WIDTH = 595 - 2 * PDF_MARGIN;
-        const PAGE_HEIGHT = 842 - 2 * PDF_MARGIN;
-
-        /* -------------------------------------------------------
-           FILL FIELDS + RENDER FILES & SIGNATURES
-        ------------------------------------------------------- */
-        await page.evaluate(async (fields, fieldData, PAGE_WIDTH, PAGE_HEIGHT) => {
-          const waitImage = (img, timeout = 15000) =>
-            new Promise(resolve => {
-              const done = () => resolve();
-              if (img.complete) return done();
-              const t = setTimeout(done, timeout);
-              img.onload = () => { clearTimeout(t); done(); };
-              img.onerror = () => { clearTimeout(t); done(); };
-            });
-
-          // Fill form fields
-          for (const [name, value] of Object.entries(fields)) {
-            const el = document.querySelector(`[name="${name}"]`) || document.getElementById(name);
-            if (!el) continue;
-
-            if (el.tagName === 'INPUT' && el.type === 'file') continue;
-
-            if (el.tagName === 'SELECT') {
-              el.innerHTML = `<option selected>${value}</option>`;
-            } else if (el.type === 'checkbox' || el.type === 'radio') {
-              el.checked = value === true || value === 'Yes' || value === 'true' || value === 'On' || value === 'on' || value === 'yes';
-            } else if (el.tagName === 'TEXTAREA') {
-              el.value = value ?? '';
-              el.innerHTML = value ?? '';
-              el.style.whiteSpace = 'pre-wrap';
-              el.style.wordBreak = 'break-word';
-              el.style.wordWrap = 'break-word';
-            } else if ('value' in el) {
-              el.value = value ?? '';
-            }
-          }
-
-          // File inputs → images
-          const fileInputs = [...document.querySelectorAll('input[type="file"]')];
-          for (const input of fileInputs) {
-            const key = input.name;
-            const data = fieldData[key];
-            if (!data || !data.startsWith('data:image')) continue;
-
-            input.style.display = 'none';
-
-            const img = new Image();
-            img.src = data;
-            await waitImage(img);
-
-            const scale = Math.min(1, PAGE_WIDTH / img.width);
-            const canvas = document.createElement('canvas');
-            canvas.width = img.width * scale;
-            canvas.height = img.height * scale;
-
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-
-            input.after(canvas);
-          }
-
-          // Signature canvases
-          const sigCanvases = [...document.querySelectorAll('canvas[name]')];
-          for (const canvas of sigCanvases) {
-            const key = canvas.getAttribute('name');
-            const data = fieldData[key];
-            if (!data) continue;
-
-            const img = new Image();
-            img.src = data;
-            await waitImage(img);
-
-            const ctx = canvas.getContext('2d');
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-          }
-
-          // Fix textarea visibility
-          const textareas = document.querySelectorAll('textarea');
-          textareas.forEach(el => {
-            el.style.height = 'auto';
-            el.style.height = (el.scrollHeight) + 'px';
-          });
+  } catch (err) {
+    logger.error('Job cancellation failed', { err });
+    res.status(500).json({ error: 'Failed to cancel job', message: err.message });
+  }
+});
 
-        }, fields, fieldData, PAGE_WIDTH, PAGE_HEIGHT);
-
-        /* -------------------------------------------------------
-           FINAL WAIT & GENERATE PDF BUFFER
-        ------------------------------------------------------- */
-        // A brief pause just to ensure canvas paints are committed before snapshot
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-        const pdfBuffer = await page.pdf({
-          format: 'A4',
-          printBackground: true,
-          preferCSSPageSize: true,
-          margin: { top: '70px', bottom: '60px', left: '40px', right: '40px' },
-          displayHeaderFooter: true,
-          headerTemplate: `<div style="width:100%; font-family: Arial, sans-serif; font-size:10px; color:#333; padding:6px 40px; box-sizing:border-box;">
-          <table style="width:100%; border-bottom:1px solid #e5e7eb; padding-bottom:6px;">
-            <tr>
-              <td style="text-align:left; vertical-align:middle;">
-                <div style="font-size:11px; color:#6b7280;">
-                  <span style="font-weight:550;">Form Name:</span>
-                  <span style="font-weight:500;">${headerInfo?.formName || 'N/A'}</span>
-                  <span style="font-weight:550;">&nbsp;&nbsp; User:</span>
-                  <span style="font-weight:500;">${headerInfo?.user || 'N/A'}</span>
-                  <span style="font-weight:550;">&nbsp;&nbsp; Time:</span>
-                  <span style="font-weight:500;">${headerInfo?.date || 'N/A'}</span>
-                  <span style="font-weight:550;">&nbsp;&nbsp; Location:</span>
-                  <span style="font-weight:500;">${headerInfo?.location || 'N/A'}</span>
-                </div>    
-              </td>
-            </tr>
-          </table>
-        </div>`,
-          footerTemplate: `
-          <div style="font-size:10px;width:100%;text-align:center;">
-            Page <span class="pageNumber"></span> of <span class="totalPages"></span>
-          </div>`
-        });
-
-        // Format a clean filename for the ZIP
-        const userName = (headerInfo?.user || `user-${i}`).replace(/[^a-z0-9]/gi, '_');
-        const formName = (headerInfo?.formName || `form`).replace(/[^a-z0-9]/gi, '_');
-        const filename = `${formName}_${userName}_${Date.now()}.pdf`;
-
-        /* -------------------------------------------------------
-           STREAM DIRECTLY TO ARCHIVE (Frees Memory Instantly)
-        ------------------------------------------------------- */
-        archive.append(Buffer.from(pdfBuffer), { name: filename });
-
-      } catch (itemErr) {
-        console.error(`Error processing item ${i}:`, itemErr);
-        // Continue with next items even if one fails
-      } finally {
-        // Clean up page resources immediately after use
-        await page.close();
-      }
-    }));
+/**
+ * Delete a finished job and its result
+ */
+api.delete('/jobs/:id', {
+  operationId: 'deleteJob',
+  summary: 'Delete a finished job and its result',
+  auth: 'apiKey',
+  responses: { 204: { description: 'Job deleted' }, 404: ERROR_RESPONSE, 409: ERROR_RESPONSE }
+}, async (req, res) => {
+  try {
+    const found = await findTenantJob(req);
+    if (!found) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (ACTIVE_STATUSES.includes(found.status)) {
+      return res.status(409).json({ error: `Job is still ${found.status}; cancel it first` });
+    }
 
-    /* -------------------------------------------------------
-       WAIT FOR ALL CONCURRENT PROCESSES TO FINISH
-    ------------------------------------------------------- */
-    await Promise.all(processingPromises);
+    const job = await jobManager.remove(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
 
-    /* -------------------------------------------------------
-       FINALIZE THE STREAM
-    ------------------------------------------------------- */
-    // This finishes the ZIP stream and safely closes the HTTP connection
-    await archive.finalize();
+    res.status(204).end();
 
   } catch (err) {
-    console.error('BATCH PDF ERROR:', err);
-    if (!res.headersSent) {
-      res.status(500).json({ error: 'Batch PDF generation failed', message: err.message });
-    }
-  } finally {
-    if (browser) await browser.close();
+    logger.error('Job deletion failed', { err });
+    res.status(500).json({ error: 'Failed to delete job', message: err.message });
   }
 });
 
-
 /**
  * PDF generation endpoint
  */
-app.post('/pdf/base64', async (req, res) => {
+api.post('/pdf/base64', {
+  operationId: 'pdfBase64',
+  summary: 'Print a URL to PDF with raw page.pdf() options, returned as base64',
+  body: 'PdfBase64Request',
+  auth: 'apiKey',
+  responses: { 200: jsonResponse('Base64 PDF', 'RenderedJson'), 500: ERROR_RESPONSE }
+}, async (req, res) => {
   const { url, options = {} } = req.body;
 
-  if (!url || !validateUrl(url)) {
-    return res.status(400).json({
-      error: 'Valid URL is required (must include http:// or https://)'
-    });
+  const validationError = validatePdfBase64Payload(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
   }
 
-  let browser;
-  try {
+  if (!admitTenant(req, res, [req.body])) return;
 
-    await browser.close();
+  try {
+    const pdfBuffer = await renderer.renderUrlPdf(url, options);
 
     // Retornar como JSON con base64
-    res.status(200).json({
-      success: true,
-      url: url,
-      pdf: pdfBuffer.toString('base64'),
-      size: pdfBuffer.length,
-      timestamp: new Date().toISOString()
+    sendRendered(res, 'base64', {
+      data: pdfBuffer,
+      mimeType: 'application/pdf',
+      field: 'pdf',
+      extra: { url: url }
     });
 
   } catch (error) {
-    if (browser && browser.process() != null) {
-      await browser.close().catch(e => console.error('Error closing browser:', e));
-    }
-
-    console.error('PDF generation error:', error);
-    res.status(500).json({
+    logger.error('URL PDF generation failed', { err: error });
+    res.status(error.statusCode || 500).json({
       error: 'Failed to generate PDF',
       message: error.message,
       timestamp: new Date().toISOString()
@@ -1172,39 +1032,84 @@ app.post('/pdf/base64', async (req, res) => {
   }
 });
 
+/**
+ * Per-tenant limits and usage (admin keys only)
+ */
+api.get('/admin/usage', {
+  operationId: 'adminUsage',
+  summary: 'Per-tenant limits and usage',
+  auth: 'admin',
+  responses: { 200: jsonResponse('Usage report'), 401: ERROR_RESPONSE, 403: ERROR_RESPONSE }
+}, tenants.requireAdmin, (req, res) => {
+  res.status(200).json({
+    authEnabled: tenants.enabled,
+    tenants: tenants.report(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Empty the render cache, or only one tenant's entries (?tenant=id)
+ */
+api.delete('/admin/cache', {
+  operationId: 'adminPurgeCache',
+  summary: 'Purge the render cache',
+  auth: 'admin',
+  responses: { 200: jsonResponse('Entries removed'), 401: ERROR_RESPONSE, 403: ERROR_RESPONSE, 404: ERROR_RESPONSE }
+}, tenants.requireAdmin, async (req, res) => {
+  try {
+    if (!renderCache) {
+      return res.status(404).json({ error: 'Render cache is not configured' });
+    }
+
+    const tenant = typeof req.query.tenant === 'string' ? req.query.tenant : undefined;
+    const removed = await renderCache.purge({ scope: tenant });
+
+    res.status(200).json({ removed, tenant: tenant || null, cache: renderCache.stats(), timestamp: new Date().toISOString() });
+
+  } catch (err) {
+    logger.error('Render cache purge failed', { err });
+    res.status(500).json({ error: 'Failed to purge render cache', message: err.message });
+  }
+});
+
 /**
  * Test endpoint for quick validation
  */
-app.get('/test', async (req, res) => {
-  let browser;
+api.get('/test', {
+  operationId: 'test',
+  summary: 'Load example.com to check Chrome works',
+  auth: 'apiKey',
+  responses: { 200: jsonResponse('Chrome is working'), 500: ERROR_RESPONSE }
+}, async (req, res) => {
+  let lease;
   try {
-    browser = await launchBrowser();
-    const page = await browser.newPage();
+    lease = await browserPool.acquire();
+    const page = await lease.context.newPage();
 
     await page.goto('https://example.com', { timeout: 10000 });
     const title = await page.title();
 
-    await browser.close();
-
     res.status(200).json({
       success: true,
       message: 'Puppeteer is working correctly',
       testPageTitle: title,
-      chromeVersion: await browser.version(),
+      chromeVersion: await lease.browser.version(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    if (browser) await browser.close().catch(() => { });
     res.status(500).json({
       error: 'Puppeteer test failed',
       message: error.message
     });
+  } finally {
+    if (lease) await lease.release();
   }
 });
 
 // Global error handler
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  logger.error('Unhandled error', { err });
   res.status(500).json({
     error: 'Internal server error',
     message: err.message
@@ -1215,34 +1120,38 @@ app.use((err, req, res, next) => {
  * Start server
  */
 const server = app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Puppeteer service running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Chrome executable: ${process.env.CHROME_BIN || 'default'}`);
+  logger.info('Puppeteer service running', {
+    port: Number(PORT),
+    environment: process.env.NODE_ENV || 'development',
+    chromeExecutable: process.env.CHROME_BIN || 'default'
+  });
+  if (!tenants.enabled) {
+    logger.warn('No API keys configured: render endpoints are open and rate limited per IP');
+  }
+
+  browserPool.start();
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
-    console.log('HTTP server closed');
+const shutdown = (signal) => {
+  logger.info('Signal received: closing HTTP server', { signal });
+  server.close(async () => {
+    logger.info('HTTP server closed');
+    await browserPool.drain();
+    logger.info('Browser pool drained');
     process.exit(0);
   });
-});
+};
 
-process.on('SIGINT', () => {
-  console.log('SIGINT signal received: closing HTTP server');
-  server.close(() => {
-    console.log('HTTP server closed');
-    process.exit(0);
-  });
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
+  logger.error('Uncaught exception', { err: error });
   process.exit(1);
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled rejection', { err: reason });
   process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const pLimit = require('p-limit');
+const { logger, withLogContext, getLogContext } = require('./logger');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * In-memory job store (default)
+ *
+ * Any store passed to createJobManager must implement the same async
+ * interface, so a shared backend such as Redis can replace this one:
+ *
+ *   create(job)              -> job
+ *   get(id)                  -> job | null
+ *   update(id, patch)        -> job | null
+ *   setResult(id, result)    -> void   ({ data: Buffer, contentType, filename })
+ *   getResult(id)            -> result | null
+ *   remove(id)               -> void   (job and result)
+ *   purgeExpired(now)        -> number of jobs removed
+ */
+const createMemoryJobStore = () => {
+  const jobs = new Map();
+  const results = new Map();
+
+  return {
+    create: async (job) => {
+      jobs.set(job.id, job);
+      return job;
+    },
+
+    get: async (id) => jobs.get(id) || null,
+
+    update: async (id, patch) => {
+      const job = jobs.get(id);
+      if (!job) return null;
+
+      const updated = { ...job, ...patch };
+      jobs.set(id, updated);
+      return updated;
+    },
+
+    setResult: async (id, result) => {
+      results.set(id, result);
+    },
+
+    getResult: async (id) => results.get(id) || null,
+
+    remove: async (id) => {
+      jobs.delete(id);
+      results.delete(id);
+    },
+
+    purgeExpired: async (now = Date.now()) => {
+      let removed = 0;
+      for (const job of jobs.values()) {
+        if (job.expiresAt && Date.parse(job.expiresAt) <= now) {
+          jobs.delete(job.id);
+          results.delete(job.id);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+};
+
+/**
+ * Background job runner for long renders.
+ *
+ * `runners` maps a job type to `{ validate(payload), run(payload, ctx) }`.
+ * `validate` returns an error message or null; `run` resolves to
+ * `{ data, contentType, filename, report }` and receives
+ * `ctx.onItem(index, status, error, details)` for per-item progress, and
+ * `ctx.isCancelled()` and `ctx.signal` (aborted on cancel) for cooperative
+ * cancellation. An optional
+ * `itemCount(payload)` sizes the progress list (1 item otherwise).
+ *
+ * Progress is also published to in-process subscribers (see `subscribe`),
+ * so it is only visible on the instance running the job.
+ *
+ * `onFinished(job)` is called (not awaited) once a job is completed,
+ * failed or cancelled, with the job as stored.
+ */
+const createJobManager = ({
+  store = createMemoryJobStore(),
+  runners,
+  concurrency = 2,
+  ttlMs = 60 * 60 * 1000,
+  purgeIntervalMs = 60 * 1000,
+  onFinished = () => { }
+}) => {
+  const limit = pLimit(concurrency);
+  // id -> AbortController of every queued or running job on this instance
+  const controllers = new Map();
+
+  const purgeTimer = setInterval(() => {
+    store.purgeExpired(Date.now()).catch(err => logger.error('Job purge failed', { err }));
+  }, purgeIntervalMs);
+  purgeTimer.unref();
+
+  const expiry = () => new Date(Date.now() + ttlMs).toISOString();
+
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  const publish = (id, event, data) => events.emit(id, { event, data });
+
+  const countTotals = (items) => ({
+    total: items.length,
+    completed: items.filter(item => item.status === 'completed').length,
+    failed: items.filter(item => item.status === 'failed').length,
+    skipped: items.filter(item => item.status === 'skipped').length
+  });
+
+  const countItems = (items) => ({ ...countTotals(items), items });
+
+  const finished = (job) => {
+    Promise.resolve()
+      .then(() => onFinished(job))
+      .catch(err => logger.error('Job finish hook failed', { jobId: job.id, err }));
+  };
+
+  /**
+   * Return an error message if `type`/`payload` cannot be run, else null
+   */
+  const validate = (type, payload) => {
+    const runner = runners[type];
+    if (!runner) {
+      return `Unknown job type "${type}". Expected one of: ${Object.keys(runners).join(', ')}`;
+    }
+    return runner.validate(payload);
+  };
+
+  const execute = async (job, payload) => {
+    const { id } = job;
+    const { signal } = controllers.get(id);
+    if (signal.aborted) {
+      controllers.delete(id);
+      return;
+    }
+
+    const items = job.progress.items.map(item => ({ ...item }));
+
+    await store.update(id, { status: 'running', startedAt: new Date().toISOString() });
+    publish(id, 'status', { status: 'running', totals: countTotals(items) });
+
+    const onItem = (index, status, error, details = {}) => {
+      if (!items[index]) return;
+      items[index] = { ...details, index, status, error: error || null };
+      store.update(id, { progress: countItems(items) })
+        .catch(err => logger.error('Job progress update failed', { err }));
+      publish(id, 'item', {
+        index,
+        ...(details.id !== undefined && { id: details.id }),
+        status,
+        error: error || null,
+        totals: countTotals(items)
+      });
+    };
+
+    try {
+      const result = await runners[job.type].run(payload, {
+        onItem,
+        isCancelled: () => signal.aborted,
+        signal
+      });
+
+      if (signal.aborted) return;
+
+      const summary = {
+        contentType: result.contentType,
+        filename: result.filename,
+        size: result.data.length
+      };
+
+      await store.setResult(id, result);
+      const completed = await store.update(id, {
+        status: 'completed',
+        finishedAt: new Date().toISOString(),
+        expiresAt: expiry(),
+        progress: countItems(items),
+        report: result.report || null,
+        result: summary
+      });
+      publish(id, 'status', { status: 'completed', totals: countTotals(items), result: summary });
+      finished(completed);
+    } catch (err) {
+      if (signal.aborted) return;
+      logger.error('Job failed', { err });
+
+      const failed = await store.update(id, {
+        status: 'failed',
+        finishedAt: new Date().toISOString(),
+        expiresAt: expiry(),
+        progress: countItems(items),
+        error: err.message
+      });
+      publish(id, 'status', { status: 'failed', totals: countTotals(items), error: err.message });
+      finished(failed);
+    } finally {
+      controllers.delete(id);
+    }
+  };
+
+  /**
+   * Queue a job and return its initial record immediately.
+   * `tenantId` records who owns the job; `webhook` ({ url, content })
+   * starts a delivery log for its callback.
+   */
+  const submit = async (type, payload, { tenantId = null, webhook = null } = {}) => {
+    const itemCount = runners[type].itemCount ? runners[type].itemCount(payload) : 1;
+    const items = Array.from({ length: itemCount }, (_, index) => ({ index, status: 'pending', error: null }));
+
+    const job = await store.create({
+      id: crypto.randomUUID(),
+      type,
+      tenantId,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      progress: countItems(items),
+      error: null,
+      result: null,
+      webhook: webhook && { ...webhook, status: 'pending', attempts: [] }
+    });
+
+    controllers.set(job.id, new AbortController());
+
+    // Logs from the job carry its ID and the ID of the request that queued it
+    const logContext = { ...getLogContext(), jobId: job.id };
+    limit(() => withLogContext(logContext, () => execute(job, payload)))
+      .catch(err => logger.error('Job crashed', { jobId: job.id, err }));
+
+    return job;
+  };
+
+  const get = (id) => store.get(id);
+
+  const getResult = (id) => store.getResult(id);
+
+  /**
+   * Cancel a queued or running job; a running render is aborted at its next
+   * phase. Finished jobs are left as they are. Resolves to the job as it
+   * was left, or null if unknown.
+   */
+  const cancel = async (id) => {
+    const job = await store.get(id);
+    if (!job) return null;
+    if (!ACTIVE_STATUSES.includes(job.status)) return job;
+
+    const controller = controllers.get(id);
+    if (controller) controller.abort();
+    const updated = await store.update(id, {
+      status: 'cancelled',
+      finishedAt: new Date().toISOString(),
+      expiresAt: expiry()
+    });
+    publish(id, 'status', { status: 'cancelled', totals: countTotals(updated.progress.items) });
+    finished(updated);
+    return updated;
+  };
+
+  /**
+   * Delete a finished job and its result. Active jobs are left alone; cancel
+   * them first. Resolves to the job as it was, or null if unknown.
+   */
+  const remove = async (id) => {
+    const job = await store.get(id);
+    if (!job) return null;
+    if (ACTIVE_STATUSES.includes(job.status)) return job;
+
+    await store.remove(id);
+    return job;
+  };
+
+  /**
+   * Update a job's webhook delivery log: set its `status` and append
+   * `attempt` when given. Resolves to the job, or null if it is gone.
+   */
+  const recordWebhook = async (id, { status, attempt }) => {
+    const job = await store.get(id);
+    if (!job || !job.webhook) return null;
+
+    return store.update(id, {
+      webhook: {
+        ...job.webhook,
+        status,
+        attempts: attempt ? [...job.webhook.attempts, attempt] : job.webhook.attempts
+      }
+    });
+  };
+
+  /**
+   * Follow a job: `listener({ event, data })` receives 'status' events
+   * (running, completed, failed, cancelled) and an 'item' event per item
+   * status change, each with running totals. Returns an unsubscribe function.
+   */
+  const subscribe = (id, listener) => {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  };
+
+  const stats = () => ({
+    running: limit.activeCount,
+    queued: limit.pendingCount,
+    concurrency
+  });
+
+  return { validate, submit, get, getResult, cancel, remove, recordWebhook, subscribe, stats };
+};
+
+module.exports = { ACTIVE_STATUSES, FINAL_STATUSES, createMemoryJobStore, createJobManager };
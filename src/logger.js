@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Structured JSON logging
+ *
+ * One JSON object per line on stdout:
+ *
+ *   {"time":"...","level":"error","msg":"PDF generation failed","requestId":"...","err":{...}}
+ *
+ * Fields bound with withLogContext() (the request ID, a job ID) are added to
+ * every line logged inside that async context, so render and resolver code
+ * never has to pass them around. LOG_LEVEL picks the minimum level.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const context = new AsyncLocalStorage();
+
+const serializeError = (err) => {
+  if (!(err instanceof Error)) return err;
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code && { code: err.code }),
+    ...(err.statusCode && { statusCode: err.statusCode }),
+    stack: err.stack
+  };
+};
+
+const createLogger = ({ level = 'info', fields = {}, write = (line) => process.stdout.write(line + '\n') } = {}) => {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  const log = (lvl, msg, extra = {}) => {
+    if (LEVELS[lvl] < threshold) return;
+
+    const entry = { time: new Date().toISOString(), level: lvl, msg, ...fields, ...context.getStore() };
+    for (const [key, value] of Object.entries(extra)) {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+
+    try {
+      write(JSON.stringify(entry));
+    } catch {
+      write(JSON.stringify({ time: entry.time, level: lvl, msg, note: 'log fields were not serializable' }));
+    }
+  };
+
+  return {
+    level,
+    isLevelEnabled: (lvl) => LEVELS[lvl] >= threshold,
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    child: (more) => createLogger({ level, fields: { ...fields, ...more }, write })
+  };
+};
+
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+/**
+ * Run `fn` with `fields` added to every log line written inside it
+ */
+const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+/**
+ * Fields bound to the current async context ({} outside any)
+ */
+const getLogContext = () => ({ ...context.getStore() });
+
+// Accept caller IDs that are safe to echo and log, otherwise make our own
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Express middleware: take X-Request-Id (or generate one), echo it on the
+ * response, bind it to the log context and log each completed request.
+ */
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const start = Date.now();
+
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    withLogContext({ requestId }, () => {
+      logger.info('request completed', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Date.now() - start,
+        ...(req.tenant && { tenant: req.tenant.id })
+      });
+    });
+  });
+
+  withLogContext({ requestId }, next);
+};
+
+module.exports = { LEVELS, createLogger, logger, withLogContext, getLogContext, requestLogger };
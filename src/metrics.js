@@ -0,0 +1,251 @@
+const fs = require('fs');
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics
+ *
+ * Each createMetrics() call owns its registry. Render code reports through
+ * the returned helpers; pool, queue and Chrome process gauges are read from
+ * their sources at scrape time.
+ */
+
+const PAGE_SIZE = 4096;
+
+// Process count and resident memory of `rootPids` and all their descendants (Linux /proc)
+const processTreeUsage = (rootPids) => {
+  if (rootPids.length === 0) return { processes: 0, rssBytes: 0 };
+
+  let pids;
+  try {
+    pids = fs.readdirSync('/proc').filter(name => /^\d+$/.test(name));
+  } catch {
+    return { processes: 0, rssBytes: 0 };
+  }
+
+  const children = new Map();
+  const rss = new Map();
+
+  for (const pid of pids) {
+    try {
+      const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+      // The command name may contain spaces, so split after its closing paren
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      const ppid = Number(fields[1]);
+
+      rss.set(Number(pid), Number(fields[21]) * PAGE_SIZE);
+      if (!children.has(ppid)) children.set(ppid, []);
+      children.get(ppid).push(Number(pid));
+    } catch {
+      // Process exited while we were reading
+    }
+  }
+
+  let processes = 0;
+  let rssBytes = 0;
+  const queue = rootPids.filter(pid => rss.has(pid));
+
+  while (queue.length > 0) {
+    const pid = queue.shift();
+    processes++;
+    rssBytes += rss.get(pid) || 0;
+    queue.push(...(children.get(pid) || []));
+  }
+
+  return { processes, rssBytes };
+};
+
+const createMetrics = () => {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  const httpRequests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by route, method and status code',
+    labelNames: ['route', 'method', 'status'],
+    registers: [registry]
+  });
+
+  const httpDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request duration by route',
+    labelNames: ['route', 'method'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+    registers: [registry]
+  });
+
+  const renders = new client.Counter({
+    name: 'renders_total',
+    help: 'Renders by kind and outcome (success, failure or cached)',
+    labelNames: ['kind', 'outcome'],
+    registers: [registry]
+  });
+
+  const renderDuration = new client.Histogram({
+    name: 'render_duration_seconds',
+    help: 'End-to-end render duration by kind and outcome',
+    labelNames: ['kind', 'outcome'],
+    buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120],
+    registers: [registry]
+  });
+
+  const phaseDuration = new client.Histogram({
+    name: 'render_phase_duration_seconds',
+    help: 'Time spent in each render phase (binaries, launch, navigation, wait, fill, pdf, screenshot)',
+    labelNames: ['kind', 'phase'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30, 60],
+    registers: [registry]
+  });
+
+  const documentBytes = new client.Histogram({
+    name: 'render_output_bytes',
+    help: 'Size of rendered PDFs and images',
+    labelNames: ['kind'],
+    buckets: client.exponentialBuckets(16 * 1024, 4, 8),
+    registers: [registry]
+  });
+
+  const binaryFailures = new client.Counter({
+    name: 'binary_fetch_failures_total',
+    help: 'Binary field values that could not be resolved, by resolver',
+    labelNames: ['resolver'],
+    registers: [registry]
+  });
+
+  const batchItems = new client.Counter({
+    name: 'batch_items_total',
+    help: 'Batch items by final status',
+    labelNames: ['status'],
+    registers: [registry]
+  });
+
+  const cacheLookups = new client.Counter({
+    name: 'render_cache_lookups_total',
+    help: 'Render cache lookups by kind and result (hit, miss)',
+    labelNames: ['kind', 'result'],
+    registers: [registry]
+  });
+
+  const sources = { browserPool: null, jobManager: null, renderCache: null };
+
+  const gauge = (name, help, read) => new client.Gauge({
+    name,
+    help,
+    registers: [registry],
+    collect() {
+      const value = read();
+      if (value !== null) this.set(value);
+    }
+  });
+
+  const poolStats = () => (sources.browserPool ? sources.browserPool.stats() : null);
+  const jobStats = () => (sources.jobManager ? sources.jobManager.stats() : null);
+  const cacheStats = () => (sources.renderCache ? sources.renderCache.stats() : null);
+
+  // Both Chrome gauges are collected in the same scrape; walk /proc once for them
+  let chromeCache = { at: 0, usage: null };
+  const chromeUsage = () => {
+    if (Date.now() - chromeCache.at > 1000) {
+      const stats = poolStats();
+      const usage = processTreeUsage(stats ? stats.browsers.map(b => b.pid).filter(Boolean) : []);
+      chromeCache = { at: Date.now(), usage };
+    }
+    return chromeCache.usage;
+  };
+
+  gauge('browser_pool_browsers', 'Browsers currently in the pool', () => poolStats()?.size ?? null);
+  gauge('browser_pool_active_contexts', 'Leased browser contexts', () => poolStats()?.activeContexts ?? null);
+  gauge('browser_pool_waiting', 'Requests waiting for a browser context', () => poolStats()?.waiting ?? null);
+  gauge('jobs_queued', 'Async jobs waiting to run', () => jobStats()?.queued ?? null);
+  gauge('jobs_running', 'Async jobs running', () => jobStats()?.running ?? null);
+  gauge('chrome_processes', 'Live Chrome processes (browsers and their children)', () => chromeUsage().processes);
+  gauge('chrome_memory_bytes', 'Resident memory of all Chrome processes', () => chromeUsage().rssBytes);
+  gauge('render_cache_entries', 'Renders held in the render cache', () => cacheStats()?.entries ?? null);
+  gauge('render_cache_bytes', 'Size of the renders held in the render cache', () => cacheStats()?.bytes ?? null);
+
+  /**
+   * Read pool, queue and cache gauges from these objects at scrape time
+   */
+  const watch = ({ browserPool, jobManager, renderCache }) => {
+    if (browserPool) sources.browserPool = browserPool;
+    if (jobManager) sources.jobManager = jobManager;
+    if (renderCache) sources.renderCache = renderCache;
+  };
+
+  /**
+   * Express middleware counting requests by matched route and status
+   */
+  const httpMiddleware = (req, res, next) => {
+    const end = httpDuration.startTimer();
+
+    res.on('finish', () => {
+      const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+      httpRequests.inc({ route, method: req.method, status: res.statusCode });
+      end({ route, method: req.method });
+    });
+
+    next();
+  };
+
+  /**
+   * Time one render. `mark(phase)` records the time since the previous mark;
+   * `end(error)` records the whole render as a success, or a failure when
+   * given an error. Calls after the first `end` are ignored.
+   */
+  const startRender = (kind) => {
+    const start = process.hrtime.bigint();
+    let last = start;
+    let ended = false;
+
+    const seconds = (from, to) => Number(to - from) / 1e9;
+
+    return {
+      mark: (phase) => {
+        const now = process.hrtime.bigint();
+        phaseDuration.observe({ kind, phase }, seconds(last, now));
+        last = now;
+      },
+      // `cached` marks a render served from the render cache
+      end: (error, { cached = false } = {}) => {
+        if (ended) return;
+        ended = true;
+
+        const outcome = error ? 'failure' : cached ? 'cached' : 'success';
+        renders.inc({ kind, outcome });
+        renderDuration.observe({ kind, outcome }, seconds(start, process.hrtime.bigint()));
+      }
+    };
+  };
+
+  /**
+   * Record the size of a rendered document
+   */
+  const observeOutput = (kind, buffer) => {
+    if (buffer) documentBytes.observe({ kind }, buffer.length);
+  };
+
+  /**
+   * Count the failures listed in a render report's binaryErrors
+   */
+  const observeBinaryErrors = (binaryErrors = []) => {
+    for (const { resolver } of binaryErrors) binaryFailures.inc({ resolver });
+  };
+
+  const observeBatchItem = (status) => batchItems.inc({ status });
+
+  const observeCacheLookup = (kind, result) => cacheLookups.inc({ kind, result });
+
+  return {
+    registry,
+    contentType: registry.contentType,
+    metricsText: () => registry.metrics(),
+    watch,
+    httpMiddleware,
+    startRender,
+    observeOutput,
+    observeBinaryErrors,
+    observeBatchItem,
+    observeCacheLookup
+  };
+};
+
+module.exports = { createMetrics, processTreeUsage };
@@ -0,0 +1,391 @@
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch: undiciFetch } = require('undici');
+const { LOCAL_SCHEMES } = require('./shared');
+const { stripQuery } = require('./diagnostics');
+
+/**
+ * SSRF protection for everything the service fetches or lets Chrome load
+ *
+ * Hosts and addresses are checked against configurable allow and deny lists.
+ * Entries are hostnames (`app.example.com`), wildcard subdomains
+ * (`*.example.com`), IPs or CIDR ranges (`10.1.0.0/16`). Private, loopback,
+ * link-local and other non-public ranges are blocked unless explicitly
+ * allowed. Hostnames are resolved and every address is checked, and
+ * server-side fetches re-check the address they actually connect to so DNS
+ * rebinding cannot slip past the first lookup.
+ */
+
+const NON_PUBLIC_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  // Local-use NAT64 and Teredo; the well-known NAT64 prefix and 6to4 are decoded by normalizeIp
+  ['64:ff9b:1::', 48, 'ipv6'],
+  ['2001::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+// Lookup failures block too: Chrome resolves on its own and may get a different answer
+const UNRESOLVED = 'could not resolve host';
+
+const policyError = (message, code = 'ERR_URL_BLOCKED') => Object.assign(new Error(message), { statusCode: 403, code });
+
+const splitList = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+const familyOf = (ip) => (net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+
+/**
+ * The eight 16-bit groups of an IPv6 address
+ */
+const ipv6Groups = (ip) => {
+  let text = ip;
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const parse = (part) => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const [head, tail] = text.split('::');
+  const left = parse(head);
+  const right = parse(tail);
+  return [...left, ...new Array(8 - left.length - right.length).fill(0), ...right];
+};
+
+const ipv4From = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+
+// IPv6 forms that carry an IPv4 address are checked as that address, so
+// ::ffff:10.0.0.1, 64:ff9b::a9fe:a9fe or 2002:a9fe:a9fe:: can't reach a
+// private or link-local host the plain address would be refused for
+const normalizeIp = (ip) => {
+  if (!net.isIPv6(ip)) return ip;
+
+  const groups = ipv6Groups(ip);
+  const zeroUpTo = (end) => groups.slice(0, end).every(group => group === 0);
+
+  // IPv4-mapped ::ffff:0:0/96
+  if (zeroUpTo(5) && groups[5] === 0xffff) return ipv4From(groups[6], groups[7]);
+  // IPv4-compatible ::/96 (:: and ::1 keep their own meaning)
+  if (zeroUpTo(6) && groups[6] !== 0) return ipv4From(groups[6], groups[7]);
+  // NAT64 64:ff9b::/96
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return ipv4From(groups[6], groups[7]);
+  }
+  // 6to4 2002::/16
+  if (groups[0] === 0x2002) return ipv4From(groups[1], groups[2]);
+
+  return ip;
+};
+
+const stripBrackets = (host) => host.replace(/^\[(.*)\]$/, '$1');
+
+/**
+ * Split list entries into a BlockList of IP ranges and hostname patterns
+ */
+const compileEntries = (entries) => {
+  const ranges = new net.BlockList();
+  const hosts = [];
+  let hasRanges = false;
+
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    if (net.isIP(address)) {
+      const family = familyOf(address);
+      if (prefix !== undefined) {
+        ranges.addSubnet(address, Number(prefix), family);
+      } else {
+        ranges.addAddress(address, family);
+      }
+      hasRanges = true;
+    } else {
+      hosts.push(entry.toLowerCase());
+    }
+  }
+
+  const matchesHost = (hostname) =>
+    hosts.some(pattern =>
+      pattern.startsWith('*.')
+        ? hostname.endsWith(pattern.slice(1)) && hostname.length > pattern.length - 1
+        : hostname === pattern
+    );
+
+  const matchesIp = (ip) => hasRanges && ranges.check(ip, familyOf(ip));
+
+  return { matchesHost, matchesIp, size: entries.length };
+};
+
+const createNetworkPolicy = ({ allow = [], deny = [], allowPrivate = false } = {}) => {
+  const allowed = compileEntries(allow);
+  const denied = compileEntries(deny);
+
+  const nonPublic = new net.BlockList();
+  for (const [address, prefix, family] of NON_PUBLIC_RANGES) nonPublic.addSubnet(address, prefix, family);
+
+  /**
+   * Decide whether `hostname` may be reached at `ip`. Returns a reason
+   * string when blocked, null when allowed.
+   */
+  const checkAddress = (hostname, rawIp) => {
+    const ip = normalizeIp(rawIp);
+
+    if (denied.matchesIp(ip)) return `address ${ip} is in the deny list`;
+
+    const explicitlyAllowed = allowed.matchesHost(hostname) || allowed.matchesIp(ip);
+    if (explicitlyAllowed) return null;
+
+    if (allowed.size > 0) return `host ${hostname} is not in the allow list`;
+    if (!allowPrivate && nonPublic.check(ip, familyOf(ip))) return `address ${ip} is private or reserved`;
+
+    return null;
+  };
+
+  /**
+   * Checks that need no DNS: scheme and hostname lists.
+   * Returns a reason string when blocked, null otherwise.
+   */
+  const checkUrlSync = (url) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'invalid URL';
+    }
+
+    if (LOCAL_SCHEMES.includes(parsed.protocol)) return null;
+    if (!['http:', 'https:'].includes(parsed.protocol)) return `scheme ${parsed.protocol} is not allowed`;
+
+    const hostname = stripBrackets(parsed.hostname.toLowerCase());
+    if (denied.matchesHost(hostname)) return `host ${hostname} is in the deny list`;
+
+    // Chrome resolves these itself without asking DNS
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) return checkAddress(hostname, '127.0.0.1');
+
+    return net.isIP(hostname) ? checkAddress(hostname, hostname) : null;
+  };
+
+  /**
+   * Full check: hostname lists plus every address the hostname resolves to.
+   * Resolves to a reason string when blocked, null when allowed.
+   */
+  const checkUrl = async (url) => {
+    const syncReason = checkUrlSync(url);
+    if (syncReason) return syncReason;
+
+    const parsed = new URL(url);
+    if (LOCAL_SCHEMES.includes(parsed.protocol)) return null;
+
+    const hostname = stripBrackets(parsed.hostname.toLowerCase());
+    if (net.isIP(hostname)) return null;
+
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch {
+      return `${UNRESOLVED} ${hostname}`;
+    }
+
+    for (const { address } of addresses) {
+      const reason = checkAddress(hostname, address);
+      if (reason) return reason;
+    }
+    return null;
+  };
+
+  /**
+   * Throw a 403-flavoured error if `url` is blocked. DNS failures get their
+   * own code so callers that retry can treat them as transient.
+   */
+  const assertAllowed = async (url, label = 'URL') => {
+    const reason = await checkUrl(url);
+    if (reason) {
+      throw policyError(`${label} not allowed: ${reason}`, reason.startsWith(UNRESOLVED) ? 'ERR_HOST_UNRESOLVED' : undefined);
+    }
+  };
+
+  // dns.lookup replacement that refuses to hand out blocked addresses
+  const guardedLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+
+      for (const { address } of addresses) {
+        const reason = checkAddress(hostname.toLowerCase(), address);
+        if (reason) return callback(policyError(`Connection blocked: ${reason}`));
+      }
+
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+
+  const dispatcher = new Agent({ connect: { lookup: guardedLookup } });
+
+  /**
+   * fetch() that checks every URL (including redirect hops) and pins the
+   * connection to a checked address.
+   */
+  const safeFetch = async (url, init = {}, maxRedirects = 5) => {
+    let current = url;
+
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+      await assertAllowed(current);
+
+      const response = await undiciFetch(current, { ...init, dispatcher, redirect: 'manual' });
+      const location = response.headers.get('location');
+
+      if (response.status < 300 || response.status >= 400 || !location) return response;
+
+      await response.body?.cancel().catch(() => { });
+      current = new URL(location, current).toString();
+
+      // Like browsers, turn POST redirects into GETs (except 307/308)
+      if (![307, 308].includes(response.status)) {
+        init = { ...init, method: 'GET', body: undefined };
+      }
+    }
+
+    throw Object.assign(new Error(`Too many redirects fetching ${new URL(url).host}`), { code: 'ERR_TOO_MANY_REDIRECTS' });
+  };
+
+  return { checkAddress, checkUrlSync, checkUrl, assertAllowed, safeFetch, guardedLookup };
+};
+
+/**
+ * Policy configured from the environment
+ */
+const createNetworkPolicyFromEnv = (env = process.env) => createNetworkPolicy({
+  allow: splitList(env.NETWORK_ALLOW),
+  deny: splitList(env.NETWORK_DENY),
+  allowPrivate: env.NETWORK_ALLOW_PRIVATE === 'true'
+});
+
+const networkPolicy = createNetworkPolicyFromEnv();
+
+// Blocked requests listed in a render report; counts stay exact beyond this
+const MAX_LISTED_BLOCKED = 100;
+
+/**
+ * Enforce the policy on every request a page makes. Blocked requests are
+ * aborted and recorded. Chrome's own DNS lookup can differ from ours, so the
+ * address each response actually came from is checked too; a response from
+ * a blocked address marks the render as violated. `headersFor(url)` may
+ * return extra headers for an allowed request (see pageAuth.js), and
+ * `requestPolicy` applies a request's own `network` rules first (see
+ * requestPolicy.js). Recorded URLs have their query strings stripped.
+ *
+ * Request interception doesn't see WebSocket connections or keepalive
+ * requests that outlive the page, so those are not checked here.
+ * Returns { blocked, violations, summary() }.
+ */
+const guardPage = async (page, policy = networkPolicy, { headersFor = () => null, requestPolicy = null } = {}) => {
+  const blocked = [];
+  const violations = [];
+  const counts = { blocked: 0, byRule: {}, byResourceType: {}, mocked: 0, rewritten: 0 };
+
+  const block = (request, rule, reason) => {
+    const resourceType = request.resourceType();
+    counts.blocked++;
+    counts.byRule[rule] = (counts.byRule[rule] || 0) + 1;
+    counts.byResourceType[resourceType] = (counts.byResourceType[resourceType] || 0) + 1;
+    if (blocked.length < MAX_LISTED_BLOCKED) blocked.push({ url: stripQuery(request.url()), resourceType, rule, reason });
+    return request.abort('blockedbyclient').catch(() => { });
+  };
+
+  await page.setRequestInterception(true);
+
+  page.on('request', async (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+
+    const decision = requestPolicy ? requestPolicy.decide(request.url(), request.resourceType()) : null;
+    if (decision && decision.action === 'block') return block(request, decision.rule, decision.reason);
+    if (decision && decision.action === 'mock') {
+      counts.mocked++;
+      return request.respond(decision.response).catch(() => { });
+    }
+
+    const target = decision && decision.action === 'rewrite' ? decision.url : request.url();
+    const reason = await policy.checkUrl(target);
+    if (reason) return block(request, 'networkPolicy', reason);
+
+    const headers = headersFor(target);
+    const overrides = {
+      ...(target !== request.url() && { url: target }),
+      ...(headers && { headers: { ...request.headers(), ...headers } })
+    };
+    if (overrides.url) counts.rewritten++;
+    request.continue(Object.keys(overrides).length > 0 ? overrides : undefined).catch(() => { });
+  });
+
+  page.on('response', (response) => {
+    const remote = response.remoteAddress();
+    if (!remote || !remote.ip) return;
+
+    const hostname = stripBrackets(new URL(response.url()).hostname.toLowerCase());
+    const reason = policy.checkAddress(hostname, remote.ip);
+    if (reason) violations.push({ url: stripQuery(response.url()), ip: remote.ip, reason });
+  });
+
+  // Totals for the render report
+  const summary = () => ({
+    blocked: counts.blocked,
+    byRule: { ...counts.byRule },
+    byResourceType: { ...counts.byResourceType },
+    mocked: counts.mocked,
+    rewritten: counts.rewritten,
+    truncated: counts.blocked > blocked.length
+  });
+
+  return { blocked, violations, summary };
+};
+
+/**
+ * Validate the caller-supplied targets of a payload (`url`, `domainName`)
+ * without DNS. Returns an error message, or null when they are usable.
+ */
+const validateNetworkTargets = ({ url, domainName } = {}, policy = networkPolicy) => {
+  if (url) {
+    const reason = policy.checkUrlSync(url);
+    if (reason) return `url not allowed: ${reason}`;
+  }
+
+  if (domainName !== undefined) {
+    if (typeof domainName !== 'string' || !/^https?:\/\//.test(domainName)) {
+      return 'domainName must be an http(s) URL';
+    }
+    const reason = policy.checkUrlSync(domainName);
+    if (reason) return `domainName not allowed: ${reason}`;
+  }
+
+  return null;
+};
+
+/**
+ * Throw if the page loaded anything from a blocked address
+ */
+const assertNoViolations = ({ violations }) => {
+  if (violations.length > 0) {
+    const [first] = violations;
+    throw policyError(`Blocked address reached during render: ${first.reason} (${new URL(first.url).host})`);
+  }
+};
+
+module.exports = {
+  createNetworkPolicy,
+  createNetworkPolicyFromEnv,
+  networkPolicy,
+  guardPage,
+  assertNoViolations,
+  validateNetworkTargets
+};
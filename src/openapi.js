@@ -0,0 +1,103 @@
+const { schemas, validateBody } = require('./schemas');
+
+/**
+ * Route registration that also describes the API
+ *
+ * Routes are added through createApi() instead of app.get/post directly so
+ * each one carries its OpenAPI operation. The same records drive request
+ * body validation, /openapi.json and the endpoint list on GET /.
+ */
+
+const ERROR_RESPONSE = {
+  description: 'Error',
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+};
+
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema: schema ? { $ref: `#/components/schemas/${schema}` } : { type: 'object' } } }
+});
+
+// Express "/jobs/:id" -> OpenAPI "/jobs/{id}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const pathParams = (path) => [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+  name,
+  in: 'path',
+  required: true,
+  schema: { type: 'string' }
+}));
+
+/**
+ * Wrap an express app. `spec` per route:
+ *   operationId  key used in the GET / endpoint list
+ *   summary      one-line description
+ *   body         schema name; the request body is validated against it
+ *   auth         'apiKey' | 'admin' (documented only, middleware does the work)
+ *   responses    OpenAPI responses object (400 is added when `body` is set)
+ */
+const createApi = (app, info) => {
+  const operations = [];
+
+  const route = (method) => (path, spec, ...handlers) => {
+    operations.push({ method, path, spec });
+    app[method](path, ...(spec.body ? [validateBody(spec.body)] : []), ...handlers);
+  };
+
+  const openapi = () => {
+    const paths = {};
+
+    for (const { method, path, spec } of operations) {
+      const key = toOpenApiPath(path);
+      const params = pathParams(path);
+      const responses = { ...spec.responses };
+      if (spec.body && !responses[400]) responses[400] = ERROR_RESPONSE;
+
+      paths[key] = paths[key] || {};
+      paths[key][method] = {
+        operationId: spec.operationId,
+        summary: spec.summary,
+        ...(params.length > 0 && { parameters: params }),
+        ...(spec.body && {
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: `#/components/schemas/${spec.body}` } } }
+          }
+        }),
+        ...(spec.auth && { security: spec.auth === 'admin' ? [{ adminKey: [] }] : [{ apiKey: [] }, { bearer: [] }] }),
+        responses
+      };
+    }
+
+    return {
+      openapi: '3.1.0',
+      info,
+      paths,
+      components: {
+        schemas,
+        securitySchemes: {
+          apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+          bearer: { type: 'http', scheme: 'bearer' },
+          adminKey: { type: 'http', scheme: 'bearer', description: 'An admin API key' }
+        }
+      }
+    };
+  };
+
+  /**
+   * { operationId: 'METHOD /path' } for every registered route
+   */
+  const endpoints = () => Object.fromEntries(
+    operations.map(({ method, path, spec }) => [spec.operationId, `${method.toUpperCase()} ${path}`])
+  );
+
+  return {
+    get: route('get'),
+    post: route('post'),
+    delete: route('delete'),
+    openapi,
+    endpoints
+  };
+};
+
+module.exports = { createApi, jsonResponse, ERROR_RESPONSE };
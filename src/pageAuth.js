@@ -0,0 +1,211 @@
+/**
+ * Authenticated page loads
+ *
+ * Lets a render load pages of the caller's own app as a signed-in user:
+ *
+ *   cookies: [{ name, value, domain, path, secure, httpOnly, sameSite, expires }]
+ *   extraHTTPHeaders: { "Authorization": "Bearer ..." }
+ *   basicAuth: { username, password }
+ *   userAgent: "..."
+ *
+ * Everything is applied before navigation. Headers and basic auth go only to
+ * the origin of `url` (or of `domainName` for html payloads), never to
+ * third-party resources the page pulls in. Cookies without a domain are set
+ * for that origin; a cookie's domain must cover its host.
+ *
+ * Cookie values, header values and the password are secrets: validation
+ * messages name fields but never echo values, and `createRedactor` scrubs
+ * them from errors and diagnostics.
+ */
+
+const { isPlainObject } = require('./shared');
+
+const MAX_COOKIES = 50;
+const MAX_HEADERS = 50;
+const MAX_USER_AGENT = 512;
+const SAME_SITE = ['Strict', 'Lax', 'None'];
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+// Chrome manages these itself; cookies have their own option
+const RESERVED_HEADERS = ['host', 'connection', 'content-length', 'transfer-encoding', 'cookie'];
+const REDACTED = '[redacted]';
+// Shorter values would blank out ordinary text
+const MIN_REDACTED_LENGTH = 4;
+
+const hasLineBreak = (value) => /[\r\n]/.test(value);
+
+/**
+ * The origin that headers, basic auth and default cookies are scoped to
+ */
+const authOrigin = ({ url, domainName } = {}) => {
+  for (const candidate of [url, domainName]) {
+    try {
+      if (candidate) return new URL(candidate).origin;
+    } catch {
+      // Checked by the URL validators
+    }
+  }
+  return null;
+};
+
+const validateCookie = (cookie, at, host) => {
+  if (!isPlainObject(cookie)) return `${at} must be an object`;
+
+  const { name, value, domain, path, secure, httpOnly, sameSite, expires } = cookie;
+
+  if (typeof name !== 'string' || !HEADER_NAME.test(name)) return `${at}.name must be a valid cookie name`;
+  if (typeof value !== 'string' || /[;\r\n]/.test(value)) return `${at}.value must be a string without ";" or line breaks`;
+
+  if (domain !== undefined) {
+    const bare = typeof domain === 'string' ? domain.replace(/^\./, '').toLowerCase() : '';
+    if (!bare || !(host === bare || host.endsWith(`.${bare}`))) return `${at}.domain must be ${host} or a parent domain of it`;
+  }
+
+  if (path !== undefined && (typeof path !== 'string' || !path.startsWith('/'))) return `${at}.path must start with "/"`;
+  if (secure !== undefined && typeof secure !== 'boolean') return `${at}.secure must be a boolean`;
+  if (httpOnly !== undefined && typeof httpOnly !== 'boolean') return `${at}.httpOnly must be a boolean`;
+  if (sameSite !== undefined && !SAME_SITE.includes(sameSite)) return `${at}.sameSite must be one of: ${SAME_SITE.join(', ')}`;
+  if (expires !== undefined && (typeof expires !== 'number' || expires <= 0)) return `${at}.expires must be a unix time in seconds`;
+
+  return null;
+};
+
+/**
+ * Return an error message if the page auth options are unusable, else null
+ */
+const validatePageAuthOptions = (payload = {}) => {
+  const { cookies, extraHTTPHeaders, basicAuth, userAgent } = payload;
+
+  if (userAgent !== undefined) {
+    if (typeof userAgent !== 'string' || userAgent.trim() === '' || hasLineBreak(userAgent)) {
+      return 'userAgent must be a non-empty single-line string';
+    }
+    if (userAgent.length > MAX_USER_AGENT) return `userAgent must be at most ${MAX_USER_AGENT} characters`;
+  }
+
+  if (cookies === undefined && extraHTTPHeaders === undefined && basicAuth === undefined) return null;
+
+  const origin = authOrigin(payload);
+  if (!origin) return 'cookies, extraHTTPHeaders and basicAuth need a url or domainName to scope them to';
+
+  if (extraHTTPHeaders !== undefined) {
+    if (!isPlainObject(extraHTTPHeaders)) return 'extraHTTPHeaders must be an object of header names to values';
+
+    const names = Object.keys(extraHTTPHeaders);
+    if (names.length > MAX_HEADERS) return `extraHTTPHeaders may hold at most ${MAX_HEADERS} headers`;
+
+    for (const name of names) {
+      if (!HEADER_NAME.test(name)) return `extraHTTPHeaders: "${name}" is not a valid header name`;
+      if (RESERVED_HEADERS.includes(name.toLowerCase())) return `extraHTTPHeaders: ${name} cannot be set${name.toLowerCase() === 'cookie' ? ' (use cookies)' : ''}`;
+
+      const value = extraHTTPHeaders[name];
+      if (typeof value !== 'string' || hasLineBreak(value)) return `extraHTTPHeaders.${name} must be a single-line string`;
+    }
+  }
+
+  if (basicAuth !== undefined) {
+    if (!isPlainObject(basicAuth)) return 'basicAuth must be an object with username and password';
+
+    const { username, password } = basicAuth;
+    if (typeof username !== 'string' || username === '' || username.includes(':')) {
+      return 'basicAuth.username must be a non-empty string without ":"';
+    }
+    if (typeof password !== 'string') return 'basicAuth.password must be a string';
+
+    const headerNames = Object.keys(extraHTTPHeaders || {}).map(name => name.toLowerCase());
+    if (headerNames.includes('authorization')) return 'Use either basicAuth or an Authorization header, not both';
+  }
+
+  if (cookies !== undefined) {
+    if (!Array.isArray(cookies)) return 'cookies must be an array';
+    if (cookies.length > MAX_COOKIES) return `cookies may hold at most ${MAX_COOKIES} cookies`;
+
+    const host = new URL(origin).hostname.toLowerCase();
+    for (const [i, cookie] of cookies.entries()) {
+      const error = validateCookie(cookie, `cookies[${i}]`, host);
+      if (error) return error;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Headers to add to a page request, or null. Only requests to the auth
+ * origin get them, so tokens don't leak to CDNs or analytics.
+ */
+const pageAuthHeaders = (payload = {}) => {
+  const { extraHTTPHeaders, basicAuth } = payload;
+  if (!extraHTTPHeaders && !basicAuth) return () => null;
+
+  const origin = authOrigin(payload);
+  const headers = {
+    ...extraHTTPHeaders,
+    ...(basicAuth && {
+      Authorization: `Basic ${Buffer.from(`${basicAuth.username}:${basicAuth.password}`).toString('base64')}`
+    })
+  };
+
+  return (requestUrl) => {
+    try {
+      return new URL(requestUrl).origin === origin ? headers : null;
+    } catch {
+      return null;
+    }
+  };
+};
+
+/**
+ * Set the user agent and cookies on a fresh page. Call before navigating.
+ */
+const applyPageAuth = async (page, payload = {}) => {
+  const { cookies, userAgent } = payload;
+
+  if (userAgent) await page.setUserAgent(userAgent);
+
+  if (cookies && cookies.length > 0) {
+    const origin = authOrigin(payload);
+    try {
+      await page.setCookie(...cookies.map(cookie => (cookie.domain ? cookie : { ...cookie, url: origin })));
+    } catch {
+      // The protocol error may quote the cookie; report it without values
+      throw Object.assign(new Error('Could not set cookies on the page'), { statusCode: 400 });
+    }
+  }
+};
+
+/**
+ * Function that replaces every secret value of a payload in a string
+ */
+const createRedactor = (payload = {}) => {
+  const { cookies = [], extraHTTPHeaders = {}, basicAuth } = payload || {};
+  const secrets = [
+    ...(Array.isArray(cookies) ? cookies.map(cookie => cookie && cookie.value) : []),
+    // "Bearer <token>": the token on its own may turn up in a message too
+    ...(isPlainObject(extraHTTPHeaders)
+      ? Object.values(extraHTTPHeaders).flatMap(value => [value, typeof value === 'string' && value.split(/\s+/).pop()])
+      : []),
+    ...(isPlainObject(basicAuth) ? [
+      basicAuth.password,
+      typeof basicAuth.password === 'string' && Buffer.from(`${basicAuth.username}:${basicAuth.password}`).toString('base64')
+    ] : [])
+  ].filter(secret => typeof secret === 'string' && secret.length >= MIN_REDACTED_LENGTH)
+    // Longest first, so a token isn't left half-replaced by a shorter secret inside it
+    .sort((a, b) => b.length - a.length);
+
+  if (secrets.length === 0) return (text) => text;
+
+  return (text) => (typeof text === 'string' ? secrets.reduce((out, secret) => out.split(secret).join(REDACTED), text) : text);
+};
+
+/**
+ * Scrub secrets from an error's message and stack before it is logged or returned
+ */
+const redactError = (err, redact) => {
+  if (err instanceof Error) {
+    err.message = redact(err.message);
+    if (err.stack) err.stack = redact(err.stack);
+  }
+  return err;
+};
+
+module.exports = { validatePageAuthOptions, pageAuthHeaders, applyPageAuth, createRedactor, redactError };
@@ -0,0 +1,97 @@
+const { PDFDocument } = require('pdf-lib');
+
+/**
+ * Document-level PDF options: metadata, tagging and outline
+ *
+ * `metadata` sets the Info dictionary (title, author, subject, keywords,
+ * creator). Unset title and author fall back to headerInfo.formName and
+ * headerInfo.user. `tagged` and `outline` are passed to page.pdf(); the
+ * outline is built by Chrome from the page's headings and needs tagging.
+ */
+
+const METADATA_FIELDS = ['title', 'author', 'subject', 'keywords', 'creator'];
+
+const isSet = (value) =>
+  (Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && String(value).trim() !== '');
+
+/**
+ * Return an error message if the document options are unusable, else null
+ */
+const validateDocumentOptions = ({ metadata, tagged, outline } = {}) => {
+  if (metadata !== undefined) {
+    if (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata)) {
+      return 'metadata must be an object';
+    }
+
+    const unknown = Object.keys(metadata).find(key => !METADATA_FIELDS.includes(key));
+    if (unknown) return `metadata.${unknown} is not supported (use ${METADATA_FIELDS.join(', ')})`;
+
+    const { keywords, ...text } = metadata;
+    const badText = Object.keys(text).find(key => typeof text[key] !== 'string');
+    if (badText) return `metadata.${badText} must be a string`;
+
+    if (keywords !== undefined && !(Array.isArray(keywords) && keywords.every(k => typeof k === 'string'))) {
+      return 'metadata.keywords must be an array of strings';
+    }
+  }
+
+  if (tagged !== undefined && typeof tagged !== 'boolean') return 'tagged must be a boolean';
+  if (outline !== undefined && typeof outline !== 'boolean') return 'outline must be a boolean';
+  if (outline === true && tagged === false) return 'outline requires a tagged PDF';
+
+  return null;
+};
+
+/**
+ * page.pdf() options for tagging and the heading outline.
+ * Tagged output is on unless turned off.
+ */
+const buildDocumentOptions = ({ tagged = true, outline = false } = {}) => ({ tagged, outline });
+
+/**
+ * Metadata to write for a payload: explicit fields win over headerInfo
+ */
+const resolveMetadata = ({ metadata = {}, headerInfo = {} } = {}) => {
+  const resolved = {
+    title: metadata.title ?? headerInfo.formName,
+    author: metadata.author ?? headerInfo.user,
+    subject: metadata.subject,
+    keywords: metadata.keywords,
+    creator: metadata.creator
+  };
+
+  return Object.fromEntries(Object.entries(resolved).filter(([, value]) => isSet(value)));
+};
+
+/**
+ * Write the payload's metadata into a rendered PDF. Returns the PDF
+ * untouched when there is nothing to set.
+ */
+const applyMetadata = async (pdf, payload) => {
+  const metadata = resolveMetadata(payload);
+  if (Object.keys(metadata).length === 0) return pdf;
+
+  const doc = await PDFDocument.load(pdf, { updateMetadata: false });
+
+  if (metadata.title) doc.setTitle(String(metadata.title), { showInWindowTitleBar: true });
+  if (metadata.author) doc.setAuthor(String(metadata.author));
+  if (metadata.subject) doc.setSubject(metadata.subject);
+  if (metadata.keywords) doc.setKeywords(metadata.keywords);
+  if (metadata.creator) doc.setCreator(metadata.creator);
+
+  return Buffer.from(await doc.save());
+};
+
+/**
+ * Number of pages in a PDF
+ */
+const countPages = async (pdf) => (await PDFDocument.load(pdf, { updateMetadata: false })).getPageCount();
+
+module.exports = {
+  METADATA_FIELDS,
+  validateDocumentOptions,
+  buildDocumentOptions,
+  resolveMetadata,
+  applyMetadata,
+  countPages
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const {
+  PDFDocument, PDFName, PDFNumber, PDFBool, PDFDict, PDFArray, PDFRawStream, PDFString, PDFHexString
+} = require('pdf-lib');
+const { isPlainObject } = require('./shared');
+
+/**
+ * PDF encryption (AES-256, PDF 2.0 standard security handler, revision 6)
+ *
+ * pdf-lib can't encrypt, so this works on its object model: every string
+ * and stream in a freshly loaded document is encrypted with a random file
+ * key, and the /Encrypt dictionary records how to recover that key from
+ * the user or owner password.
+ *
+ *   encryption: {
+ *     userPassword: '...',            needed to open the file ('' opens without one)
+ *     ownerPassword: '...',           lifts the restrictions (random when omitted)
+ *     permissions: { printing: true, copying: false, modifying: false }
+ *   }
+ */
+
+const MAX_PASSWORD_BYTES = 127;
+const DEFAULT_PERMISSIONS = { printing: true, copying: false, modifying: false };
+
+// Permission bits (ISO 32000-2 table 22); bits 7-8 and 13-32 must be set
+const P_RESERVED = 0xfffff0c0;
+const P_PRINT = 1 << 2;
+const P_MODIFY = 1 << 3;
+const P_COPY = 1 << 4;
+const P_ANNOTATE = 1 << 5;
+const P_FILL_FORMS = 1 << 8;
+const P_ACCESSIBILITY = 1 << 9;
+const P_ASSEMBLE = 1 << 10;
+const P_PRINT_HIGH = 1 << 11;
+
+/**
+ * Return an error message if the `encryption` option is unusable, else null
+ */
+const validateEncryptionOptions = ({ encryption } = {}) => {
+  if (encryption === undefined) return null;
+  if (!isPlainObject(encryption)) return 'encryption must be an object';
+
+  const { userPassword, ownerPassword, permissions } = encryption;
+
+  for (const [name, value] of Object.entries({ userPassword, ownerPassword })) {
+    if (value === undefined) continue;
+    if (typeof value !== 'string') return `encryption.${name} must be a string`;
+    if (Buffer.byteLength(value.normalize('NFKC')) > MAX_PASSWORD_BYTES) {
+      return `encryption.${name} must be at most ${MAX_PASSWORD_BYTES} bytes`;
+    }
+  }
+
+  if (ownerPassword !== undefined && ownerPassword !== '' && ownerPassword === userPassword) {
+    return 'encryption.ownerPassword must differ from userPassword, or the restrictions can be lifted by anyone who can open the file';
+  }
+
+  if (permissions !== undefined) {
+    if (!isPlainObject(permissions)) return 'encryption.permissions must be an object';
+
+    const unknown = Object.keys(permissions).find(key => !(key in DEFAULT_PERMISSIONS));
+    if (unknown) return `encryption.permissions.${unknown} is not supported (use ${Object.keys(DEFAULT_PERMISSIONS).join(', ')})`;
+
+    const notBoolean = Object.keys(permissions).find(key => typeof permissions[key] !== 'boolean');
+    if (notBoolean) return `encryption.permissions.${notBoolean} must be a boolean`;
+  }
+
+  return null;
+};
+
+const passwordBytes = (password) => {
+  const bytes = Buffer.from(password.normalize('NFKC'), 'utf8');
+  return bytes.subarray(0, MAX_PASSWORD_BYTES);
+};
+
+const permissionFlags = (permissions) => {
+  const { printing, copying, modifying } = { ...DEFAULT_PERMISSIONS, ...permissions };
+
+  // Screen readers may always extract text
+  let flags = P_RESERVED | P_ACCESSIBILITY;
+  if (printing) flags |= P_PRINT | P_PRINT_HIGH;
+  if (copying) flags |= P_COPY;
+  if (modifying) flags |= P_MODIFY | P_ANNOTATE | P_FILL_FORMS | P_ASSEMBLE;
+
+  return flags | 0;
+};
+
+const aes = (algorithm, key, iv, data, padding) => {
+  const cipher = crypto.createCipheriv(algorithm, key, iv);
+  cipher.setAutoPadding(padding);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+};
+
+// Algorithm 2.B: the revision 6 password hash
+const hashPassword = (password, salt, userKey = Buffer.alloc(0)) => {
+  let k = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+  let e;
+
+  for (let round = 0; round < 64 || e[e.length - 1] > round - 32; round++) {
+    const block = Buffer.concat([password, k, userKey]);
+    e = aes('aes-128-cbc', k.subarray(0, 16), k.subarray(16, 32), Buffer.concat(Array(64).fill(block)), false);
+
+    // The first 16 bytes of E as a big-endian number, mod 3 (256 ≡ 1 mod 3)
+    const next = ['sha256', 'sha384', 'sha512'][e.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3];
+    k = crypto.createHash(next).update(e).digest();
+  }
+
+  return k.subarray(0, 32);
+};
+
+/**
+ * Build the /Encrypt values for a file key (algorithms 8, 9 and 10)
+ */
+const securityHandler = (fileKey, { userPassword, ownerPassword, permissions }) => {
+  const user = passwordBytes(userPassword);
+  const owner = passwordBytes(ownerPassword);
+  const zeroIv = Buffer.alloc(16);
+
+  const userValidationSalt = crypto.randomBytes(8);
+  const userKeySalt = crypto.randomBytes(8);
+  const U = Buffer.concat([hashPassword(user, userValidationSalt), userValidationSalt, userKeySalt]);
+  const UE = aes('aes-256-cbc', hashPassword(user, userKeySalt), zeroIv, fileKey, false);
+
+  const ownerValidationSalt = crypto.randomBytes(8);
+  const ownerKeySalt = crypto.randomBytes(8);
+  const O = Buffer.concat([hashPassword(owner, ownerValidationSalt, U), ownerValidationSalt, ownerKeySalt]);
+  const OE = aes('aes-256-cbc', hashPassword(owner, ownerKeySalt, U), zeroIv, fileKey, false);
+
+  const P = permissionFlags(permissions);
+  const perms = Buffer.alloc(16);
+  perms.writeInt32LE(P, 0);
+  perms.fill(0xff, 4, 8);
+  perms.write('Tadb', 8, 'latin1');
+  crypto.randomBytes(4).copy(perms, 12);
+
+  return { U, UE, O, OE, P, Perms: aes('aes-256-ecb', fileKey, null, perms, false) };
+};
+
+/**
+ * Encrypt every string and stream of `doc` in place (AESV3: random IV
+ * prepended, PKCS#7 padding, the file key used directly)
+ */
+const encryptObjects = (doc, fileKey) => {
+  const encryptBytes = (bytes) => {
+    const iv = crypto.randomBytes(16);
+    return Buffer.concat([iv, aes('aes-256-cbc', fileKey, iv, bytes, true)]);
+  };
+
+  const visit = (object) => {
+    if (object instanceof PDFString || object instanceof PDFHexString) {
+      return PDFHexString.of(encryptBytes(Buffer.from(object.asBytes())).toString('hex'));
+    }
+    if (object instanceof PDFDict) {
+      for (const [key, value] of object.entries()) object.set(key, visit(value));
+      return object;
+    }
+    if (object instanceof PDFArray) {
+      for (let i = 0; i < object.size(); i++) object.set(i, visit(object.get(i)));
+      return object;
+    }
+    if (object instanceof PDFRawStream) {
+      visit(object.dict);
+      return PDFRawStream.of(object.dict, encryptBytes(Buffer.from(object.getContents())));
+    }
+    return object;
+  };
+
+  for (const [ref, object] of doc.context.enumerateIndirectObjects()) {
+    doc.context.assign(ref, visit(object));
+  }
+};
+
+/**
+ * Encrypt a rendered PDF with the payload's `encryption` options. Returns
+ * the PDF untouched when encryption isn't requested.
+ */
+const applyEncryption = async (pdf, { encryption } = {}) => {
+  if (!encryption) return pdf;
+
+  const options = {
+    userPassword: encryption.userPassword || '',
+    ownerPassword: encryption.ownerPassword || crypto.randomBytes(24).toString('base64'),
+    permissions: encryption.permissions
+  };
+
+  const doc = await PDFDocument.load(pdf, { updateMetadata: false });
+  const { context } = doc;
+  const fileKey = crypto.randomBytes(32);
+
+  encryptObjects(doc, fileKey);
+
+  const { U, UE, O, OE, P, Perms } = securityHandler(fileKey, options);
+  const hex = (bytes) => PDFHexString.of(bytes.toString('hex'));
+
+  const encryptDict = context.obj({
+    Filter: 'Standard',
+    V: 5,
+    R: 6,
+    Length: 256,
+    CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+    StmF: 'StdCF',
+    StrF: 'StdCF'
+  });
+  encryptDict.set(PDFName.of('U'), hex(U));
+  encryptDict.set(PDFName.of('UE'), hex(UE));
+  encryptDict.set(PDFName.of('O'), hex(O));
+  encryptDict.set(PDFName.of('OE'), hex(OE));
+  encryptDict.set(PDFName.of('P'), PDFNumber.of(P));
+  encryptDict.set(PDFName.of('Perms'), hex(Perms));
+  encryptDict.set(PDFName.of('EncryptMetadata'), PDFBool.True);
+
+  const id = hex(crypto.randomBytes(16));
+  context.trailerInfo.Encrypt = context.register(encryptDict);
+  context.trailerInfo.ID = context.obj([id, id]);
+
+  // Object streams would hold strings encrypted under the wrong rules
+  return Buffer.from(await doc.save({ useObjectStreams: false, updateFieldAppearances: false }));
+};
+
+module.exports = { validateEncryptionOptions, permissionFlags, applyEncryption };
@@ -0,0 +1,140 @@
+const { PDFArray, PDFDict, PDFDocument, PDFHexString, PDFName, PDFRef, PDFString, StandardFonts, rgb } = require('pdf-lib');
+
+/**
+ * Merge rendered PDFs into one packet
+ *
+ * Documents are appended in the order given. Each one gets a top-level
+ * bookmark pointing at its first page, with the document's own outline
+ * (Chrome's heading bookmarks) nested under it, and the packet opens with
+ * the bookmark panel showing.
+ *
+ * Only page content is copied: the merged PDF is not tagged and has no
+ * per-document metadata.
+ */
+
+const PAGE_NUMBER_SIZE = 8;
+const PAGE_NUMBER_BOTTOM = 20;
+
+// Outline levels deeper than this are flattened away; guards against cyclic trees
+const MAX_OUTLINE_DEPTH = 16;
+
+/**
+ * Read a source document's outline as [{ title, dest, children }], with
+ * each destination moved onto the copied page. `pageRefs` maps source page
+ * refs to copied page refs. Entries pointing elsewhere (named destinations,
+ * other actions) go to `fallback`, the document's first copied page.
+ */
+const readOutline = (source, pageRefs, fallback) => {
+  const { context } = source;
+  const outlines = source.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+  if (!outlines) return [];
+
+  const destOf = (item) => {
+    const action = item.lookupMaybe(PDFName.of('A'), PDFDict);
+    const dest = item.lookupMaybe(PDFName.of('Dest'), PDFArray) || (action && action.lookupMaybe(PDFName.of('D'), PDFArray));
+    const page = dest && dest.get(0) instanceof PDFRef && pageRefs.get(dest.get(0).toString());
+    return page ? [page, ...dest.asArray().slice(1)] : [fallback, 'Fit'];
+  };
+
+  const readLevel = (firstRef, depth) => {
+    const entries = [];
+    const seen = new Set();
+    let ref = firstRef;
+
+    while (ref instanceof PDFRef && !seen.has(ref.toString()) && depth < MAX_OUTLINE_DEPTH) {
+      seen.add(ref.toString());
+      const item = context.lookup(ref, PDFDict);
+      const title = item.lookupMaybe(PDFName.of('Title'), PDFString, PDFHexString);
+
+      entries.push({
+        title: title ? title.decodeText() : '',
+        dest: destOf(item),
+        children: readLevel(item.get(PDFName.of('First')), depth + 1)
+      });
+      ref = item.get(PDFName.of('Next'));
+    }
+    return entries;
+  };
+
+  return readLevel(outlines.get(PDFName.of('First')), 0);
+};
+
+/**
+ * Write `entries` ([{ title, dest, children }]) as the outline items under
+ * `parentRef`. Nested levels start collapsed. Returns { first, last, count }.
+ */
+const writeOutlineItems = (context, parentRef, entries) => {
+  const refs = entries.map(() => context.nextRef());
+
+  entries.forEach(({ title, dest, children = [] }, i) => {
+    const nested = children.length > 0 ? writeOutlineItems(context, refs[i], children) : null;
+
+    context.assign(refs[i], context.obj({
+      Title: PDFHexString.fromText(title),
+      Parent: parentRef,
+      Dest: dest,
+      ...(i > 0 && { Prev: refs[i - 1] }),
+      ...(i < refs.length - 1 && { Next: refs[i + 1] }),
+      ...(nested && { First: nested.first, Last: nested.last, Count: -nested.count })
+    }));
+  });
+
+  return { first: refs[0], last: refs[refs.length - 1], count: refs.length };
+};
+
+// One outline entry per document, its own outline below it
+const addOutline = (doc, entries) => {
+  const { context } = doc;
+  const outlineRef = context.nextRef();
+  const { first, last, count } = writeOutlineItems(context, outlineRef, entries);
+
+  context.assign(outlineRef, context.obj({ Type: 'Outlines', First: first, Last: last, Count: count }));
+
+  doc.catalog.set(PDFName.of('Outlines'), outlineRef);
+  doc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+};
+
+// "Page n of total" centred at the bottom of every page
+const stampPageNumbers = async (doc) => {
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const pages = doc.getPages();
+
+  pages.forEach((page, i) => {
+    const text = `Page ${i + 1} of ${pages.length}`;
+    const width = font.widthOfTextAtSize(text, PAGE_NUMBER_SIZE);
+    page.drawText(text, {
+      x: (page.getWidth() - width) / 2,
+      y: PAGE_NUMBER_BOTTOM,
+      size: PAGE_NUMBER_SIZE,
+      font,
+      color: rgb(0, 0, 0)
+    });
+  });
+};
+
+/**
+ * Merge `documents` ([{ pdf, title }]) into one PDF buffer.
+ * With `continuousPageNumbers`, every page is numbered across the packet.
+ */
+const mergePdfs = async (documents, { continuousPageNumbers = false } = {}) => {
+  const merged = await PDFDocument.create();
+  const outline = [];
+
+  for (const { pdf, title } of documents) {
+    const source = await PDFDocument.load(pdf);
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    if (pages.length === 0) continue;
+
+    pages.forEach(page => merged.addPage(page));
+
+    const pageRefs = new Map(source.getPages().map((page, i) => [page.ref.toString(), pages[i].ref]));
+    outline.push({ title, dest: [pages[0].ref, 'Fit'], children: readOutline(source, pageRefs, pages[0].ref) });
+  }
+
+  if (outline.length > 0) addOutline(merged, outline);
+  if (continuousPageNumbers) await stampPageNumbers(merged);
+
+  return Buffer.from(await merged.save());
+};
+
+module.exports = { mergePdfs };
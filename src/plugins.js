@@ -0,0 +1,38 @@
+const path = require('path');
+const { registerFieldHandler } = require('./formFill');
+const { registerBinaryResolver } = require('./binaryResolvers');
+const { logger } = require('./logger');
+
+/**
+ * Startup plugins
+ *
+ * PLUGINS lists modules (comma-separated paths, relative to the working
+ * directory) that extend the service without changing its code. Each
+ * module exports a function that receives the registration API:
+ *
+ *   module.exports = ({ registerFieldHandler, registerBinaryResolver }) => {
+ *     registerFieldHandler({ types: ['text'], namePattern: /^phone_/, fill: (el, value, ctx) => { ... } });
+ *   };
+ *
+ * A plugin that fails to load stops the service from starting.
+ */
+
+const API = { registerFieldHandler, registerBinaryResolver };
+
+/**
+ * Load and run each plugin module. Returns the resolved paths.
+ */
+const loadPlugins = (modules, api = API) => modules.map(name => {
+  const resolved = path.resolve(name);
+  const plugin = require(resolved);
+  if (typeof plugin !== 'function') throw new Error(`Plugin ${name} must export a function`);
+
+  plugin(api);
+  logger.info('Plugin loaded', { plugin: resolved });
+  return resolved;
+});
+
+const loadPluginsFromEnv = (env = process.env) =>
+  loadPlugins((env.PLUGINS || '').split(',').map(name => name.trim()).filter(Boolean));
+
+module.exports = { loadPlugins, loadPluginsFromEnv };
@@ -0,0 +1,879 @@
+const archiver = require('archiver');
+const pLimit = require('p-limit');
+const { KnownDevices } = require('puppeteer-core');
+const { validateUrl, validateRenderOptions } = require('./validation');
+const { buildHeaderFooter } = require('./templates');
+const { fillForm } = require('./formFill');
+const { resolveBinaryFields } = require('./binaryResolvers');
+const { networkPolicy, guardPage, assertNoViolations } = require('./networkPolicy');
+const { SCREENSHOT_DEFAULT_STRATEGIES, waitForReady, waitForPaint } = require('./waitFor');
+const { createMetrics } = require('./metrics');
+const { logger } = require('./logger');
+const { capturePageDiagnostics } = require('./diagnostics');
+const { mergePdfs } = require('./pdfMerge');
+const { buildDocumentOptions, applyMetadata, countPages } = require('./pdfDocument');
+const { applyWatermarks } = require('./watermark');
+const { applyEncryption } = require('./pdfEncryption');
+const { MANIFEST_NAME, assignFilenames, createManifest } = require('./batchManifest');
+const { etagFor } = require('./renderCache');
+const { pageAuthHeaders, applyPageAuth, createRedactor, redactError } = require('./pageAuth');
+const { compileRequestPolicy } = require('./requestPolicy');
+
+const DEFAULT_VIEWPORT = { width: 1920, height: 1080 };
+
+/**
+ * Apply a payload's watermarks, metadata and encryption to a printed PDF.
+ * Encryption goes last: nothing can edit the file after it.
+ */
+const finishPdf = async (printed, payload) =>
+  applyEncryption(await applyMetadata(await applyWatermarks(printed, payload), payload), payload);
+
+const cancelledError = () => Object.assign(new Error('Render cancelled'), { code: 'ERR_RENDER_CANCELLED' });
+
+/**
+ * Stop a render between phases once its job is cancelled
+ */
+const throwIfCancelled = (signal) => {
+  if (signal && signal.aborted) throw cancelledError();
+};
+
+/**
+ * Close `lease` as soon as `signal` aborts, which also ends the page call in
+ * flight. Returns a function that stops watching.
+ */
+const releaseOnCancel = (lease, signal) => {
+  if (!signal) return () => { };
+  const release = () => lease.release();
+  signal.addEventListener('abort', release, { once: true });
+  return () => signal.removeEventListener('abort', release);
+};
+
+/**
+ * Create a ZIP archive configured the way batch downloads expect
+ */
+const createZipArchive = () => {
+  const archive = archiver('zip', {
+    zlib: { level: 9 } // Maximum compression
+  });
+
+  archive.on('warning', function (err) {
+    if (err.code === 'ENOENT') {
+      logger.warn('Archiver warning', { err });
+    } else {
+      throw err;
+    }
+  });
+
+  archive.on('error', function (err) {
+    throw err;
+  });
+
+  return archive;
+};
+
+/**
+ * Render pipelines shared by the HTTP routes and the async job runner.
+ * Each renderer leases its own context from the browser pool and reports
+ * phase timings, sizes and failures to `metrics`. Single PDFs can be served
+ * from `renderCache` when the caller passes `{ cache: { scope, refresh } }`.
+ */
+const createRenderer = ({ browserPool, metrics = createMetrics(), renderCache = null }) => {
+
+  /**
+   * Look a render up in the cache once its binary fields are resolved.
+   * Resolves to { key, hit }; `key` is null when the render can't be
+   * cached (no cache, no `cache` option, or diagnostics requested).
+   */
+  const lookupCache = async (kind, payload, fieldData, cache) => {
+    if (!renderCache || !cache || payload.diagnostics === true) return { key: null, hit: null };
+
+    const key = renderCache.keyFor(kind, cache.scope, payload, fieldData);
+    if (cache.refresh) return { key, hit: null };
+
+    const hit = await renderCache.get(key);
+    metrics.observeCacheLookup(kind, hit ? 'hit' : 'miss');
+    return { key, hit };
+  };
+
+  /**
+   * Cache a fresh render and describe it for the response ({ status, etag }).
+   * Renders with binary field errors are not stored, since a retry may
+   * resolve them.
+   */
+  const storeInCache = async (key, { pdf, report }, cache) => {
+    if (!renderCache || !cache) return undefined;
+    if (!key || report.binaryErrors.length > 0) return { status: 'BYPASS', etag: etagFor(pdf) };
+
+    try {
+      const entry = await renderCache.set(key, { data: pdf, contentType: 'application/pdf', report }, cache.scope);
+      return { status: cache.refresh ? 'BYPASS' : 'MISS', etag: entry.etag };
+    } catch (err) {
+      logger.error('Render cache write failed', { err });
+      return { status: 'BYPASS', etag: etagFor(pdf) };
+    }
+  };
+
+  /**
+   * Render a single form to PDF (used by /pdf).
+   * Resolves to { pdf, report, cache } where report lists binary field
+   * failures and cache is { status, etag } when caching was asked for.
+   * Aborting `signal` (a cancelled job) closes the page and rejects with
+   * code ERR_RENDER_CANCELLED.
+   */
+  const renderPdf = async (payload, { cache, signal } = {}) => {
+    const {
+      html, url, domainName, fields = {}, fieldTypes, fieldResolvers,
+      dateDisplayFormat = "DD/MM/YYYY", dateTimeDisplayFormat, timeDisplayFormat, timeZone, waitFor,
+      diagnostics: includeDiagnostics = false
+    } = payload;
+
+    const redact = createRedactor(payload);
+    const timer = metrics.startRender('pdf');
+    let lease;
+    let stopWatching = () => { };
+    let diagnostics;
+
+    try {
+      if (url) await networkPolicy.assertAllowed(url);
+
+      /* -------------------------------------------------------
+         FETCH BINARY DATA (SIGNATURES / FILE INPUTS)
+      ------------------------------------------------------- */
+      const { fieldData, binaryErrors } = await resolveBinaryFields(fields, { domainName, fieldResolvers });
+      metrics.observeBinaryErrors(binaryErrors);
+      timer.mark('binaries');
+      throwIfCancelled(signal);
+
+      const { key: cacheKey, hit } = await lookupCache('pdf', payload, fieldData, cache);
+      if (hit) {
+        timer.end(null, { cached: true });
+        return { pdf: hit.data, report: hit.report, cache: { status: 'HIT', etag: hit.etag } };
+      }
+
+      /* -------------------------------------------------------
+         LAUNCH PUPPETEER
+      ------------------------------------------------------- */
+      lease = await browserPool.acquire();
+      stopWatching = releaseOnCancel(lease, signal);
+
+      const page = await lease.context.newPage();
+      const guard = await guardPage(page, networkPolicy, {
+        headersFor: pageAuthHeaders(payload),
+        requestPolicy: compileRequestPolicy(payload.network)
+      });
+      diagnostics = capturePageDiagnostics(page, {}, { redact });
+
+      // Dates rendered by the page itself should match the formatted fields
+      if (timeZone) await page.emulateTimezone(timeZone);
+      await applyPageAuth(page, payload);
+      timer.mark('launch');
+      throwIfCancelled(signal);
+
+      if (url) {
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      } else {
+        await page.setContent(html, { waitUntil: 'domcontentloaded' });
+      }
+      timer.mark('navigation');
+      throwIfCancelled(signal);
+
+      /* -------------------------------------------------------
+         WAIT FOR THE PAGE TO BE READY
+      ------------------------------------------------------- */
+      const wait = await waitForReady(page, waitFor);
+      timer.mark('wait');
+      throwIfCancelled(signal);
+
+      /* -------------------------------------------------------
+         PRINT CSS (CRITICAL)
+      ------------------------------------------------------- */
+      await page.emulateMediaType('print');
+
+      await page.addStyleTag({
+        content: `
+          body { margin:0; padding:0; background:white; }
+          table { width:100%; border-collapse:collapse; page-break-inside:auto; }
+          tr { page-break-inside:avoid; }
+          thead { display:table-header-group; }
+          canvas { display:block; page-break-inside:avoid; }
+          .loading, .spinner { display:none !important; }
+          `
+      });
+
+      const PDF_MARGIN = 40;
+      const PAGE_WIDTH = 595 - 2 * PDF_MARGIN;
+
+      /* -------------------------------------------------------
+         FILL FIELDS + RENDER FILES & SIGNATURES (SYNC SAFE)
+      ------------------------------------------------------- */
+      const { missing: missingFields } = await fillForm(page, {
+        fields, fieldTypes, fieldData, dateDisplayFormat, dateTimeDisplayFormat, timeDisplayFormat, timeZone,
+        pageWidth: PAGE_WIDTH
+      });
+
+      /* -------------------------------------------------------
+         LET FILLED FIELDS PAINT
+      ------------------------------------------------------- */
+      await waitForPaint(page);
+      timer.mark('fill');
+      throwIfCancelled(signal);
+
+      assertNoViolations(guard);
+
+      /* -------------------------------------------------------
+         GENERATE PDF
+      ------------------------------------------------------- */
+      const printed = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        preferCSSPageSize: true,
+        margin: { top: '70px', bottom: '60px', left: '40px', right: '40px' },
+        ...buildHeaderFooter(payload, { headerPreset: 'default' }),
+        ...buildDocumentOptions(payload)
+      });
+      const pdf = await finishPdf(printed, payload);
+
+      timer.mark('pdf');
+      metrics.observeOutput('pdf', pdf);
+      timer.end();
+
+      const report = {
+        binaryErrors,
+        missingFields,
+        blockedRequests: guard.blocked,
+        network: guard.summary(),
+        wait,
+        ...(includeDiagnostics && { diagnostics })
+      };
+      return { pdf, report, cache: await storeInCache(cacheKey, { pdf, report }, cache) };
+    } catch (err) {
+      redactError(err, redact);
+      timer.end(err);
+      if (diagnostics) err.diagnostics = diagnostics;
+      throw err;
+    } finally {
+      stopWatching();
+      if (lease) await lease.release();
+    }
+  };
+
+  /**
+   * Render a single form to PDF with the connector layout (used by /connector-pdf).
+   * Resolves to { pdf, report, cache } like renderPdf.
+   */
+  const renderConnectorPdf = async (payload, { cache, signal } = {}) => {
+    const {
+      html, url, domainName, fields = {}, fieldTypes, fieldResolvers,
+      dateDisplayFormat = "DD/MM/YYYY", dateTimeDisplayFormat, timeDisplayFormat, timeZone, waitFor,
+      diagnostics: includeDiagnostics = false
+    } = payload;
+
+    const redact = createRedactor(payload);
+    const timer = metrics.startRender('connector-pdf');
+    let lease;
+    let stopWatching = () => { };
+    let diagnostics;
+
+    try {
+      if (url) await networkPolicy.assertAllowed(url);
+
+      /* -------------------------------------------------------
+         FETCH BINARY DATA (SIGNATURES / FILE INPUTS)
+      ------------------------------------------------------- */
+      const { fieldData, binaryErrors } = await resolveBinaryFields(fields, { domainName, fieldResolvers });
+      metrics.observeBinaryErrors(binaryErrors);
+      timer.mark('binaries');
+      throwIfCancelled(signal);
+
+      const { key: cacheKey, hit } = await lookupCache('connector-pdf', payload, fieldData, cache);
+      if (hit) {
+        timer.end(null, { cached: true });
+        return { pdf: hit.data, report: hit.report, cache: { status: 'HIT', etag: hit.etag } };
+      }
+
+      /* -------------------------------------------------------
+         LAUNCH PUPPETEER
+      ------------------------------------------------------- */
+      lease = await browserPool.acquire();
+      stopWatching = releaseOnCancel(lease, signal);
+
+      const page = await lease.context.newPage();
+      const guard = await guardPage(page, networkPolicy, {
+        headersFor: pageAuthHeaders(payload),
+        requestPolicy: compileRequestPolicy(payload.network)
+      });
+      diagnostics = capturePageDiagnostics(page, {}, { redact });
+
+      // Dates rendered by the page itself should match the formatted fields
+      if (timeZone) await page.emulateTimezone(timeZone);
+      await applyPageAuth(page, payload);
+      timer.mark('launch');
+      throwIfCancelled(signal);
+
+      if (url) {
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      } else {
+        await page.setContent(html, { waitUntil: 'domcontentloaded' });
+      }
+      timer.mark('navigation');
+      throwIfCancelled(signal);
+
+      /* -------------------------------------------------------
+         WAIT FOR THE PAGE TO BE READY
+      ------------------------------------------------------- */
+      const wait = await waitForReady(page, waitFor);
+      timer.mark('wait');
+      throwIfCancelled(signal);
+
+      /* -------------------------------------------------------
+         PRINT CSS (CRITICAL)
+      ------------------------------------------------------- */
+      await page.emulateMediaType('print');
+
+      await page.addStyleTag({
+        content: `
+          body { margin:0; padding:0; background:white !important; }
+          table { width:100%; border-collapse:collapse; page-break-inside:auto; }
+          tr { page-break-inside:avoid; }
+          thead { display:table-header-group; }
+          canvas { display:block; page-break-inside:avoid; }
+          .loading, .spinner { display:none !important; }
+          @page {
+            margin-top: 70px; /* Matches the margin in page.pdf */
+            margin-bottom: 60px;
+          }
+          input[value="Done"], 
+          input[value="done"],
+          button[value="Done"] {
+            display:none !important;
+          }
+            `
+      });
+
+      const PDF_MARGIN = 40;
+      const PAGE_WIDTH = 595 - 2 * PDF_MARGIN;
+
+      /* -------------------------------------------------------
+         FILL FIELDS + RENDER FILES & SIGNATURES (SYNC SAFE)
+      ------------------------------------------------------- */
+      const { missing: missingFields } = await fillForm(page, {
+        fields, fieldTypes, fieldData, dateDisplayFormat, dateTimeDisplayFormat, timeDisplayFormat, timeZone,
+        pageWidth: PAGE_WIDTH
+      });
+
+      /* -------------------------------------------------------
+         LET FILLED FIELDS PAINT
+      ------------------------------------------------------- */
+      await waitForPaint(page);
+      timer.mark('fill');
+      throwIfCancelled(signal);
+
+      assertNoViolations(guard);
+
+      /* -------------------------------------------------------
+         GENERATE PDF
+      ------------------------------------------------------- */
+      const printed = await page.pdf({
+        format: 'A4',
+        //landscape: true,
+        scale: 0.9,
+        printBackground: true,
+        preferCSSPageSize: true,
+        margin: { top: '70px', bottom: '60px', left: '40px', right: '40px' },
+        ...buildHeaderFooter(payload, { headerPreset: 'centered' }),
+        ...buildDocumentOptions(payload)
+      });
+      const pdf = await finishPdf(printed, payload);
+
+      timer.mark('pdf');
+      metrics.observeOutput('connector-pdf', pdf);
+      timer.end();
+
+      const report = {
+        binaryErrors,
+        missingFields,
+        blockedRequests: guard.blocked,
+        network: guard.summary(),
+        wait,
+        ...(includeDiagnostics && { diagnostics })
+      };
+      return { pdf, report, cache: await storeInCache(cacheKey, { pdf, report }, cache) };
+    } catch (err) {
+      redactError(err, redact);
+      timer.end(err);
+      if (diagnostics) err.diagnostics = diagnostics;
+      throw err;
+    } finally {
+      stopWatching();
+      if (lease) await lease.release();
+    }
+  };
+
+  /**
+   * Render a URL straight to PDF with caller-supplied `page.pdf` options (used by /pdf/base64)
+   */
+  const renderUrlPdf = async (url, options = {}) => {
+    // Never let callers write to the container's filesystem
+    const { path, ...pdfOptions } = options;
+
+    const timer = metrics.startRender('url-pdf');
+    let lease;
+
+    try {
+      await networkPolicy.assertAllowed(url);
+
+      lease = await browserPool.acquire();
+      const page = await lease.context.newPage();
+      const guard = await guardPage(page);
+      capturePageDiagnostics(page);
+      timer.mark('launch');
+
+      await page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: 60000
+      });
+      timer.mark('navigation');
+
+      assertNoViolations(guard);
+
+      const pdf = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        ...pdfOptions
+      });
+
+      timer.mark('pdf');
+      metrics.observeOutput('url-pdf', pdf);
+      timer.end();
+
+      return pdf;
+    } catch (err) {
+      timer.end(err);
+      throw err;
+    } finally {
+      if (lease) await lease.release();
+    }
+  };
+
+  /**
+   * Capture a URL or raw HTML as an image (used by /screenshot).
+   * Captures the full page by default, or a single element (`selector`) or
+   * rectangle (`clip`). Resolves to { screenshot, report }.
+   */
+  const renderScreenshot = async (payload) => {
+    const {
+      html, url, type = 'png', quality, selector, clip, viewport, deviceScaleFactor, device,
+      omitBackground = false, colorScheme, waitFor = SCREENSHOT_DEFAULT_STRATEGIES, diagnostics: includeDiagnostics = false
+    } = payload;
+
+    const fullPage = payload.fullPage ?? !(selector || clip);
+
+    const redact = createRedactor(payload);
+    const timer = metrics.startRender('screenshot');
+    let lease;
+    let diagnostics;
+
+    try {
+      if (url) await networkPolicy.assertAllowed(url);
+
+      lease = await browserPool.acquire();
+      const page = await lease.context.newPage();
+      const guard = await guardPage(page, networkPolicy, {
+        headersFor: pageAuthHeaders(payload),
+        requestPolicy: compileRequestPolicy(payload.network)
+      });
+      diagnostics = capturePageDiagnostics(page, {}, { redact });
+
+      /* -------------------------------------------------------
+         DEVICE / VIEWPORT EMULATION
+      ------------------------------------------------------- */
+      const preset = device ? KnownDevices[device] : null;
+      if (preset) await page.emulate(preset);
+
+      if (!preset || viewport || deviceScaleFactor) {
+        await page.setViewport({
+          ...(preset ? preset.viewport : DEFAULT_VIEWPORT),
+          ...viewport,
+          ...(deviceScaleFactor && { deviceScaleFactor })
+        });
+      }
+
+      if (colorScheme) {
+        await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: colorScheme }]);
+      }
+
+      // After device emulation, so an explicit userAgent wins over the preset's
+      await applyPageAuth(page, payload);
+      timer.mark('launch');
+
+      if (url) {
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+      } else {
+        await page.setContent(html, { waitUntil: 'networkidle2', timeout: 30000 });
+      }
+      timer.mark('navigation');
+
+      const wait = await waitForReady(page, waitFor);
+      timer.mark('wait');
+
+      assertNoViolations(guard);
+
+      /* -------------------------------------------------------
+         CAPTURE
+      ------------------------------------------------------- */
+      const options = { type, omitBackground };
+      if (quality !== undefined && type !== 'png') {
+        options.quality = Math.min(Math.max(quality, 0), 100);
+      }
+
+      let screenshot;
+      if (selector) {
+        const element = await page.$(selector);
+        if (!element) {
+          throw Object.assign(new Error(`No element matches selector "${selector}"`), { code: 'ERR_SELECTOR_NOT_FOUND' });
+        }
+        screenshot = await element.screenshot(options);
+      } else {
+        screenshot = await page.screenshot({ ...options, fullPage, ...(clip && { clip }) });
+      }
+
+      timer.mark('screenshot');
+      metrics.observeOutput('screenshot', screenshot);
+      timer.end();
+
+      return {
+        screenshot,
+        report: { blockedRequests: guard.blocked, network: guard.summary(), wait, ...(includeDiagnostics && { diagnostics }) }
+      };
+    } catch (err) {
+      redactError(err, redact);
+      timer.end(err);
+      if (diagnostics) err.diagnostics = diagnostics;
+      throw err;
+    } finally {
+      if (lease) await lease.release();
+    }
+  };
+
+  /**
+   * Render every batch item, 5 at a time, handing each finished PDF to
+   * `addDocument(index, { pdf, filename, title })`. `onItem(index, status, error, details)`
+   * is called as items move through running/completed/failed/skipped/cancelled,
+   * and `isCancelled()` is checked before each item starts. Aborting `signal`
+   * also stops the items already running, which end up cancelled. With
+   * `continuousPageNumbers` the per-item default footer is dropped, since the
+   * merged packet is numbered as a whole. `merged` items are printed untagged
+   * (unless they need tags for their outline), since merging drops the
+   * structure tree anyway.
+   *
+   * Resolves to the batch manifest. With `failOnError`, the first failed or
+   * skipped item stops the batch: items not yet started are cancelled and
+   * the promise rejects with code ERR_BATCH_ITEM_FAILED and `err.manifest`.
+   */
+  const renderBatch = async (batch, addDocument, {
+    onItem: notifyItem = () => { },
+    isCancelled = () => false,
+    signal,
+    continuousPageNumbers = false,
+    merged = false,
+    failOnError = false
+  } = {}) => {
+    const filenames = assignFilenames(batch);
+    const manifest = createManifest(batch, filenames);
+    let failure = null;
+
+    // Count and record every item's final status, however it ends
+    const onItem = (index, status, error, details) => {
+      if (status !== 'running') {
+        metrics.observeBatchItem(status);
+        manifest.record(index, status, error, details);
+      }
+      if (failOnError && !failure && (status === 'failed' || status === 'skipped')) {
+        failure = { index, status, error };
+      }
+      const id = batch[index] && batch[index].id;
+      notifyItem(index, status, error, id === undefined ? details : { ...details, id });
+    };
+
+    /* -------------------------------------------------------
+       SET CONCURRENCY LIMIT (Processing 5 PDFs simultaneously)
+    ------------------------------------------------------- */
+    const limit = pLimit(5);
+
+    /* -------------------------------------------------------
+       MAP ITEMS TO CONCURRENT PROMISES
+    ------------------------------------------------------- */
+    const processingPromises = batch.map((item, i) => limit(async () => {
+      if (failure) {
+        onItem(i, 'cancelled', `Batch stopped after item ${failure.index} ${failure.status}`);
+        return;
+      }
+
+      if (isCancelled()) {
+        onItem(i, 'cancelled');
+        return;
+      }
+
+      const {
+        html, url, domainName, headerInfo = {}, fields = {}, fieldTypes, fieldResolvers,
+        dateDisplayFormat = "DD/MM/YYYY", dateTimeDisplayFormat, timeDisplayFormat, timeZone, waitFor,
+        diagnostics: includeDiagnostics = false
+      } = item;
+
+      if (!html && !url) {
+        logger.warn('Batch item skipped', { item: i, reason: 'Missing html or url' });
+        onItem(i, 'skipped', 'Missing html or url');
+        return; // Skip invalid items
+      }
+
+      if (url && !validateUrl(url)) {
+        logger.warn('Batch item skipped', { item: i, reason: 'Invalid URL' });
+        onItem(i, 'skipped', 'Invalid URL');
+        return;
+      }
+
+      const optionsError = validateRenderOptions(item);
+      if (optionsError) {
+        logger.warn('Batch item skipped', { item: i, reason: optionsError });
+        onItem(i, 'skipped', optionsError);
+        return;
+      }
+
+      onItem(i, 'running');
+      const redact = createRedactor(item);
+      const started = Date.now();
+      let timer;
+      let fieldData;
+      let binaryErrors = [];
+      let lease;
+      let stopWatching = () => { };
+      let guard;
+      let wait;
+      let diagnostics;
+
+      // Anything that throws from here on fails this item only
+      try {
+        timer = metrics.startRender('batch-item');
+
+        /* -------------------------------------------------------
+           FETCH BINARY DATA (SIGNATURES / FILE INPUTS)
+        ------------------------------------------------------- */
+        ({ fieldData, binaryErrors } = await resolveBinaryFields(fields, { domainName, fieldResolvers }));
+        metrics.observeBinaryErrors(binaryErrors);
+        timer.mark('binaries');
+        throwIfCancelled(signal);
+
+        /* -------------------------------------------------------
+           PROCESS PAGE (ISOLATED CONTEXT PER ITEM)
+        ------------------------------------------------------- */
+        if (url) await networkPolicy.assertAllowed(url);
+
+        lease = await browserPool.acquire();
+        stopWatching = releaseOnCancel(lease, signal);
+        const page = await lease.context.newPage();
+        guard = await guardPage(page, networkPolicy, {
+          headersFor: pageAuthHeaders(item),
+          requestPolicy: compileRequestPolicy(item.network)
+        });
+        diagnostics = capturePageDiagnostics(page, { item: i }, { redact });
+
+        if (timeZone) await page.emulateTimezone(timeZone);
+        await applyPageAuth(page, item);
+        timer.mark('launch');
+        throwIfCancelled(signal);
+
+        if (url) {
+          await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        } else {
+          await page.setContent(html, { waitUntil: 'domcontentloaded' });
+        }
+        timer.mark('navigation');
+        throwIfCancelled(signal);
+
+        /* -------------------------------------------------------
+           WAIT FOR THE PAGE TO BE READY
+        ------------------------------------------------------- */
+        wait = await waitForReady(page, waitFor);
+        timer.mark('wait');
+        throwIfCancelled(signal);
+
+        /* -------------------------------------------------------
+           PRINT CSS (CRITICAL)
+        ------------------------------------------------------- */
+        await page.emulateMediaType('print');
+
+        await page.addStyleTag({
+          content: `
+          body { margin:0; padding:0; background:white; }
+          table { width:100%; border-collapse:collapse; page-break-inside:auto; }
+          tr { page-break-inside:avoid; }
+          thead { display:table-header-group; }
+          canvas { display:block; page-break-inside:avoid; }
+          .loading, .spinner { display:none !important; }
+        `
+        });
+
+        const PDF_MARGIN = 40;
+        const PAGE_WIDTH = 595 - 2 * PDF_MARGIN;
+
+        /* -------------------------------------------------------
+           FILL FIELDS + RENDER FILES & SIGNATURES
+        ------------------------------------------------------- */
+        const { missing: missingFields } = await fillForm(page, {
+          fields, fieldTypes, fieldData, dateDisplayFormat, dateTimeDisplayFormat, timeDisplayFormat, timeZone,
+          pageWidth: PAGE_WIDTH
+        });
+
+        /* -------------------------------------------------------
+           FINAL WAIT & GENERATE PDF BUFFER
+        ------------------------------------------------------- */
+        // Make sure canvas paints are committed before snapshot
+        await waitForPaint(page);
+        timer.mark('fill');
+        throwIfCancelled(signal);
+
+        assertNoViolations(guard);
+
+        const printed = await page.pdf({
+          format: 'A4',
+          printBackground: true,
+          preferCSSPageSize: true,
+          margin: { top: '70px', bottom: '60px', left: '40px', right: '40px' },
+          ...buildHeaderFooter(item, { headerPreset: 'default', ...(continuousPageNumbers && { footerPreset: 'none' }) }),
+          ...buildDocumentOptions(merged ? { ...item, tagged: item.outline === true } : item)
+        });
+        const pdfBuffer = await finishPdf(printed, item);
+        const pages = await countPages(printed);
+        timer.mark('pdf');
+        metrics.observeOutput('batch-item', pdfBuffer);
+
+        // Bookmark title in a merged packet
+        const title = item.metadata?.title ||
+          [headerInfo?.formName || `Document ${i + 1}`, headerInfo?.user].filter(Boolean).join(' – ');
+
+        /* -------------------------------------------------------
+           HAND OFF THE DOCUMENT (ZIP STREAM OR MERGE)
+        ------------------------------------------------------- */
+        addDocument(i, { pdf: Buffer.from(pdfBuffer), filename: filenames[i], title });
+        timer.end();
+        onItem(i, 'completed', null, {
+          pages,
+          bytes: pdfBuffer.length,
+          durationMs: Date.now() - started,
+          binaryErrors,
+          missingFields,
+          blockedRequests: guard.blocked,
+          network: guard.summary(),
+          wait,
+          ...(includeDiagnostics && { diagnostics })
+        });
+
+      } catch (itemErr) {
+        if (timer) timer.end(itemErr);
+        if (signal && signal.aborted) {
+          onItem(i, 'cancelled', null, { durationMs: Date.now() - started });
+          return;
+        }
+
+        redactError(itemErr, redact);
+        logger.error('Batch item failed', { item: i, err: itemErr });
+        onItem(i, 'failed', itemErr.message, {
+          durationMs: Date.now() - started,
+          binaryErrors,
+          blockedRequests: guard ? guard.blocked : [],
+          ...(guard && { network: guard.summary() }),
+          wait: wait || itemErr.wait,
+          ...(includeDiagnostics && diagnostics && { diagnostics })
+        });
+        // Continue with next items even if one fails
+      } finally {
+        stopWatching();
+        // Return the context to the pool immediately after use
+        if (lease) await lease.release();
+      }
+    }));
+
+    /* -------------------------------------------------------
+       WAIT FOR ALL CONCURRENT PROCESSES TO FINISH
+    ------------------------------------------------------- */
+    await Promise.all(processingPromises);
+
+    if (failure) {
+      const err = new Error(`Batch stopped: item ${failure.index} ${failure.status}: ${failure.error}`);
+      err.statusCode = 422;
+      err.code = 'ERR_BATCH_ITEM_FAILED';
+      err.manifest = manifest.toJSON();
+      throw err;
+    }
+
+    return manifest.toJSON();
+  };
+
+  /**
+   * Render a batch into `archive`, followed by its manifest.json.
+   * Resolves to the manifest.
+   */
+  const renderBatchToArchive = async (batch, archive, hooks) => {
+    const manifest = await renderBatch(batch, (i, { pdf, filename }) => archive.append(pdf, { name: filename }), hooks);
+    archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_NAME });
+    return manifest;
+  };
+
+  /**
+   * Render a batch into an in-memory ZIP buffer (used by async jobs and
+   * failOnError requests). Resolves to { zip, manifest }.
+   */
+  const renderBatchZip = async (batch, hooks) => {
+    const archive = createZipArchive();
+    const chunks = [];
+    const ended = new Promise(resolve => archive.on('end', resolve));
+    archive.on('data', chunk => chunks.push(chunk));
+
+    let manifest;
+    try {
+      manifest = await renderBatchToArchive(batch, archive, hooks);
+    } catch (err) {
+      archive.abort();
+      throw err;
+    }
+    await archive.finalize();
+    await ended;
+
+    return { zip: Buffer.concat(chunks), manifest };
+  };
+
+  /**
+   * Render a batch into one PDF, in request order, with a bookmark per item.
+   * Skipped and failed items are left out; see the onItem reports for why.
+   * `encryption` protects the whole packet. Resolves to { pdf, manifest }.
+   */
+  const renderBatchMerged = async (batch, { continuousPageNumbers = false, encryption, ...hooks } = {}) => {
+    const documents = [];
+    const manifest = await renderBatch(batch, (i, document) => { documents[i] = document; }, { ...hooks, continuousPageNumbers, merged: true });
+
+    const rendered = documents.filter(Boolean);
+    if (rendered.length === 0) {
+      const err = new Error('No batch item could be rendered');
+      err.statusCode = 422;
+      err.manifest = manifest;
+      throw err;
+    }
+
+    const pdf = await applyEncryption(await mergePdfs(rendered, { continuousPageNumbers }), { encryption });
+    metrics.observeOutput('batch-merged', pdf);
+    return { pdf, manifest };
+  };
+
+  return {
+    renderPdf,
+    renderConnectorPdf,
+    renderUrlPdf,
+    renderScreenshot,
+    renderBatch,
+    renderBatchToArchive,
+    renderBatchZip,
+    renderBatchMerged
+  };
+};
+
+module.exports = { createRenderer, createZipArchive };
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * Content-addressed render cache
+ *
+ * A render is keyed by a SHA-256 of everything that decides its output:
+ * the route, the tenant, the payload (HTML or URL, fields, options,
+ * templates) and the binary field data as resolved for this request, so a
+ * changed signature image is a new key. Entries expire after `ttlMs` and
+ * the least recently used ones are evicted beyond `maxBytes`.
+ *
+ * Blobs live in memory or in a directory; entries are
+ *
+ *   { key, scope, data, contentType, report, etag, size, createdAt, expiresAt }
+ */
+
+// Request fields that change the response but not the rendered document
+const RESPONSE_ONLY_FIELDS = ['responseType', 'noCache'];
+
+const DEFAULTS = {
+  ttlMs: 60 * 60 * 1000,
+  maxBytes: 256 * 1024 * 1024
+};
+
+/**
+ * JSON with object keys sorted, so equal payloads hash equally
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const etagFor = (data) => `"${crypto.createHash('sha256').update(data).digest('hex').slice(0, 32)}"`;
+
+/**
+ * Blobs kept in process memory
+ */
+const createMemoryBlobs = () => {
+  const blobs = new Map();
+  return {
+    name: 'memory',
+    read: async (key) => blobs.get(key) || null,
+    write: async (key, data) => { blobs.set(key, data); },
+    remove: async (key) => { blobs.delete(key); },
+    load: async () => []
+  };
+};
+
+/**
+ * Blobs in a directory: <key>.bin next to <key>.json holding the entry
+ * without its data, so the cache survives a restart
+ */
+const createDiskBlobs = ({ dir }) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = (key, ext) => path.join(dir, `${key}.${ext}`);
+
+  return {
+    name: 'disk',
+    read: async (key) => fs.promises.readFile(file(key, 'bin')).catch(() => null),
+    write: async (key, data, meta) => {
+      await fs.promises.writeFile(file(key, 'bin'), data);
+      await fs.promises.writeFile(file(key, 'json'), JSON.stringify(meta));
+    },
+    remove: async (key) => {
+      await fs.promises.rm(file(key, 'json'), { force: true });
+      await fs.promises.rm(file(key, 'bin'), { force: true });
+    },
+    load: async () => {
+      const names = (await fs.promises.readdir(dir)).filter(name => /^[0-9a-f]{64}\.json$/.test(name));
+      const metas = await Promise.all(names.map(name =>
+        fs.promises.readFile(path.join(dir, name), 'utf8').then(JSON.parse).catch(() => null)));
+      return metas.filter(Boolean);
+    }
+  };
+};
+
+const createRenderCache = ({ blobs = createMemoryBlobs(), ttlMs = DEFAULTS.ttlMs, maxBytes = DEFAULTS.maxBytes } = {}) => {
+  // key -> entry without data, in least-recently-used order
+  const index = new Map();
+  // key -> pending set(), so writes of one key don't interleave on disk
+  const writing = new Map();
+  let totalBytes = 0;
+
+  const drop = async (key) => {
+    const meta = index.get(key);
+    if (!meta) return;
+    index.delete(key);
+    totalBytes -= meta.size;
+    await blobs.remove(key).catch(err => logger.error('Render cache removal failed', { err }));
+  };
+
+  const loaded = blobs.load()
+    .then(metas => {
+      for (const meta of metas.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))) {
+        index.set(meta.key, meta);
+        totalBytes += meta.size;
+      }
+    })
+    .catch(err => logger.error('Render cache load failed', { err }));
+
+  /**
+   * Cache key for a render of `kind` by tenant `scope`
+   */
+  const keyFor = (kind, scope, payload, fieldData) => {
+    const relevant = Object.fromEntries(Object.entries(payload).filter(([name]) => !RESPONSE_ONLY_FIELDS.includes(name)));
+    return crypto.createHash('sha256').update(canonicalJson({ kind, scope, payload: relevant, fieldData })).digest('hex');
+  };
+
+  /**
+   * The live entry for `key`, or null
+   */
+  const get = async (key) => {
+    await loaded;
+    const meta = index.get(key);
+    if (!meta) return null;
+
+    if (Date.parse(meta.expiresAt) <= Date.now()) {
+      await drop(key);
+      return null;
+    }
+
+    const data = await blobs.read(key);
+    if (!data) {
+      await drop(key);
+      return null;
+    }
+
+    // Most recently used goes last
+    index.delete(key);
+    index.set(key, meta);
+    return { ...meta, data };
+  };
+
+  /**
+   * Store a render and return its entry. Renders larger than the whole
+   * cache are not stored.
+   */
+  const set = async (key, { data, contentType, report }, scope) => {
+    await loaded;
+    const now = Date.now();
+    const meta = {
+      key,
+      scope,
+      contentType,
+      report,
+      etag: etagFor(data),
+      size: data.length,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString()
+    };
+    if (meta.size > maxBytes) return { ...meta, data };
+
+    const previous = writing.get(key);
+    const write = (previous || Promise.resolve()).then(async () => {
+      // Writing the same key overwrites the blob; the old entry is looked up
+      // only after the write, when earlier sets of this key have finished
+      await blobs.write(key, data, meta);
+      const replaced = index.get(key);
+      if (replaced) {
+        index.delete(key);
+        totalBytes -= replaced.size;
+      }
+      index.set(key, meta);
+      totalBytes += meta.size;
+    });
+    const settled = write.catch(() => { });
+    writing.set(key, settled);
+
+    try {
+      await write;
+    } finally {
+      if (writing.get(key) === settled) writing.delete(key);
+    }
+
+    for (const oldest of index.keys()) {
+      if (totalBytes <= maxBytes) break;
+      await drop(oldest);
+    }
+    return { ...meta, data };
+  };
+
+  /**
+   * Remove every entry, or only those of one tenant. Resolves to the count.
+   */
+  const purge = async ({ scope } = {}) => {
+    await loaded;
+    const keys = [...index.values()].filter(meta => scope === undefined || meta.scope === scope).map(meta => meta.key);
+    for (const key of keys) await drop(key);
+    return keys.length;
+  };
+
+  const stats = () => ({ store: blobs.name, entries: index.size, bytes: totalBytes, maxBytes, ttlMs });
+
+  return { keyFor, get, set, purge, stats };
+};
+
+/**
+ * Cache configured from RENDER_CACHE_* variables, or null when
+ * RENDER_CACHE is unset
+ */
+const createRenderCacheFromEnv = (env = process.env) => {
+  let blobs;
+  if (env.RENDER_CACHE === 'memory') {
+    blobs = createMemoryBlobs();
+  } else if (env.RENDER_CACHE === 'disk') {
+    if (!env.RENDER_CACHE_DIR) throw new Error('RENDER_CACHE=disk needs RENDER_CACHE_DIR');
+    blobs = createDiskBlobs({ dir: env.RENDER_CACHE_DIR });
+  } else if (env.RENDER_CACHE) {
+    throw new Error(`Unknown RENDER_CACHE "${env.RENDER_CACHE}" (use memory or disk)`);
+  } else {
+    return null;
+  }
+
+  return createRenderCache({
+    blobs,
+    ttlMs: parseInt(env.RENDER_CACHE_TTL_MS, 10) || DEFAULTS.ttlMs,
+    maxBytes: parseInt(env.RENDER_CACHE_MAX_BYTES, 10) || DEFAULTS.maxBytes
+  });
+};
+
+/**
+ * Whether an If-None-Match header matches `etag`
+ */
+const matchesEtag = (header, etag) =>
+  Boolean(header && etag) && header.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === '*' || tag === etag);
+
+module.exports = {
+  canonicalJson,
+  etagFor,
+  createMemoryBlobs,
+  createDiskBlobs,
+  createRenderCache,
+  createRenderCacheFromEnv,
+  matchesEtag
+};
@@ -0,0 +1,200 @@
+/**
+ * Per-request interception rules (`network` option)
+ *
+ * Decides, for each request a page makes, whether to block it, answer it
+ * with a canned response or send it somewhere else:
+ *
+ *   network: {
+ *     blockResourceTypes: ['media', 'font'],            by Chrome resource type
+ *     blockUrls: ['*://fonts.googleapis.com/*', '*.hotjar.com'],
+ *     blockTrackers: true,                              built-in analytics/ads list
+ *     offline: true,                                    html input only: nothing but data:/blob: URLs
+ *     allowHosts: ['cdn.acme.com'],                     ...and these hosts
+ *     mocks: [{ url, status, contentType, headers, body, base64 }],
+ *     rewrites: [{ url, to }]
+ *   }
+ *
+ * Patterns containing "://" match the whole URL with `*` as a wildcard;
+ * other patterns match the hostname (`app.example.com`, `*.example.com`).
+ * The service-wide network policy still applies to everything that isn't
+ * blocked or mocked here, including rewrite targets.
+ */
+
+const { networkPolicy } = require('./networkPolicy');
+const { LOCAL_SCHEMES, isPlainObject } = require('./shared');
+
+const RESOURCE_TYPES = [
+  'image', 'media', 'font', 'stylesheet', 'script', 'xhr', 'fetch',
+  'websocket', 'eventsource', 'manifest', 'texttrack', 'ping', 'prefetch', 'other'
+];
+
+// Analytics, tag managers, session recorders and ad networks (subdomains included)
+const TRACKER_HOSTS = [
+  'google-analytics.com', 'googletagmanager.com', 'googleadservices.com', 'googlesyndication.com',
+  'doubleclick.net', 'adservice.google.com', 'connect.facebook.net',
+  'hotjar.com', 'hotjar.io', 'clarity.ms', 'fullstory.com', 'mouseflow.com', 'smartlook.com',
+  'segment.com', 'segment.io', 'mixpanel.com', 'amplitude.com', 'heap.io', 'heapanalytics.com',
+  'js-agent.newrelic.com', 'nr-data.net', 'bat.bing.com', 'snap.licdn.com', 'ads.linkedin.com',
+  'static.ads-twitter.com', 'analytics.twitter.com', 'analytics.tiktok.com', 'quantserve.com',
+  'scorecardresearch.com', 'hs-analytics.net', 'hs-scripts.com', 'intercom.io', 'intercomcdn.com',
+  'optimizely.com', 'crazyegg.com', 'matomo.cloud', 'plausible.io', 'statcounter.com'
+];
+
+const OPTIONS = ['blockResourceTypes', 'blockUrls', 'blockTrackers', 'offline', 'allowHosts', 'mocks', 'rewrites'];
+const MAX_PATTERNS = 100;
+const MAX_MOCKS = 50;
+const MAX_MOCK_BODY = 1024 * 1024;
+
+const isPatternList = (value) =>
+  Array.isArray(value) && value.length <= MAX_PATTERNS && value.every(p => typeof p === 'string' && p.trim() !== '');
+
+const escapeRegExp = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile a URL or hostname pattern to (url, hostname) => boolean
+ */
+const compilePattern = (pattern) => {
+  if (pattern.includes('://')) {
+    const regex = new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`, 'i');
+    return (url) => regex.test(url);
+  }
+
+  const host = pattern.toLowerCase();
+  return (url, hostname) => (host.startsWith('*.')
+    ? hostname.endsWith(host.slice(1)) && hostname.length > host.length - 1
+    : hostname === host);
+};
+
+const isTracker = (hostname) => TRACKER_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+
+const validateMock = (mock, at) => {
+  if (!isPlainObject(mock)) return `${at} must be an object`;
+
+  const { url, status, contentType, headers, body, base64 } = mock;
+  if (typeof url !== 'string' || url.trim() === '') return `${at}.url must be a URL or hostname pattern`;
+  if (status !== undefined && !(Number.isInteger(status) && status >= 100 && status <= 599)) return `${at}.status must be an HTTP status code`;
+  if (contentType !== undefined && typeof contentType !== 'string') return `${at}.contentType must be a string`;
+  if (headers !== undefined && !(isPlainObject(headers) && Object.values(headers).every(v => typeof v === 'string'))) {
+    return `${at}.headers must be an object of string values`;
+  }
+  if (body !== undefined && typeof body !== 'string') return `${at}.body must be a string`;
+  if (body !== undefined && body.length > MAX_MOCK_BODY) return `${at}.body must be at most ${MAX_MOCK_BODY} characters`;
+  if (base64 !== undefined && typeof base64 !== 'boolean') return `${at}.base64 must be a boolean`;
+  return null;
+};
+
+/**
+ * Return an error message if the `network` option is unusable, else null.
+ * Rewrite targets are checked against the service network policy without DNS.
+ */
+const validateRequestPolicyOptions = ({ network, url } = {}, policy = networkPolicy) => {
+  if (network === undefined) return null;
+  if (!isPlainObject(network)) return 'network must be an object';
+
+  const unknown = Object.keys(network).find(key => !OPTIONS.includes(key));
+  if (unknown) return `network.${unknown} is not supported (use ${OPTIONS.join(', ')})`;
+
+  const { blockResourceTypes, blockUrls, blockTrackers, offline, allowHosts, mocks, rewrites } = network;
+
+  if (blockResourceTypes !== undefined &&
+    !(Array.isArray(blockResourceTypes) && blockResourceTypes.every(type => RESOURCE_TYPES.includes(type)))) {
+    return `network.blockResourceTypes must list resource types from: ${RESOURCE_TYPES.join(', ')}`;
+  }
+  if (blockUrls !== undefined && !isPatternList(blockUrls)) {
+    return `network.blockUrls must be a list of up to ${MAX_PATTERNS} URL or hostname patterns`;
+  }
+  if (blockTrackers !== undefined && typeof blockTrackers !== 'boolean') return 'network.blockTrackers must be a boolean';
+
+  if (offline !== undefined && typeof offline !== 'boolean') return 'network.offline must be a boolean';
+  if (offline && url) return 'network.offline only applies to html input';
+  if (allowHosts !== undefined) {
+    if (!offline) return 'network.allowHosts only applies with network.offline';
+    if (!isPatternList(allowHosts) || allowHosts.some(p => p.includes('://'))) {
+      return `network.allowHosts must be a list of up to ${MAX_PATTERNS} hostnames or *.wildcards`;
+    }
+  }
+
+  if (mocks !== undefined) {
+    if (!Array.isArray(mocks) || mocks.length > MAX_MOCKS) return `network.mocks must be a list of up to ${MAX_MOCKS} mocks`;
+    for (const [i, mock] of mocks.entries()) {
+      const error = validateMock(mock, `network.mocks[${i}]`);
+      if (error) return error;
+    }
+  }
+
+  if (rewrites !== undefined) {
+    if (!Array.isArray(rewrites) || rewrites.length > MAX_MOCKS) return `network.rewrites must be a list of up to ${MAX_MOCKS} rewrites`;
+    for (const [i, rewrite] of rewrites.entries()) {
+      const at = `network.rewrites[${i}]`;
+      if (!isPlainObject(rewrite)) return `${at} must be an object`;
+      if (typeof rewrite.url !== 'string' || rewrite.url.trim() === '') return `${at}.url must be a URL or hostname pattern`;
+      if (typeof rewrite.to !== 'string' || !/^https?:\/\//.test(rewrite.to)) return `${at}.to must be an http(s) URL`;
+      const reason = policy.checkUrlSync(rewrite.to);
+      if (reason) return `${at}.to not allowed: ${reason}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Compile a validated `network` option. `decide(url, resourceType)` returns
+ *
+ *   { action: 'block', rule, reason }     rule: offline, resourceType, tracker or blockUrls
+ *   { action: 'mock', response }          for request.respond()
+ *   { action: 'rewrite', url }
+ *
+ * or null to let the request through unchanged.
+ */
+const compileRequestPolicy = (network) => {
+  if (!network) return null;
+
+  const {
+    blockResourceTypes = [], blockUrls = [], blockTrackers = false, offline = false, allowHosts = [], mocks = [], rewrites = []
+  } = network;
+
+  const compiledMocks = mocks.map(mock => ({
+    matches: compilePattern(mock.url),
+    response: {
+      status: mock.status ?? 200,
+      headers: mock.headers || {},
+      contentType: mock.contentType || 'text/plain',
+      body: Buffer.from(mock.body || '', mock.base64 ? 'base64' : 'utf8')
+    }
+  }));
+  const compiledRewrites = rewrites.map(rewrite => ({ matches: compilePattern(rewrite.url), to: rewrite.to }));
+  const blockedPatterns = blockUrls.map(compilePattern);
+  const allowedHosts = allowHosts.map(compilePattern);
+
+  const decide = (url, resourceType) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+    if (LOCAL_SCHEMES.includes(parsed.protocol)) return null;
+
+    const hostname = parsed.hostname.toLowerCase();
+    const matches = (test) => test(url, hostname);
+
+    const mock = compiledMocks.find(m => matches(m.matches));
+    if (mock) return { action: 'mock', response: mock.response };
+
+    if (offline && !allowedHosts.some(matches)) return { action: 'block', rule: 'offline', reason: 'offline mode' };
+    if (blockResourceTypes.includes(resourceType)) {
+      return { action: 'block', rule: 'resourceType', reason: `resource type ${resourceType} is blocked` };
+    }
+    if (blockTrackers && isTracker(hostname)) return { action: 'block', rule: 'tracker', reason: 'known tracker' };
+    if (blockedPatterns.some(matches)) return { action: 'block', rule: 'blockUrls', reason: 'matches network.blockUrls' };
+
+    const rewrite = compiledRewrites.find(r => matches(r.matches));
+    if (rewrite) return { action: 'rewrite', url: rewrite.to };
+
+    return null;
+  };
+
+  return { decide };
+};
+
+module.exports = { RESOURCE_TYPES, TRACKER_HOSTS, validateRequestPolicyOptions, compileRequestPolicy };
@@ -0,0 +1,99 @@
+/**
+ * Content negotiation for render routes
+ *
+ * A render can be returned as raw binary, as base64 inside JSON, or as a
+ * data URI inside JSON. An explicit `responseType` body field wins; otherwise
+ * the Accept header picks between the binary media type and JSON.
+ */
+
+const { isPlainObject } = require('./shared');
+
+const RESPONSE_TYPES = ['binary', 'base64', 'dataUri'];
+
+// Short lists of numbers (item indexes) are kept in the header report
+const MAX_HEADER_LIST = 20;
+
+/**
+ * Pick the response type for a request, or null if `responseType` is invalid.
+ * `defaultType` is used when the Accept header is missing or a wildcard.
+ */
+const resolveResponseType = (req, { mimeType, defaultType }) => {
+  const { responseType } = req.body || {};
+
+  if (responseType !== undefined) {
+    return RESPONSE_TYPES.includes(responseType) ? responseType : null;
+  }
+
+  const candidates = defaultType === 'binary'
+    ? [mimeType, 'application/json']
+    : ['application/json', mimeType];
+
+  const accepted = req.accepts(candidates);
+  if (accepted === mimeType) return 'binary';
+  if (accepted === 'application/json') return 'base64';
+  return defaultType;
+};
+
+// JSON that is safe to put in a header: ASCII only, no line breaks
+const toHeaderJson = (value) =>
+  JSON.stringify(value).replace(/[\u007f-\uffff]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+/**
+ * Header-sized summary of a render report: lists become their length
+ * (short lists of numbers are kept) and `truncated` says whether anything
+ * was left out. The full report is only in JSON responses.
+ */
+const headerReport = (report) => {
+  let truncated = false;
+
+  const summarize = (value) => {
+    if (Array.isArray(value)) {
+      if (value.length <= MAX_HEADER_LIST && value.every(entry => typeof entry === 'number')) return value;
+      if (value.length > 0) truncated = true;
+      return value.length;
+    }
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, summarize(entry)]));
+    }
+    if (typeof value === 'string' && value.length > 200) {
+      truncated = true;
+      return `${value.slice(0, 200)}...`;
+    }
+    return value;
+  };
+
+  const summary = summarize(report);
+  return { ...summary, truncated: truncated || Boolean(summary.truncated) };
+};
+
+/**
+ * Send a rendered buffer in the negotiated representation.
+ * `field` names the JSON property holding the encoded data and `extra`
+ * is merged into the JSON body. A render `report` goes into the JSON body;
+ * binary responses carry its headerReport() summary in X-Render-Report.
+ */
+const sendRendered = (res, responseType, { data, mimeType, filename, field, disposition = 'attachment', extra = {}, report }) => {
+  const buffer = Buffer.from(data);
+
+  if (responseType === 'binary') {
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+    if (report) res.setHeader('X-Render-Report', toHeaderJson(headerReport(report)));
+    return res.status(200).end(buffer);
+  }
+
+  const base64 = buffer.toString('base64');
+
+  res.status(200).json({
+    success: true,
+    ...extra,
+    [field]: responseType === 'dataUri' ? `data:${mimeType};base64,${base64}` : base64,
+    encoding: responseType,
+    mimeType,
+    size: buffer.length,
+    ...(report ? { report } : {}),
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = { RESPONSE_TYPES, resolveResponseType, headerReport, sendRendered, toHeaderJson };
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+
+/**
+ * Minimal S3-compatible object client (AWS S3, MinIO, R2...)
+ *
+ * Signs requests with AWS Signature V4 using only node:crypto so the image
+ * doesn't need the AWS SDK. Requests go out unsigned when no credentials
+ * are configured (public buckets). Temporary credentials need their
+ * `sessionToken`, sent and signed as x-amz-security-token.
+ */
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = (str) =>
+  encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encodeRfc3986).join('/');
+
+/**
+ * Parse "s3://bucket/path/to/key" into { bucket, key }, or null
+ */
+const parseS3Uri = (uri) => {
+  const match = /^s3:\/\/([^/]+)\/(.+)$/.exec(uri || '');
+  return match ? { bucket: match[1], key: match[2] } : null;
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) => text.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name]);
+
+// Text of every <tag> element in an S3 XML response
+const xmlValues = (xml, tag) =>
+  [...xml.matchAll(new RegExp(`<${tag}>([^<]*)</${tag}>`, 'g'))].map(match => decodeXml(match[1]));
+
+const createS3Client = ({
+  endpoint = 'https://s3.amazonaws.com',
+  region = 'us-east-1',
+  accessKeyId,
+  secretAccessKey,
+  sessionToken,
+  forcePathStyle = true
+}) => {
+  const base = new URL(endpoint);
+  const basePath = base.pathname.replace(/\/$/, '');
+
+  const objectUrl = (bucket, key, query = {}) => {
+    const url = forcePathStyle
+      ? new URL(`${base.origin}${basePath}/${bucket}/${encodeKey(key)}`)
+      : new URL(`${base.protocol}//${bucket}.${base.host}${basePath}/${encodeKey(key)}`);
+
+    for (const [name, value] of Object.entries(query)) url.searchParams.set(name, value);
+    return url;
+  };
+
+  const canonicalQuery = (url) =>
+    [...url.searchParams.entries()]
+      .map(([k, v]) => [encodeRfc3986(k), encodeRfc3986(v)])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([k, v]) => `${k}=${v}`)
+      .join('&');
+
+  const signingKey = (dateStamp) =>
+    hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+
+  const sign = (method, url, headers, payloadHash) => {
+    if (!accessKeyId || !secretAccessKey) return headers;
+
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+    const allHeaders = {
+      ...headers,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...(sessionToken && { 'x-amz-security-token': sessionToken })
+    };
+
+    const names = Object.keys(allHeaders).map(h => h.toLowerCase()).sort();
+    const lookup = Object.fromEntries(Object.entries(allHeaders).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery(url),
+      names.map(n => `${n}:${lookup[n]}\n`).join(''),
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signature = crypto.createHmac('sha256', signingKey(dateStamp)).update(stringToSign).digest('hex');
+
+    const { host, ...rest } = allHeaders;
+    return {
+      ...rest,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  };
+
+  const request = async (method, bucket, key, { body, headers = {}, signal, query } = {}) => {
+    const url = objectUrl(bucket, key, query);
+    const payloadHash = body ? sha256Hex(body) : EMPTY_HASH;
+
+    const response = await fetch(url, {
+      method,
+      body,
+      signal,
+      headers: sign(method, url, headers, payloadHash)
+    });
+
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`S3 ${method} s3://${bucket}/${key} failed with HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+
+    return response;
+  };
+
+  /**
+   * Fetch an object. Resolves to the raw fetch Response so callers can
+   * stream it and enforce their own size limits.
+   */
+  const getObject = (bucket, key, options) => request('GET', bucket, key, options);
+
+  const putObject = (bucket, key, body, { contentType = 'application/octet-stream', signal } = {}) =>
+    request('PUT', bucket, key, { body, signal, headers: { 'content-type': contentType } });
+
+  const deleteObject = (bucket, key, options) => request('DELETE', bucket, key, options);
+
+  /**
+   * One page of keys under `prefix` (ListObjectsV2). Resolves to
+   * { keys, continuationToken }; pass the token back for the next page
+   * until it is null.
+   */
+  const listObjects = async (bucket, { prefix = '', continuationToken, signal } = {}) => {
+    const query = {
+      'list-type': '2',
+      ...(prefix && { prefix }),
+      ...(continuationToken && { 'continuation-token': continuationToken })
+    };
+    const xml = await (await request('GET', bucket, '', { query, signal })).text();
+
+    const truncated = xmlValues(xml, 'IsTruncated')[0] === 'true';
+    return { keys: xmlValues(xml, 'Key'), continuationToken: truncated ? xmlValues(xml, 'NextContinuationToken')[0] || null : null };
+  };
+
+  return { getObject, putObject, deleteObject, listObjects };
+};
+
+/**
+ * Client configured from S3_* environment variables, or null when unset.
+ * Without S3_ACCESS_KEY_ID the standard AWS_* credentials are used, so
+ * temporary ones (with AWS_SESSION_TOKEN) exported by the platform work.
+ */
+const createS3ClientFromEnv = (env = process.env) => {
+  const credentials = env.S3_ACCESS_KEY_ID
+    ? { accessKeyId: env.S3_ACCESS_KEY_ID, secretAccessKey: env.S3_SECRET_ACCESS_KEY, sessionToken: env.S3_SESSION_TOKEN }
+    : { accessKeyId: env.AWS_ACCESS_KEY_ID, secretAccessKey: env.AWS_SECRET_ACCESS_KEY, sessionToken: env.AWS_SESSION_TOKEN };
+  if (!env.S3_ENDPOINT && !credentials.accessKeyId) return null;
+
+  return createS3Client({
+    endpoint: env.S3_ENDPOINT || undefined,
+    region: env.S3_REGION || env.AWS_REGION || undefined,
+    ...credentials,
+    forcePathStyle: env.S3_FORCE_PATH_STYLE !== 'false'
+  });
+};
+
+module.exports = { parseS3Uri, createS3Client, createS3ClientFromEnv };
@@ -0,0 +1,516 @@
+const Ajv = require('ajv/dist/2020');
+const { HEADER_PRESETS, FOOTER_PRESETS } = require('./templates');
+const { RESPONSE_TYPES } = require('./responses');
+const { RESOURCE_TYPES } = require('./requestPolicy');
+
+/**
+ * JSON Schemas for request and response bodies
+ *
+ * The schemas check shape and types; the validators in validation.js still
+ * run afterwards for checks a schema can't express (time zones, network
+ * policy, templates). They are also published as the OpenAPI components.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const WAIT_TYPES = ['selector', 'function', 'networkIdle', 'fonts', 'images', 'signal'];
+
+// Either html or url; `if` keeps it to a single "required" error
+const HTML_OR_URL = {
+  if: { not: { required: ['url'] } },
+  then: { required: ['html'] }
+};
+
+// Signed-in page loads (pageAuth.js); values are secrets
+const PAGE_AUTH_PROPERTIES = {
+  cookies: { type: 'array', maxItems: 50, items: ref('Cookie'), writeOnly: true },
+  extraHTTPHeaders: {
+    type: 'object',
+    maxProperties: 50,
+    additionalProperties: { type: 'string' },
+    writeOnly: true,
+    description: 'Sent only to the origin of url (or domainName)'
+  },
+  basicAuth: ref('BasicAuth'),
+  userAgent: { type: 'string', minLength: 1, maxLength: 512 }
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { path: { type: 'string' }, message: { type: 'string' } }
+        }
+      }
+    },
+    required: ['error']
+  },
+
+  FieldValue: {
+    type: ['string', 'number', 'boolean', 'null', 'array'],
+    items: { type: ['string', 'number', 'boolean'] }
+  },
+
+  WaitStrategy: {
+    anyOf: [
+      { type: 'string', enum: WAIT_TYPES },
+      {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { enum: WAIT_TYPES },
+          timeout: { type: 'number', minimum: 0, maximum: 120000 },
+          onTimeout: { enum: ['fail', 'continue'] },
+          selector: { type: 'string', minLength: 1 },
+          state: { enum: ['visible', 'hidden'] },
+          expression: { type: 'string', minLength: 1 },
+          idleTime: { type: 'number', minimum: 0, maximum: 120000 },
+          maxInflight: { type: 'integer', minimum: 0 },
+          name: { type: 'string' }
+        }
+      }
+    ]
+  },
+
+  RenderOptions: {
+    type: 'object',
+    properties: {
+      html: { type: 'string', description: 'Form HTML to render (or use url)' },
+      url: { type: 'string', description: 'http(s) page to render (or use html)' },
+      domainName: { type: 'string', description: 'Base URL of the calling app, used by the displayS3Data resolver' },
+      fields: { type: 'object', additionalProperties: ref('FieldValue') },
+      fieldTypes: { type: 'object', additionalProperties: { type: 'string' } },
+      fieldResolvers: { type: 'object', additionalProperties: { type: 'string' } },
+      dateDisplayFormat: { type: 'string' },
+      dateTimeDisplayFormat: { type: 'string' },
+      timeDisplayFormat: { type: 'string' },
+      timeZone: { type: 'string', description: 'IANA time zone, e.g. America/Chicago' },
+      headerInfo: { type: 'object', additionalProperties: { type: ['string', 'number', 'boolean', 'null'] } },
+      headerTemplate: { type: 'string' },
+      footerTemplate: { type: 'string' },
+      headerPreset: { enum: Object.keys(HEADER_PRESETS) },
+      footerPreset: { enum: Object.keys(FOOTER_PRESETS) },
+      logo: { type: 'string', description: 'Base64 image data URI' },
+      waitFor: { type: 'array', items: ref('WaitStrategy') },
+      diagnostics: { type: 'boolean' },
+      metadata: ref('DocumentMetadata'),
+      tagged: { type: 'boolean', description: 'Tagged (accessible) PDF, on by default (merged batch items are printed untagged)' },
+      outline: { type: 'boolean', description: 'Build a bookmark outline from the page headings (needs tagged)' },
+      watermark: {
+        if: { type: 'array' },
+        then: { type: 'array', minItems: 1, items: ref('Watermark') },
+        else: ref('Watermark')
+      },
+      encryption: ref('Encryption'),
+      network: ref('NetworkOptions'),
+      ...PAGE_AUTH_PROPERTIES
+    }
+  },
+
+  Cookie: {
+    type: 'object',
+    required: ['name', 'value'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      value: { type: 'string', format: 'password' },
+      domain: { type: 'string', description: 'Defaults to the host of url (or domainName)' },
+      path: { type: 'string' },
+      secure: { type: 'boolean' },
+      httpOnly: { type: 'boolean' },
+      sameSite: { enum: ['Strict', 'Lax', 'None'] },
+      expires: { type: 'number', description: 'Unix time in seconds' }
+    }
+  },
+
+  BasicAuth: {
+    type: 'object',
+    required: ['username', 'password'],
+    additionalProperties: false,
+    writeOnly: true,
+    properties: {
+      username: { type: 'string', minLength: 1 },
+      password: { type: 'string', format: 'password' }
+    }
+  },
+
+  NetworkOptions: {
+    type: 'object',
+    additionalProperties: false,
+    description: 'Per-request interception rules; patterns with "://" match the URL (* wildcards), others the hostname',
+    properties: {
+      blockResourceTypes: { type: 'array', items: { enum: RESOURCE_TYPES } },
+      blockUrls: { type: 'array', maxItems: 100, items: { type: 'string', minLength: 1 } },
+      blockTrackers: { type: 'boolean', description: 'Block the built-in list of analytics and ad hosts' },
+      offline: { type: 'boolean', description: 'html input only: block everything but data:/blob: URLs and allowHosts' },
+      allowHosts: { type: 'array', maxItems: 100, items: { type: 'string', minLength: 1 } },
+      mocks: { type: 'array', maxItems: 50, items: ref('NetworkMock') },
+      rewrites: {
+        type: 'array',
+        maxItems: 50,
+        items: {
+          type: 'object',
+          required: ['url', 'to'],
+          additionalProperties: false,
+          properties: { url: { type: 'string', minLength: 1 }, to: { type: 'string' } }
+        }
+      }
+    }
+  },
+
+  NetworkMock: {
+    type: 'object',
+    required: ['url'],
+    additionalProperties: false,
+    properties: {
+      url: { type: 'string', minLength: 1 },
+      status: { type: 'integer', minimum: 100, maximum: 599 },
+      contentType: { type: 'string' },
+      headers: { type: 'object', additionalProperties: { type: 'string' } },
+      body: { type: 'string' },
+      base64: { type: 'boolean', description: 'body is base64-encoded' }
+    }
+  },
+
+  Encryption: {
+    type: 'object',
+    description: 'AES-256 password protection',
+    additionalProperties: false,
+    properties: {
+      userPassword: { type: 'string', format: 'password', writeOnly: true, description: 'Needed to open the file; empty opens without one' },
+      ownerPassword: { type: 'string', format: 'password', writeOnly: true, description: 'Lifts the restrictions; random when omitted' },
+      permissions: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          printing: { type: 'boolean', default: true },
+          copying: { type: 'boolean', default: false },
+          modifying: { type: 'boolean', default: false }
+        }
+      }
+    }
+  },
+
+  Watermark: {
+    type: 'object',
+    description: 'Text or image overlay drawn on top of the printed pages',
+    additionalProperties: false,
+    properties: {
+      text: { type: 'string', minLength: 1 },
+      image: { type: 'string', description: 'Base64 PNG or JPEG data URI' },
+      opacity: { type: 'number', minimum: 0, maximum: 1, description: 'Default 0.25 for text, 1 for images' },
+      rotation: { type: 'number', minimum: -360, maximum: 360, description: 'Degrees counterclockwise; default 45 for text, 0 for images' },
+      position: { enum: ['center', 'top', 'bottom', 'top-left', 'top-right', 'bottom-left', 'bottom-right'] },
+      pages: { enum: ['all', 'first', 'last'] },
+      fontSize: { type: 'number', minimum: 4, maximum: 400 },
+      color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+      width: { type: 'number', minimum: 1, maximum: 2000, description: 'Image width in points' }
+    }
+  },
+
+  DocumentMetadata: {
+    type: 'object',
+    description: 'title and author default to headerInfo.formName and headerInfo.user',
+    additionalProperties: false,
+    properties: {
+      title: { type: 'string' },
+      author: { type: 'string' },
+      subject: { type: 'string' },
+      keywords: { type: 'array', items: { type: 'string' } },
+      creator: { type: 'string' }
+    }
+  },
+
+  PdfRequest: {
+    type: 'object',
+    allOf: [ref('RenderOptions'), HTML_OR_URL],
+    properties: {
+      responseType: { enum: RESPONSE_TYPES },
+      noCache: { type: 'boolean', description: 'Skip the render cache lookup and store a fresh render' }
+    }
+  },
+
+  BatchItem: {
+    type: 'object',
+    allOf: [ref('RenderOptions')],
+    properties: {
+      id: { type: ['string', 'number'], description: 'Echoed in the manifest and progress entries' },
+      filename: { type: 'string', maxLength: 200, description: 'ZIP entry name; made safe and unique' }
+    }
+  },
+
+  // Items without html or url are skipped and reported, not rejected
+  BatchItems: {
+    type: 'array',
+    minItems: 1,
+    items: ref('BatchItem')
+  },
+
+  // A bare array is a ZIP of separate PDFs
+  BatchRequest: {
+    if: { type: 'array' },
+    then: ref('BatchItems'),
+    else: {
+      type: 'object',
+      required: ['items'],
+      properties: {
+        items: ref('BatchItems'),
+        output: { enum: ['zip', 'merged'], description: 'zip (default) or one merged PDF with a bookmark per item' },
+        pageNumbering: { enum: ['perDocument', 'continuous'], description: 'continuous numbers the merged packet as a whole; items then cannot set their own footer' },
+        encryption: { ...ref('Encryption'), description: 'Protects the merged packet (output "merged" only)' },
+        failOnError: { type: 'boolean', description: 'Reject invalid items up front and stop at the first failed item' },
+        store: { type: 'boolean', description: 'Save the output and return a signed download link instead of the file' }
+      }
+    }
+  },
+
+  StoredBatch: {
+    type: 'object',
+    description: 'Returned for store: true',
+    properties: {
+      success: { type: 'boolean' },
+      file: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          url: { type: 'string', description: 'Signed download link, valid until expiresAt' },
+          contentType: { type: 'string' },
+          filename: { type: 'string' },
+          size: { type: 'integer' },
+          createdAt: { type: 'string' },
+          expiresAt: { type: 'string' }
+        }
+      },
+      manifest: { type: 'object' }
+    }
+  },
+
+  ScreenshotRequest: {
+    type: 'object',
+    ...HTML_OR_URL,
+    properties: {
+      html: { type: 'string' },
+      url: { type: 'string' },
+      type: { enum: ['png', 'jpeg', 'webp'] },
+      quality: { type: 'number', minimum: 0, maximum: 100 },
+      fullPage: { type: 'boolean' },
+      selector: { type: 'string', minLength: 1 },
+      clip: {
+        type: 'object',
+        required: ['x', 'y', 'width', 'height'],
+        properties: {
+          x: { type: 'number', minimum: 0 },
+          y: { type: 'number', minimum: 0 },
+          width: { type: 'number', exclusiveMinimum: 0 },
+          height: { type: 'number', exclusiveMinimum: 0 }
+        }
+      },
+      viewport: {
+        type: 'object',
+        required: ['width', 'height'],
+        properties: {
+          width: { type: 'integer', minimum: 1, maximum: 4096 },
+          height: { type: 'integer', minimum: 1, maximum: 4096 }
+        }
+      },
+      deviceScaleFactor: { type: 'number', minimum: 0.1, maximum: 4 },
+      device: { type: 'string', description: 'Puppeteer KnownDevices name, e.g. "iPhone 13"' },
+      omitBackground: { type: 'boolean' },
+      colorScheme: { enum: ['light', 'dark', 'no-preference'] },
+      waitFor: { type: 'array', items: ref('WaitStrategy') },
+      diagnostics: { type: 'boolean' },
+      responseType: { enum: RESPONSE_TYPES },
+      network: ref('NetworkOptions'),
+      ...PAGE_AUTH_PROPERTIES
+    }
+  },
+
+  PdfBase64Request: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: { type: 'string' },
+      options: ref('PdfPrintOptions')
+    }
+  },
+
+  PdfPrintOptions: {
+    type: 'object',
+    additionalProperties: false,
+    description: 'Puppeteer page.pdf() options (lengths are CSS lengths such as "10mm" or pixels)',
+    properties: {
+      format: { type: 'string', description: 'Letter, Legal, Tabloid, Ledger or A0-A6' },
+      landscape: { type: 'boolean' },
+      scale: { type: 'number', minimum: 0.1, maximum: 2 },
+      printBackground: { type: 'boolean' },
+      displayHeaderFooter: { type: 'boolean' },
+      headerTemplate: { type: 'string' },
+      footerTemplate: { type: 'string' },
+      pageRanges: { type: 'string', description: 'e.g. "1-5, 8"' },
+      width: { type: ['string', 'number'] },
+      height: { type: ['string', 'number'] },
+      margin: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          top: { type: ['string', 'number'] },
+          right: { type: ['string', 'number'] },
+          bottom: { type: ['string', 'number'] },
+          left: { type: ['string', 'number'] }
+        }
+      },
+      preferCSSPageSize: { type: 'boolean' },
+      omitBackground: { type: 'boolean' },
+      tagged: { type: 'boolean' },
+      outline: { type: 'boolean' },
+      timeout: { type: 'number', minimum: 0, maximum: 120000 }
+    }
+  },
+
+  JobRequest: {
+    type: 'object',
+    required: ['type', 'payload'],
+    properties: {
+      type: { enum: ['pdf', 'connector-pdf', 'pdf-batch'] },
+      callbackUrl: { type: 'string', description: 'POSTed a signed summary when the job finishes' },
+      callbackContent: {
+        enum: ['reference', 'content'],
+        default: 'reference',
+        description: 'content also sends the output as base64 (up to WEBHOOK_MAX_INLINE_BYTES)'
+      }
+    },
+    if: { properties: { type: { const: 'pdf-batch' } } },
+    then: { properties: { payload: ref('BatchRequest') } },
+    else: { properties: { payload: ref('PdfRequest') } }
+  },
+
+  JobAccepted: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      jobId: { type: 'string' },
+      status: { type: 'string' },
+      statusUrl: { type: 'string' },
+      eventsUrl: { type: 'string' },
+      resultUrl: { type: 'string' },
+      webhookUrl: { type: 'string' },
+      timestamp: { type: 'string' }
+    }
+  },
+
+  Job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string' },
+      status: { enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+      createdAt: { type: 'string' },
+      startedAt: { type: ['string', 'null'] },
+      finishedAt: { type: ['string', 'null'] },
+      expiresAt: { type: ['string', 'null'] },
+      progress: { type: 'object' },
+      error: { type: ['string', 'null'] },
+      report: { type: ['object', 'null'] },
+      result: { type: ['object', 'null'] },
+      webhook: { type: ['object', 'null'] }
+    }
+  },
+
+  WebhookLog: {
+    type: 'object',
+    properties: {
+      jobId: { type: 'string' },
+      url: { type: 'string' },
+      content: { enum: ['reference', 'content'] },
+      status: { enum: ['pending', 'delivering', 'delivered', 'failed'] },
+      attempts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            attempt: { type: 'integer' },
+            at: { type: 'string' },
+            statusCode: { type: ['integer', 'null'] },
+            durationMs: { type: 'integer' },
+            error: { type: ['string', 'null'] },
+            nextRetryAt: { type: ['string', 'null'] }
+          }
+        }
+      }
+    }
+  },
+
+  RenderedJson: {
+    type: 'object',
+    description: 'Returned for responseType base64 or dataUri',
+    properties: {
+      success: { type: 'boolean' },
+      encoding: { enum: ['base64', 'dataUri'] },
+      mimeType: { type: 'string' },
+      size: { type: 'integer' },
+      report: { type: 'object' },
+      timestamp: { type: 'string' }
+    }
+  }
+};
+
+// `password` only marks fields for documentation tools
+const ajv = new Ajv({ allErrors: true, strict: false, formats: { password: true } });
+ajv.addSchema({ $id: 'api', components: { schemas } });
+
+const validators = new Map();
+
+const validatorFor = (name) => {
+  if (!schemas[name]) throw new Error(`Unknown schema "${name}"`);
+  if (!validators.has(name)) validators.set(name, ajv.compile({ $ref: `api#/components/schemas/${name}` }));
+  return validators.get(name);
+};
+
+/**
+ * Validate `data` against a named schema.
+ * Returns a list of { path, message } (empty when valid).
+ */
+const schemaErrors = (name, data) => {
+  const validate = validatorFor(name);
+  if (validate(data)) return [];
+
+  return validate.errors
+    // if/then failures are already reported by the error inside `then`
+    .filter(err => err.keyword !== 'if')
+    .map(err => {
+      if (err.keyword === 'required') {
+        return { path: `${err.instancePath}/${err.params.missingProperty}`, message: err.message };
+      }
+      if (err.keyword === 'additionalProperties') {
+        return { path: `${err.instancePath}/${err.params.additionalProperty}`, message: 'is not a known property' };
+      }
+      return {
+        path: err.instancePath || '/',
+        message: err.keyword === 'enum' ? `must be one of: ${err.params.allowedValues.join(', ')}` : err.message
+      };
+    })
+    // anyOf/allOf branches can report the same problem more than once
+    .filter((err, i, all) => all.findIndex(e => e.path === err.path && e.message === err.message) === i);
+};
+
+/**
+ * Express middleware: 400 with every invalid path when the body doesn't
+ * match the named schema
+ */
+const validateBody = (name) => (req, res, next) => {
+  const details = schemaErrors(name, req.body);
+  if (details.length === 0) return next();
+
+  res.status(400).json({
+    error: 'Invalid request body',
+    details
+  });
+};
+
+module.exports = { schemas, schemaErrors, validateBody };
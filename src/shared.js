@@ -0,0 +1,13 @@
+/**
+ * Small helpers shared by the option validators
+ *
+ * Kept free of requires so modules that validation.js depends on can use
+ * them without a circular require; validation.js re-exports them.
+ */
+
+// Schemes Chrome serves without touching the network
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+module.exports = { LOCAL_SCHEMES, isPlainObject };
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const pLimit = require('p-limit');
+const { createS3ClientFromEnv } = require('./s3');
+const { logger } = require('./logger');
+
+/**
+ * Stored outputs and signed download links
+ *
+ * Rendered files can be written to a storage backend instead of being sent
+ * in the response. Each file gets a random ID and an expiry; the caller
+ * receives a link of the form
+ *
+ *   /files/<id>?expires=<unix seconds>&signature=<hex HMAC-SHA256 of "<id>.<expires>">
+ *
+ * which works without an API key until it expires. A backend stores the
+ * bytes and a small JSON metadata record per file and must implement:
+ *
+ *   put(id, data, meta)      -> void    (data: Buffer, meta: { contentType, filename, size, createdAt, expiresAt })
+ *   get(id)                  -> { meta, stream } | null
+ *   remove(id)               -> void
+ *   list()                   -> [{ id, expiresAt }]   (optional, for cleanup after a restart)
+ */
+
+const FILE_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const DEFAULTS = {
+  ttlMs: 24 * 60 * 60 * 1000,
+  purgeIntervalMs: 10 * 60 * 1000
+};
+
+/**
+ * Files in a local directory: <id>.bin next to <id>.json
+ */
+const createLocalBackend = ({ dir }) => {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const dataPath = (id) => path.join(dir, `${id}.bin`);
+  const metaPath = (id) => path.join(dir, `${id}.json`);
+
+  const readMeta = async (id) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(metaPath(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  };
+
+  return {
+    name: 'local',
+
+    put: async (id, data, meta) => {
+      await fs.promises.writeFile(dataPath(id), data);
+      await fs.promises.writeFile(metaPath(id), JSON.stringify(meta));
+    },
+
+    get: async (id) => {
+      const meta = await readMeta(id);
+      return meta && { meta, stream: fs.createReadStream(dataPath(id)) };
+    },
+
+    remove: async (id) => {
+      await fs.promises.rm(metaPath(id), { force: true });
+      await fs.promises.rm(dataPath(id), { force: true });
+    },
+
+    list: async () => {
+      const names = await fs.promises.readdir(dir);
+      const ids = names.filter(name => name.endsWith('.json')).map(name => name.slice(0, -5)).filter(id => FILE_ID.test(id));
+      const metas = await Promise.all(ids.map(async id => ({ id, meta: await readMeta(id).catch(() => null) })));
+      return metas.filter(({ meta }) => meta).map(({ id, meta }) => ({ id, expiresAt: meta.expiresAt }));
+    }
+  };
+};
+
+/**
+ * Objects in an S3-compatible bucket: <prefix><id> next to <prefix><id>.json.
+ * `list()` pages through the prefix, so files stored by an earlier process
+ * are purged too.
+ */
+const createS3Backend = ({ client, bucket, prefix = '' }) => {
+  const readMeta = async (id) => {
+    try {
+      return await (await client.getObject(bucket, `${prefix}${id}.json`)).json();
+    } catch (err) {
+      if (/HTTP 404/.test(err.message)) return null;
+      throw err;
+    }
+  };
+
+  return {
+    name: 's3',
+
+    put: async (id, data, meta) => {
+      await client.putObject(bucket, `${prefix}${id}`, data, { contentType: meta.contentType });
+      await client.putObject(bucket, `${prefix}${id}.json`, JSON.stringify(meta), { contentType: 'application/json' });
+    },
+
+    get: async (id) => {
+      const meta = await readMeta(id);
+      if (!meta) return null;
+
+      const response = await client.getObject(bucket, `${prefix}${id}`);
+      return { meta, stream: Readable.fromWeb(response.body) };
+    },
+
+    remove: async (id) => {
+      await client.deleteObject(bucket, `${prefix}${id}.json`);
+      await client.deleteObject(bucket, `${prefix}${id}`);
+    },
+
+    list: async () => {
+      const names = [];
+      let continuationToken = null;
+      do {
+        const page = await client.listObjects(bucket, { prefix, continuationToken });
+        names.push(...page.keys.map(key => key.slice(prefix.length)));
+        continuationToken = page.continuationToken;
+      } while (continuationToken);
+
+      const ids = names.filter(name => name.endsWith('.json')).map(name => name.slice(0, -5)).filter(id => FILE_ID.test(id));
+      const readLimit = pLimit(8);
+      const metas = await Promise.all(ids.map(id => readLimit(async () => ({ id, meta: await readMeta(id).catch(() => null) }))));
+      return metas.filter(({ meta }) => meta).map(({ id, meta }) => ({ id, expiresAt: meta.expiresAt }));
+    }
+  };
+};
+
+/**
+ * File store on top of a backend: saves files with an expiry, signs and
+ * checks download links, and deletes expired files every `purgeIntervalMs`.
+ * Links are signed with `secret`; without one, a random secret is used and
+ * links stop working when the process restarts.
+ */
+const createFileStore = ({
+  backend,
+  secret = crypto.randomBytes(32).toString('hex'),
+  ttlMs = DEFAULTS.ttlMs,
+  purgeIntervalMs = DEFAULTS.purgeIntervalMs
+}) => {
+  // id -> expiresAt of every file this process knows about
+  const known = new Map();
+
+  const sign = (id, expires) => crypto.createHmac('sha256', secret).update(`${id}.${expires}`).digest('hex');
+
+  const purgeExpired = async (now = Date.now()) => {
+    let removed = 0;
+    for (const [id, expiresAt] of known) {
+      if (Date.parse(expiresAt) > now) continue;
+      try {
+        await backend.remove(id);
+        known.delete(id);
+        removed++;
+      } catch (err) {
+        logger.error('Stored file cleanup failed', { fileId: id, err });
+      }
+    }
+    return removed;
+  };
+
+  // Pick up files left by an earlier process so they still get cleaned up
+  if (backend.list) {
+    backend.list()
+      .then(files => files.forEach(({ id, expiresAt }) => known.set(id, expiresAt)))
+      .catch(err => logger.error('Stored file listing failed', { err }));
+  }
+
+  const purgeTimer = setInterval(() => {
+    purgeExpired().catch(err => logger.error('Stored file purge failed', { err }));
+  }, purgeIntervalMs);
+  purgeTimer.unref();
+
+  /**
+   * Store `data` and return its record plus a signed download path
+   */
+  const save = async (data, { contentType, filename }) => {
+    const id = crypto.randomUUID();
+    const createdAt = new Date();
+    const expiresAt = new Date(createdAt.getTime() + ttlMs);
+    const meta = { contentType, filename, size: data.length, createdAt: createdAt.toISOString(), expiresAt: expiresAt.toISOString() };
+
+    await backend.put(id, data, meta);
+    known.set(id, meta.expiresAt);
+
+    const expires = Math.floor(expiresAt.getTime() / 1000);
+    return { id, ...meta, url: `/files/${id}?expires=${expires}&signature=${sign(id, expires)}` };
+  };
+
+  /**
+   * Check a download link. Returns null when it is valid, otherwise
+   * { status, error } for the response.
+   */
+  const verify = (id, { expires, signature } = {}) => {
+    const expected = FILE_ID.test(id) && /^\d+$/.test(expires || '') ? sign(id, expires) : null;
+    const valid = expected && typeof signature === 'string' && signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    if (!valid) return { status: 403, error: 'Invalid or missing download signature' };
+    if (Number(expires) * 1000 <= Date.now()) return { status: 410, error: 'Download link has expired' };
+    return null;
+  };
+
+  /**
+   * Open a stored file: { meta, stream }, or null when it is gone or expired
+   */
+  const open = async (id) => {
+    const file = await backend.get(id);
+    if (!file) return null;
+
+    if (Date.parse(file.meta.expiresAt) <= Date.now()) {
+      file.stream.destroy();
+      await backend.remove(id).catch(err => logger.error('Stored file cleanup failed', { fileId: id, err }));
+      known.delete(id);
+      return null;
+    }
+    return file;
+  };
+
+  const stats = () => ({ backend: backend.name, files: known.size, ttlMs });
+
+  return { save, verify, open, purgeExpired, stats };
+};
+
+/**
+ * File store configured from STORAGE_* variables, or null when
+ * STORAGE_BACKEND is unset
+ */
+const createFileStoreFromEnv = (env = process.env) => {
+  let backend;
+  if (env.STORAGE_BACKEND === 'local') {
+    backend = createLocalBackend({ dir: env.STORAGE_DIR || path.join(os.tmpdir(), 'rendered-files') });
+  } else if (env.STORAGE_BACKEND === 's3') {
+    const client = createS3ClientFromEnv(env);
+    if (!client || !env.STORAGE_S3_BUCKET) throw new Error('STORAGE_BACKEND=s3 needs S3_ENDPOINT or S3 credentials, and STORAGE_S3_BUCKET');
+    backend = createS3Backend({ client, bucket: env.STORAGE_S3_BUCKET, prefix: env.STORAGE_S3_PREFIX || '' });
+  } else if (env.STORAGE_BACKEND) {
+    throw new Error(`Unknown STORAGE_BACKEND "${env.STORAGE_BACKEND}" (use local or s3)`);
+  } else {
+    return null;
+  }
+
+  if (!env.FILE_URL_SECRET) logger.warn('FILE_URL_SECRET is not set; download links will not survive a restart');
+
+  return createFileStore({
+    backend,
+    secret: env.FILE_URL_SECRET || undefined,
+    ttlMs: parseInt(env.FILE_TTL_MS, 10) || DEFAULTS.ttlMs
+  });
+};
+
+module.exports = { createLocalBackend, createS3Backend, createFileStore, createFileStoreFromEnv };
@@ -0,0 +1,167 @@
+/**
+ * Header / footer templates for page.pdf()
+ *
+ * Templates are HTML strings with mustache-style placeholders:
+ *
+ *   {{formName}}          value from headerInfo, HTML-escaped
+ *   {{formName|N/A}}      same, with a fallback when empty
+ *   {{#logo}}...{{/logo}} section rendered only when the value is set
+ *   {{page.number}}       Chrome's pageNumber / totalPages / date / title / url
+ *
+ * Callers pass their own headerTemplate / footerTemplate or pick a preset by
+ * name. Only values are escaped; the template markup itself is trusted.
+ */
+
+const LOGO_DATA_URI = /^data:image\/(png|jpe?g|gif|webp|svg\+xml);base64,[A-Za-z0-9+/=\s]+$/;
+
+// Chrome fills elements carrying these classes while printing
+const CHROME_PLACEHOLDERS = {
+  'page.number': '<span class="pageNumber"></span>',
+  'page.total': '<span class="totalPages"></span>',
+  'page.date': '<span class="date"></span>',
+  'page.title': '<span class="title"></span>',
+  'page.url': '<span class="url"></span>'
+};
+
+const infoHeader = (align) => `<div style="
+  width:100%;
+  font-family: Arial, sans-serif;
+  font-size:10px;
+  color:#333;
+  padding:6px 40px;
+  box-sizing:border-box;
+">
+  <table style="width:100%; border-bottom:1px solid #e5e7eb; padding-bottom:6px;">
+    <tr>
+      {{#logo}}<td style="width:1%; vertical-align:middle; padding-right:8px;">
+        <img src="{{logo}}" style="max-height:28px; max-width:120px;">
+      </td>{{/logo}}
+      <td style="text-align:${align}; vertical-align:middle;">
+        <div style="font-size:11px; color:#6b7280;">
+          <span style="font-weight:550;">Form Name:</span>
+          <span style="font-weight:500;">{{formName|N/A}}</span>
+
+          <span style="font-weight:550;">&nbsp;&nbsp; User:</span>
+          <span style="font-weight:500;">{{user|N/A}}</span>
+
+          <span style="font-weight:550;">&nbsp;&nbsp; Time:</span>
+          <span style="font-weight:500;">{{date|N/A}}</span>
+
+          <span style="font-weight:550;">&nbsp;&nbsp; Location:</span>
+          <span style="font-weight:500;">{{location|N/A}}</span>
+        </div>
+      </td>
+    </tr>
+  </table>
+</div>`;
+
+const HEADER_PRESETS = {
+  default: infoHeader('left'),
+  centered: infoHeader('center'),
+  title: `<div style="width:100%; font-family: Arial, sans-serif; font-size:11px; color:#6b7280; padding:6px 40px; box-sizing:border-box; text-align:center;">
+  {{#logo}}<img src="{{logo}}" style="max-height:24px; vertical-align:middle; margin-right:8px;">{{/logo}}
+  <span style="font-weight:550;">{{page.title}}</span>
+  {{#formName}}<span>&nbsp;&ndash;&nbsp;{{formName}}</span>{{/formName}}
+</div>`,
+  none: '<span></span>'
+};
+
+const FOOTER_PRESETS = {
+  default: `
+        <div style="font-size:10px;width:100%;text-align:center;">
+          Page {{page.number}} of {{page.total}}
+        </div>`,
+  dated: `
+        <div style="font-size:10px;width:100%;padding:0 40px;box-sizing:border-box;display:flex;justify-content:space-between;">
+          <span>{{page.date}}</span>
+          <span>Page {{page.number}} of {{page.total}}</span>
+        </div>`,
+  none: '<span></span>'
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Own keys only, so {{constructor}} or {{__proto__}} count as missing
+const lookup = (object, key) => (Object.hasOwn(object, key) ? object[key] : undefined);
+
+/**
+ * Fill `{{placeholders}}` in `template` from `values`, escaping every value
+ */
+const renderTemplate = (template, values = {}) => {
+  const withSections = template.replace(
+    /\{\{#\s*([\w.-]+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g,
+    (_, key, inner) => (isBlank(lookup(values, key)) ? '' : inner)
+  );
+
+  return withSections.replace(/\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g, (_, key, fallback = '') => {
+    const chromeMarkup = lookup(CHROME_PLACEHOLDERS, key);
+    if (chromeMarkup) return chromeMarkup;
+
+    const value = lookup(values, key);
+    if (isBlank(value) || typeof value === 'object') return escapeHtml(fallback);
+
+    return escapeHtml(value);
+  });
+};
+
+/**
+ * Return an error message if the template options cannot be used, else null
+ */
+const validateTemplateOptions = ({ headerTemplate, footerTemplate, headerPreset, footerPreset, logo } = {}) => {
+  if (headerTemplate !== undefined && typeof headerTemplate !== 'string') {
+    return 'headerTemplate must be a string';
+  }
+  if (footerTemplate !== undefined && typeof footerTemplate !== 'string') {
+    return 'footerTemplate must be a string';
+  }
+  if (headerPreset !== undefined && !HEADER_PRESETS[headerPreset]) {
+    return `headerPreset must be one of: ${Object.keys(HEADER_PRESETS).join(', ')}`;
+  }
+  if (footerPreset !== undefined && !FOOTER_PRESETS[footerPreset]) {
+    return `footerPreset must be one of: ${Object.keys(FOOTER_PRESETS).join(', ')}`;
+  }
+  if (logo !== undefined && (typeof logo !== 'string' || !LOGO_DATA_URI.test(logo))) {
+    return 'logo must be a base64 image data URI (data:image/png;base64,...)';
+  }
+  return null;
+};
+
+/**
+ * Build the header/footer part of page.pdf() options for a render payload.
+ * `defaults.headerPreset` lets each route keep its own default layout.
+ */
+const buildHeaderFooter = (
+  { headerTemplate, footerTemplate, headerPreset, footerPreset, logo, headerInfo = {} },
+  defaults = {}
+) => {
+  const headerName = headerPreset || defaults.headerPreset || 'default';
+  const footerName = footerPreset || defaults.footerPreset || 'default';
+
+  const values = { ...headerInfo, logo };
+
+  const noHeader = headerTemplate === undefined && headerName === 'none';
+  const noFooter = footerTemplate === undefined && footerName === 'none';
+
+  return {
+    displayHeaderFooter: !(noHeader && noFooter),
+    headerTemplate: renderTemplate(headerTemplate ?? HEADER_PRESETS[headerName], values),
+    footerTemplate: renderTemplate(footerTemplate ?? FOOTER_PRESETS[footerName], values)
+  };
+};
+
+module.exports = {
+  HEADER_PRESETS,
+  FOOTER_PRESETS,
+  escapeHtml,
+  renderTemplate,
+  validateTemplateOptions,
+  buildHeaderFooter
+};
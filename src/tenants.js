@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const rateLimit = require('express-rate-limit');
+
+/**
+ * API keys, tenants and usage accounting
+ *
+ * Keys are loaded from the JSON file named by API_KEYS_FILE, or from the
+ * API_KEYS environment variable holding the same JSON:
+ *
+ *   {
+ *     "adminKeys": ["..."],
+ *     "tenants": [{
+ *       "id": "acme",
+ *       "keys": ["..."],
+ *       "rateLimit": { "windowMs": 900000, "max": 100 },
+ *       "dailyQuota": 5000,
+ *       "maxBatchSize": 50,
+ *       "allowedDomains": ["https://app.acme.com"],
+ *       "webhookSecret": "..."
+ *     }]
+ *   }
+ *
+ * Without any tenant keys the service stays open: every caller is the
+ * "anonymous" tenant, rate limited per client IP.
+ */
+
+const DEFAULT_RATE_LIMIT = { windowMs: 15 * 60 * 1000, max: 100 };
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const configError = (message) => new Error(`Invalid API key configuration: ${message}`);
+
+const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+
+const normalizeTenant = (tenant, index) => {
+  const at = `tenants[${index}]`;
+  if (!tenant || typeof tenant.id !== 'string' || tenant.id === '') throw configError(`${at}.id is required`);
+  if (!Array.isArray(tenant.keys) || tenant.keys.length === 0) throw configError(`${at}.keys must list at least one key`);
+
+  const {
+    rateLimit: limits = {}, dailyQuota = null, maxBatchSize = null, allowedDomains = null, webhookSecret = null
+  } = tenant;
+  const windowMs = limits.windowMs ?? DEFAULT_RATE_LIMIT.windowMs;
+  const max = limits.max ?? DEFAULT_RATE_LIMIT.max;
+
+  if (!isPositiveInt(windowMs) || !isPositiveInt(max)) throw configError(`${at}.rateLimit needs positive integer windowMs and max`);
+  if (dailyQuota !== null && !isPositiveInt(dailyQuota)) throw configError(`${at}.dailyQuota must be a positive integer`);
+  if (maxBatchSize !== null && !isPositiveInt(maxBatchSize)) throw configError(`${at}.maxBatchSize must be a positive integer`);
+  if (allowedDomains !== null && !Array.isArray(allowedDomains)) throw configError(`${at}.allowedDomains must be an array`);
+  if (webhookSecret !== null && (typeof webhookSecret !== 'string' || webhookSecret === '')) {
+    throw configError(`${at}.webhookSecret must be a non-empty string`);
+  }
+
+  return {
+    id: tenant.id,
+    keyHashes: tenant.keys.map(hashKey),
+    rateLimit: { windowMs, max },
+    dailyQuota,
+    maxBatchSize,
+    allowedDomains: allowedDomains && allowedDomains.map(d => String(d).toLowerCase().replace(/\/+$/, '')),
+    webhookSecret
+  };
+};
+
+/**
+ * Read the key configuration from API_KEYS_FILE or API_KEYS.
+ * Resolves to { tenants, adminKeys }; both empty when nothing is configured.
+ */
+const loadTenantConfig = (env = process.env) => {
+  let raw = null;
+  if (env.API_KEYS_FILE) {
+    raw = fs.readFileSync(env.API_KEYS_FILE, 'utf8');
+  } else if (env.API_KEYS) {
+    raw = env.API_KEYS;
+  }
+
+  let config = {};
+  if (raw) {
+    try {
+      config = JSON.parse(raw);
+    } catch (err) {
+      throw configError(err.message);
+    }
+  }
+
+  const adminKeys = [...(config.adminKeys || [])];
+  if (env.ADMIN_API_KEY) adminKeys.push(env.ADMIN_API_KEY);
+
+  return { tenants: config.tenants || [], adminKeys };
+};
+
+// An allowed entry is an origin ("https://app.acme.com") or a bare hostname
+const domainAllowed = (allowedDomains, domainName) => {
+  let parsed;
+  try {
+    parsed = new URL(domainName);
+  } catch {
+    return false;
+  }
+
+  return allowedDomains.some(entry =>
+    entry.includes('://') ? entry === parsed.origin.toLowerCase() : entry === parsed.hostname.toLowerCase()
+  );
+};
+
+const createTenantRegistry = ({ tenants = [], adminKeys = [], anonymousRateLimit = DEFAULT_RATE_LIMIT } = {}) => {
+  const byKeyHash = new Map();
+  const normalized = tenants.map(normalizeTenant);
+
+  for (const tenant of normalized) {
+    for (const keyHash of tenant.keyHashes) {
+      if (byKeyHash.has(keyHash)) throw configError(`a key is shared by tenants ${byKeyHash.get(keyHash).id} and ${tenant.id}`);
+      byKeyHash.set(keyHash, tenant);
+    }
+  }
+
+  const adminKeyHashes = new Set(adminKeys.map(hashKey));
+  const enabled = byKeyHash.size > 0;
+
+  const anonymous = {
+    id: 'anonymous',
+    rateLimit: anonymousRateLimit,
+    dailyQuota: null,
+    maxBatchSize: null,
+    allowedDomains: null,
+    webhookSecret: null
+  };
+
+  const usage = new Map();
+
+  const usageOf = (tenant) => {
+    if (!usage.has(tenant.id)) {
+      usage.set(tenant.id, {
+        requests: 0,
+        documents: 0,
+        day: today(),
+        documentsToday: 0,
+        rejected: { unauthorized: 0, rateLimited: 0, quota: 0, batchSize: 0, domain: 0 },
+        lastRequestAt: null
+      });
+    }
+
+    const entry = usage.get(tenant.id);
+    if (entry.day !== today()) {
+      entry.day = today();
+      entry.documentsToday = 0;
+    }
+    return entry;
+  };
+
+  const reject = (tenant, reason, status, error) => {
+    usageOf(tenant).rejected[reason]++;
+    return { status, error };
+  };
+
+  // One limiter per tenant so each gets its own window; anonymous callers are keyed by IP
+  const makeLimiter = (tenant) => rateLimit({
+    windowMs: tenant.rateLimit.windowMs,
+    max: tenant.rateLimit.max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    ...(tenant === anonymous ? {} : { keyGenerator: () => tenant.id }),
+    handler: (req, res) => {
+      usageOf(tenant).rejected.rateLimited++;
+      res.status(429).json({
+        error: tenant === anonymous
+          ? 'Too many requests from this IP, please try again later.'
+          : 'Rate limit exceeded for this API key, please try again later.'
+      });
+    }
+  });
+
+  const limiters = new Map([anonymous, ...normalized].map(tenant => [tenant.id, makeLimiter(tenant)]));
+
+  const keyFrom = (req) => {
+    const header = req.get('authorization') || '';
+    const bearer = /^Bearer\s+(.+)$/i.exec(header);
+    return bearer ? bearer[1].trim() : req.get('x-api-key');
+  };
+
+  /**
+   * Middleware: resolve the caller's tenant into `req.tenant` (401 on a bad key)
+   */
+  const authenticate = (req, res, next) => {
+    if (!enabled) {
+      req.tenant = anonymous;
+    } else {
+      const key = keyFrom(req);
+      const tenant = key ? byKeyHash.get(hashKey(key)) : null;
+
+      if (!tenant) {
+        usageOf(anonymous).rejected.unauthorized++;
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: key ? 'Invalid API key' : 'API key required (Authorization: Bearer <key> or X-API-Key)' });
+      }
+      req.tenant = tenant;
+    }
+
+    const entry = usageOf(req.tenant);
+    entry.requests++;
+    entry.lastRequestAt = new Date().toISOString();
+    next();
+  };
+
+  /**
+   * Middleware: apply the tenant's rate limit (run after authenticate)
+   */
+  const limit = (req, res, next) => limiters.get(req.tenant.id)(req, res, next);
+
+  /**
+   * Middleware: only admin keys get through
+   */
+  const requireAdmin = (req, res, next) => {
+    if (adminKeyHashes.size === 0) {
+      return res.status(403).json({ error: 'Admin endpoints are disabled (no admin keys configured)' });
+    }
+
+    const key = keyFrom(req);
+    if (!key || !adminKeyHashes.has(hashKey(key))) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Admin API key required' });
+    }
+    next();
+  };
+
+  /**
+   * Check a validated request against the tenant's limits and, when it
+   * passes, count its documents. `payloads` holds one entry per document.
+   * Returns { status, error } when rejected, null when admitted.
+   */
+  const admit = (tenant, payloads, { batch = false } = {}) => {
+    if (batch && tenant.maxBatchSize && payloads.length > tenant.maxBatchSize) {
+      return reject(tenant, 'batchSize', 400, `Batch has ${payloads.length} items, the limit is ${tenant.maxBatchSize}`);
+    }
+
+    if (tenant.allowedDomains) {
+      const denied = payloads.find(p => p && p.domainName && !domainAllowed(tenant.allowedDomains, p.domainName));
+      if (denied) return reject(tenant, 'domain', 403, `domainName ${denied.domainName} is not allowed for this API key`);
+    }
+
+    const entry = usageOf(tenant);
+    if (tenant.dailyQuota && entry.documentsToday + payloads.length > tenant.dailyQuota) {
+      return reject(tenant, 'quota', 429, `Daily quota of ${tenant.dailyQuota} documents exceeded (${entry.documentsToday} used today)`);
+    }
+
+    entry.documents += payloads.length;
+    entry.documentsToday += payloads.length;
+    return null;
+  };
+
+  /**
+   * Webhook signing secret of a tenant (by ID), or null when it has none
+   */
+  const webhookSecretFor = (tenantId) => {
+    const tenant = normalized.find(t => t.id === tenantId);
+    return tenant ? tenant.webhookSecret : null;
+  };
+
+  /**
+   * Limits and usage of every tenant seen or configured
+   */
+  const report = () => [anonymous, ...normalized]
+    .filter(tenant => tenant !== anonymous || usage.has(anonymous.id))
+    .map(tenant => ({
+      id: tenant.id,
+      limits: {
+        rateLimit: tenant.rateLimit,
+        dailyQuota: tenant.dailyQuota,
+        maxBatchSize: tenant.maxBatchSize,
+        allowedDomains: tenant.allowedDomains
+      },
+      usage: { ...usageOf(tenant) }
+    }));
+
+  return { enabled, authenticate, limit, requireAdmin, admit, webhookSecretFor, report };
+};
+
+/**
+ * Registry configured from the environment (see loadTenantConfig)
+ */
+const createTenantRegistryFromEnv = (env = process.env) => createTenantRegistry({
+  ...loadTenantConfig(env),
+  anonymousRateLimit: {
+    windowMs: parseInt(env.RATE_LIMIT_WINDOW_MS, 10) || DEFAULT_RATE_LIMIT.windowMs,
+    max: parseInt(env.RATE_LIMIT_MAX, 10) || DEFAULT_RATE_LIMIT.max
+  }
+});
+
+/**
+ * Parse TRUST_PROXY for app.set('trust proxy'): a hop count, true/false,
+ * or a comma-separated list of addresses / subnets ("loopback, 10.0.0.0/8")
+ */
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+};
+
+module.exports = { loadTenantConfig, createTenantRegistry, createTenantRegistryFromEnv, parseTrustProxy };
@@ -0,0 +1,300 @@
+const { KnownDevices } = require('puppeteer-core');
+const { validateTemplateOptions } = require('./templates');
+const { validateDateOptions } = require('./dateFormat');
+const { validateResolverOptions } = require('./binaryResolvers');
+const { validateNetworkTargets } = require('./networkPolicy');
+const { validateWaitOptions } = require('./waitFor');
+const { validateDiagnosticsOption } = require('./diagnostics');
+const { validateDocumentOptions } = require('./pdfDocument');
+const { validateWatermarkOptions } = require('./watermark');
+const { validateEncryptionOptions } = require('./pdfEncryption');
+const { validatePageAuthOptions } = require('./pageAuth');
+const { validateRequestPolicyOptions } = require('./requestPolicy');
+const { LOCAL_SCHEMES, isPlainObject } = require('./shared');
+
+/**
+ * URL validation utility
+ */
+const validateUrl = (url) => {
+  try {
+    const parsedUrl = new URL(url);
+    return ['http:', 'https:'].includes(parsedUrl.protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate the render options shared by every PDF payload and batch item.
+ * Returns an error message, or null when the options are usable.
+ */
+const validateRenderOptions = (payload) =>
+  validateNetworkTargets(payload) ||
+  validateRequestPolicyOptions(payload) ||
+  validatePageAuthOptions(payload) ||
+  validateTemplateOptions(payload) ||
+  validateDateOptions(payload) ||
+  validateWaitOptions(payload) ||
+  validateResolverOptions(payload) ||
+  validateDocumentOptions(payload) ||
+  validateWatermarkOptions(payload) ||
+  validateEncryptionOptions(payload) ||
+  validateDiagnosticsOption(payload);
+
+/**
+ * Validate a single-document PDF payload (/pdf, /connector-pdf).
+ * Returns an error message, or null when the payload is usable.
+ */
+const validatePdfPayload = (payload) => {
+  const { html, url } = payload || {};
+
+  if (!html && !url) {
+    return 'Missing html or url';
+  }
+
+  if (url && !validateUrl(url)) {
+    return 'Valid URL is required (http/https)';
+  }
+
+  return validateRenderOptions(payload);
+};
+
+const SCREENSHOT_TYPES = ['png', 'jpeg', 'webp'];
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+const MAX_VIEWPORT = 4096;
+const MAX_SCALE_FACTOR = 4;
+
+const isInRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+/**
+ * Validate a screenshot payload (/screenshot).
+ * Returns an error message, or null when the payload is usable.
+ */
+const validateScreenshotPayload = (payload) => {
+  const {
+    html, url, type = 'png', quality, fullPage, selector, clip, viewport,
+    deviceScaleFactor, device, omitBackground, colorScheme
+  } = payload || {};
+
+  if (!html && !url) {
+    return 'Missing html or url';
+  }
+
+  if (url && !validateUrl(url)) {
+    return 'Valid URL is required (must include http:// or https://)';
+  }
+
+  if (!SCREENSHOT_TYPES.includes(type)) {
+    return `type must be one of: ${SCREENSHOT_TYPES.join(', ')}`;
+  }
+
+  // Ignored for png, as it always has been
+  if (quality !== undefined && !isInRange(quality, 0, 100)) {
+    return 'quality must be a number between 0 and 100';
+  }
+
+  if (selector !== undefined && (typeof selector !== 'string' || selector.trim() === '')) {
+    return 'selector must be a non-empty CSS selector';
+  }
+
+  if (clip !== undefined) {
+    if (!isPlainObject(clip) || !['x', 'y', 'width', 'height'].every(k => typeof clip[k] === 'number')) {
+      return 'clip must be an object with numeric x, y, width and height';
+    }
+    if (clip.x < 0 || clip.y < 0 || clip.width <= 0 || clip.height <= 0) {
+      return 'clip must have a non-negative position and a positive size';
+    }
+  }
+
+  if (selector && clip) return 'Use either selector or clip, not both';
+  if (fullPage === true && (selector || clip)) return 'fullPage cannot be combined with selector or clip';
+
+  if (viewport !== undefined) {
+    const sizeOk = isPlainObject(viewport) &&
+      ['width', 'height'].every(k => Number.isInteger(viewport[k]) && isInRange(viewport[k], 1, MAX_VIEWPORT));
+    if (!sizeOk) return `viewport must have integer width and height between 1 and ${MAX_VIEWPORT}`;
+  }
+
+  if (deviceScaleFactor !== undefined && !isInRange(deviceScaleFactor, 0.1, MAX_SCALE_FACTOR)) {
+    return `deviceScaleFactor must be a number between 0.1 and ${MAX_SCALE_FACTOR}`;
+  }
+
+  if (device !== undefined && !Object.prototype.hasOwnProperty.call(KnownDevices, device)) {
+    return `Unknown device "${device}" (use a Puppeteer KnownDevices name such as "iPhone 13")`;
+  }
+
+  if (omitBackground !== undefined && typeof omitBackground !== 'boolean') {
+    return 'omitBackground must be a boolean';
+  }
+
+  if (colorScheme !== undefined && !COLOR_SCHEMES.includes(colorScheme)) {
+    return `colorScheme must be one of: ${COLOR_SCHEMES.join(', ')}`;
+  }
+
+  return validateNetworkTargets(payload) ||
+    validateRequestPolicyOptions(payload) ||
+    validatePageAuthOptions(payload) ||
+    validateWaitOptions(payload) ||
+    validateDiagnosticsOption(payload);
+};
+
+// page.pdf() options /pdf/base64 passes through; anything else (path, ...) is refused
+const PDF_FORMATS = ['letter', 'legal', 'tabloid', 'ledger', 'a0', 'a1', 'a2', 'a3', 'a4', 'a5', 'a6'];
+const PDF_BOOLEAN_OPTIONS = [
+  'landscape', 'printBackground', 'displayHeaderFooter', 'preferCSSPageSize', 'omitBackground', 'tagged', 'outline'
+];
+const PDF_STRING_OPTIONS = ['headerTemplate', 'footerTemplate', 'pageRanges'];
+const PDF_SIZE_OPTIONS = ['width', 'height'];
+const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+const MAX_PDF_TIMEOUT = 120000;
+
+// A CSS length ("10mm", "0.5in", "20px") or a number of pixels
+const isPdfLength = (value) =>
+  (typeof value === 'number' && value >= 0) || (typeof value === 'string' && /^\d+(\.\d+)?(px|in|cm|mm)?$/.test(value));
+
+/**
+ * Validate the raw page.pdf() `options` of a /pdf/base64 payload.
+ * Returns an error message, or null when they are usable.
+ */
+const validatePdfOptions = (options) => {
+  if (options === undefined) return null;
+  if (!isPlainObject(options)) return 'options must be an object';
+
+  const known = ['format', 'scale', 'margin', 'timeout', ...PDF_BOOLEAN_OPTIONS, ...PDF_STRING_OPTIONS, ...PDF_SIZE_OPTIONS];
+  const unknown = Object.keys(options).find(name => !known.includes(name));
+  if (unknown) return `options.${unknown} is not supported`;
+
+  const { format, scale, margin, timeout } = options;
+
+  if (format !== undefined && !(typeof format === 'string' && PDF_FORMATS.includes(format.toLowerCase()))) {
+    return `options.format must be one of: ${PDF_FORMATS.join(', ')}`;
+  }
+  if (scale !== undefined && !isInRange(scale, 0.1, 2)) return 'options.scale must be a number between 0.1 and 2';
+  if (timeout !== undefined && !isInRange(timeout, 0, MAX_PDF_TIMEOUT)) {
+    return `options.timeout must be a number of milliseconds up to ${MAX_PDF_TIMEOUT}`;
+  }
+
+  const badBoolean = PDF_BOOLEAN_OPTIONS.find(name => options[name] !== undefined && typeof options[name] !== 'boolean');
+  if (badBoolean) return `options.${badBoolean} must be a boolean`;
+
+  const badString = PDF_STRING_OPTIONS.find(name => options[name] !== undefined && typeof options[name] !== 'string');
+  if (badString) return `options.${badString} must be a string`;
+
+  const badSize = PDF_SIZE_OPTIONS.find(name => options[name] !== undefined && !isPdfLength(options[name]));
+  if (badSize) return `options.${badSize} must be a length such as "210mm" or a number of pixels`;
+
+  if (margin !== undefined) {
+    if (!isPlainObject(margin) || Object.keys(margin).some(side => !MARGIN_SIDES.includes(side))) {
+      return `options.margin must be an object with ${MARGIN_SIDES.join(', ')}`;
+    }
+    const badSide = MARGIN_SIDES.find(side => margin[side] !== undefined && !isPdfLength(margin[side]));
+    if (badSide) return `options.margin.${badSide} must be a length such as "10mm" or a number of pixels`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate a /pdf/base64 payload: a page URL and page.pdf() options.
+ * Returns an error message, or null when the payload is usable.
+ */
+const validatePdfBase64Payload = (payload) => {
+  const { url, options } = payload || {};
+
+  if (!url || !validateUrl(url)) {
+    return 'Valid URL is required (must include http:// or https://)';
+  }
+
+  return validateNetworkTargets({ url }) || validatePdfOptions(options);
+};
+
+const BATCH_OUTPUTS = ['zip', 'merged'];
+const PAGE_NUMBERING = ['perDocument', 'continuous'];
+
+/**
+ * A batch is either a bare array of items (a ZIP) or
+ * { items, output, pageNumbering, encryption, failOnError }. Returns the object form with defaults.
+ */
+const normalizeBatchPayload = (payload) => {
+  const {
+    items, output = 'zip', pageNumbering = 'perDocument', encryption, failOnError = false, store = false
+  } = Array.isArray(payload) ? { items: payload } : payload || {};
+  return { items, output, pageNumbering, encryption, failOnError, store };
+};
+
+/**
+ * Validate a batch payload (/pdf-batch).
+ * Returns an error message, or null when the payload is usable.
+ */
+const validateBatchPayload = (payload) => {
+  const { items, output, pageNumbering, encryption, failOnError, store } = normalizeBatchPayload(payload);
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'Request body must be an array of objects, or an object with a non-empty items array.';
+  }
+
+  if (!BATCH_OUTPUTS.includes(output)) {
+    return `output must be one of: ${BATCH_OUTPUTS.join(', ')}`;
+  }
+
+  if (!PAGE_NUMBERING.includes(pageNumbering)) {
+    return `pageNumbering must be one of: ${PAGE_NUMBERING.join(', ')}`;
+  }
+
+  if (pageNumbering === 'continuous' && output !== 'merged') {
+    return 'pageNumbering "continuous" requires output "merged"';
+  }
+
+  // The packet's own page numbers would be printed over an item's footer
+  if (pageNumbering === 'continuous') {
+    const footerItem = items.findIndex(item =>
+      item && (item.footerTemplate !== undefined || (item.footerPreset !== undefined && item.footerPreset !== 'none')));
+    if (footerItem !== -1) {
+      return `Item ${footerItem}: footerTemplate and footerPreset are not available with pageNumbering "continuous"`;
+    }
+  }
+
+  // An encrypted item can't be merged; the packet is encrypted as a whole instead
+  if (output === 'merged') {
+    const encryptedItem = items.findIndex(item => item && item.encryption !== undefined);
+    if (encryptedItem !== -1) {
+      return `Item ${encryptedItem}: set encryption on the batch, not on its items, when output is "merged"`;
+    }
+
+    // Merging copies page content only, so the structure tree is lost
+    const taggedItem = items.findIndex(item => item && item.tagged === true);
+    if (taggedItem !== -1) {
+      return `Item ${taggedItem}: tagged output is not available when output is "merged"; use output "zip"`;
+    }
+  } else if (encryption !== undefined) {
+    return 'Batch-level encryption requires output "merged"; encrypt each item instead';
+  }
+
+  const encryptionError = validateEncryptionOptions({ encryption });
+  if (encryptionError) return encryptionError;
+
+  if (typeof failOnError !== 'boolean') return 'failOnError must be a boolean';
+  if (typeof store !== 'boolean') return 'store must be a boolean';
+
+  // Without failOnError, invalid items are skipped and reported in the manifest
+  if (failOnError) {
+    for (const [i, item] of items.entries()) {
+      const itemError = validatePdfPayload(item);
+      if (itemError) return `Item ${i}: ${itemError}`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  isPlainObject,
+  LOCAL_SCHEMES,
+  validateUrl,
+  validateRenderOptions,
+  validatePdfPayload,
+  validateScreenshotPayload,
+  validatePdfBase64Payload,
+  validateBatchPayload,
+  normalizeBatchPayload
+};
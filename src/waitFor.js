@@ -0,0 +1,212 @@
+/**
+ * Page readiness strategies
+ *
+ * A render waits on an ordered list of strategies from the `waitFor` option:
+ *
+ *   { type: 'selector', selector: '#chart', state: 'visible' | 'hidden' }
+ *   { type: 'function', expression: 'window.app && window.app.loaded' }
+ *   { type: 'networkIdle', idleTime: 500, maxInflight: 0 }
+ *   { type: 'fonts' }                      document.fonts.ready
+ *   { type: 'images' }                     every <img> loaded and decoded
+ *   { type: 'signal', name: '__RENDER_READY__' }
+ *
+ * Strings are shorthand for a strategy with default options ('fonts').
+ * Every strategy takes its own `timeout` (ms) and `onTimeout`: 'fail' aborts
+ * the render, 'continue' (the default) records the timeout and moves on.
+ */
+
+const { isPlainObject } = require('./shared');
+
+const STRATEGY_TYPES = ['selector', 'function', 'networkIdle', 'fonts', 'images', 'signal'];
+const SELECTOR_STATES = ['visible', 'hidden'];
+const MAX_TIMEOUT = 120000;
+
+const DEFAULT_TIMEOUTS = {
+  selector: 30000,
+  function: 30000,
+  networkIdle: 10000,
+  fonts: 5000,
+  images: 10000,
+  signal: 30000
+};
+
+const SPINNER_SELECTOR = '.loading, .spinner, [class*="loading"], [class*="spinner"], [aria-busy="true"]';
+
+/**
+ * Used when a PDF payload has no `waitFor`: loaders gone, then network,
+ * fonts and images settled, all on a best-effort basis. A caller that wants
+ * a stuck spinner to fail the render passes the selector with
+ * onTimeout 'fail' itself.
+ */
+const DEFAULT_STRATEGIES = [
+  { type: 'selector', selector: SPINNER_SELECTOR, state: 'hidden' },
+  { type: 'networkIdle', idleTime: 500, maxInflight: 2 },
+  { type: 'fonts' },
+  { type: 'images' }
+];
+
+// Used when a screenshot payload has no `waitFor`
+const SCREENSHOT_DEFAULT_STRATEGIES = [
+  { type: 'networkIdle', idleTime: 500, maxInflight: 2 }
+];
+
+const normalizeStrategy = (strategy) =>
+  typeof strategy === 'string' ? { type: strategy } : strategy;
+
+const validateStrategy = (strategy, at) => {
+  if (!isPlainObject(strategy) || !STRATEGY_TYPES.includes(strategy.type)) {
+    return `${at} must be one of ${STRATEGY_TYPES.join(', ')} or an object with one of them as type`;
+  }
+
+  const { type, timeout, onTimeout } = strategy;
+
+  if (timeout !== undefined && (typeof timeout !== 'number' || timeout < 0 || timeout > MAX_TIMEOUT)) {
+    return `${at}.timeout must be a number of milliseconds up to ${MAX_TIMEOUT}`;
+  }
+
+  if (onTimeout !== undefined && !['fail', 'continue'].includes(onTimeout)) {
+    return `${at}.onTimeout must be "fail" or "continue"`;
+  }
+
+  if (type === 'selector') {
+    if (typeof strategy.selector !== 'string' || strategy.selector.trim() === '') {
+      return `${at}.selector must be a non-empty CSS selector`;
+    }
+    if (strategy.state !== undefined && !SELECTOR_STATES.includes(strategy.state)) {
+      return `${at}.state must be one of: ${SELECTOR_STATES.join(', ')}`;
+    }
+  }
+
+  if (type === 'function' && (typeof strategy.expression !== 'string' || strategy.expression.trim() === '')) {
+    return `${at}.expression must be a JavaScript expression`;
+  }
+
+  if (type === 'networkIdle') {
+    const { idleTime, maxInflight } = strategy;
+    if (idleTime !== undefined && (typeof idleTime !== 'number' || idleTime < 0 || idleTime > MAX_TIMEOUT)) {
+      return `${at}.idleTime must be a number of milliseconds up to ${MAX_TIMEOUT}`;
+    }
+    if (maxInflight !== undefined && (!Number.isInteger(maxInflight) || maxInflight < 0)) {
+      return `${at}.maxInflight must be a non-negative integer`;
+    }
+  }
+
+  if (type === 'signal' && strategy.name !== undefined && !/^[A-Za-z_$][\w$]*$/.test(strategy.name)) {
+    return `${at}.name must be a window property name`;
+  }
+
+  return null;
+};
+
+/**
+ * Return an error message if `waitFor` is unusable, else null
+ */
+const validateWaitOptions = ({ waitFor } = {}) => {
+  if (waitFor === undefined) return null;
+
+  if (!Array.isArray(waitFor)) return 'waitFor must be an array of wait strategies';
+
+  for (const [i, strategy] of waitFor.entries()) {
+    const error = validateStrategy(normalizeStrategy(strategy), `waitFor[${i}]`);
+    if (error) return error;
+  }
+
+  return null;
+};
+
+// Runs in the page: does any / no element matching `selector` render?
+const selectorState = (selector, state) => {
+  const isVisible = (el) => {
+    const style = getComputedStyle(el);
+    return style.display !== 'none' && style.visibility !== 'hidden' && el.getClientRects().length > 0;
+  };
+  const anyVisible = [...document.querySelectorAll(selector)].some(isVisible);
+  return state === 'hidden' ? !anyVisible : anyVisible;
+};
+
+const runStrategy = async (page, strategy, timeout) => {
+  switch (strategy.type) {
+    case 'selector':
+      return page.waitForFunction(selectorState, { timeout, polling: 100 }, strategy.selector, strategy.state || 'visible');
+
+    case 'function':
+      return page.waitForFunction(strategy.expression, { timeout, polling: 100 });
+
+    case 'networkIdle':
+      return page.waitForNetworkIdle({
+        timeout,
+        idleTime: strategy.idleTime ?? 500,
+        concurrency: strategy.maxInflight ?? 0
+      });
+
+    case 'fonts':
+      return page.waitForFunction(() => document.fonts.ready.then(() => true), { timeout });
+
+    case 'images':
+      return page.waitForFunction(
+        () => Promise.all([...document.images].map(img => img.decode().catch(() => { }))).then(() => true),
+        { timeout }
+      );
+
+    case 'signal':
+      return page.waitForFunction(name => Boolean(window[name]), { timeout, polling: 100 }, strategy.name || '__RENDER_READY__');
+  }
+};
+
+const describe = (strategy) => {
+  switch (strategy.type) {
+    case 'selector': return `${strategy.selector} ${strategy.state || 'visible'}`;
+    case 'function': return strategy.expression.slice(0, 100);
+    case 'networkIdle': return `idle ${strategy.idleTime ?? 500}ms, max ${strategy.maxInflight ?? 0} in flight`;
+    case 'signal': return `window.${strategy.name || '__RENDER_READY__'}`;
+    default: return strategy.type;
+  }
+};
+
+/**
+ * Wait on each strategy in turn. Resolves to one report entry per strategy:
+ * { type, condition, status: 'satisfied' | 'timeout' | 'error', elapsedMs, error? }.
+ * Throws (statusCode 408) when a strategy with onTimeout 'fail' does not succeed.
+ */
+const waitForReady = async (page, waitFor = DEFAULT_STRATEGIES) => {
+  const report = [];
+
+  for (const raw of waitFor) {
+    const strategy = normalizeStrategy(raw);
+    const timeout = strategy.timeout ?? DEFAULT_TIMEOUTS[strategy.type];
+    const entry = { type: strategy.type, condition: describe(strategy) };
+    const start = Date.now();
+
+    try {
+      await runStrategy(page, strategy, timeout);
+      entry.status = 'satisfied';
+    } catch (err) {
+      entry.status = err.name === 'TimeoutError' ? 'timeout' : 'error';
+      entry.error = err.name === 'TimeoutError' ? `Timed out after ${timeout}ms` : err.message;
+    }
+
+    entry.elapsedMs = Date.now() - start;
+    report.push(entry);
+
+    if (entry.status !== 'satisfied' && strategy.onTimeout === 'fail') {
+      throw Object.assign(
+        new Error(`Wait for ${strategy.type} (${entry.condition}) failed: ${entry.error}`),
+        { statusCode: 408, code: 'ERR_WAIT_TIMEOUT', wait: report }
+      );
+    }
+  }
+
+  return report;
+};
+
+/**
+ * Let pending DOM changes (filled fields, painted canvases) reach the screen
+ * by waiting two animation frames (capped in case frames are throttled).
+ */
+const waitForPaint = (page) =>
+  page.evaluate(() => new Promise(resolve => {
+    setTimeout(resolve, 500);
+    requestAnimationFrame(() => requestAnimationFrame(resolve));
+  }));
+
+module.exports = { DEFAULT_STRATEGIES, SCREENSHOT_DEFAULT_STRATEGIES, SPINNER_SELECTOR, validateWaitOptions, waitForReady, waitForPaint };
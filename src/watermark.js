@@ -0,0 +1,171 @@
+const { PDFDocument, StandardFonts, degrees, rgb } = require('pdf-lib');
+const { isPlainObject } = require('./shared');
+
+/**
+ * Watermarks and stamps drawn onto rendered PDFs
+ *
+ * Overlays are drawn with pdf-lib after Chrome has printed the document, so
+ * the form's CSS and the header/footer templates can't move or hide them.
+ * `watermark` is one overlay or a list of them:
+ *
+ *   { text: 'DRAFT' }                                    faint, diagonal, centred, every page
+ *   { image: 'data:image/png;base64,...', position: 'bottom-right', pages: 'last', width: 120 }
+ *                                                        opaque, upright stamp
+ */
+
+const POSITIONS = ['center', 'top', 'bottom', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const PAGES = ['all', 'first', 'last'];
+const IMAGE_DATA_URI = /^data:image\/(png|jpe?g);base64,([A-Za-z0-9+/=\s]+)$/;
+// Characters the standard Helvetica font can draw
+const DRAWABLE_TEXT = /^[\x20-\x7E\xA0-\xFF]+$/;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const EDGE_MARGIN = 36;
+const DEFAULTS = { position: 'center', pages: 'all', color: '#808080' };
+
+const isInRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+const watermarkList = (watermark) => (watermark === undefined ? [] : [].concat(watermark));
+
+const validateOne = (mark, at) => {
+  if (!isPlainObject(mark)) return `${at} must be an object`;
+
+  const { text, image, opacity, rotation, position, pages, fontSize, color, width } = mark;
+
+  if ((text === undefined) === (image === undefined)) return `${at} needs exactly one of text or image`;
+  if (text !== undefined && (typeof text !== 'string' || !DRAWABLE_TEXT.test(text))) {
+    return `${at}.text must be a non-empty string of Latin-1 characters`;
+  }
+  if (image !== undefined && (typeof image !== 'string' || !IMAGE_DATA_URI.test(image))) {
+    return `${at}.image must be a base64 PNG or JPEG data URI`;
+  }
+  if (opacity !== undefined && !isInRange(opacity, 0, 1)) return `${at}.opacity must be between 0 and 1`;
+  if (rotation !== undefined && !isInRange(rotation, -360, 360)) return `${at}.rotation must be degrees between -360 and 360`;
+  if (position !== undefined && !POSITIONS.includes(position)) return `${at}.position must be one of: ${POSITIONS.join(', ')}`;
+  if (pages !== undefined && !PAGES.includes(pages)) return `${at}.pages must be one of: ${PAGES.join(', ')}`;
+  if (fontSize !== undefined && !isInRange(fontSize, 4, 400)) return `${at}.fontSize must be between 4 and 400`;
+  if (color !== undefined && (typeof color !== 'string' || !HEX_COLOR.test(color))) return `${at}.color must be a #rrggbb hex color`;
+  if (width !== undefined && !isInRange(width, 1, 2000)) return `${at}.width must be between 1 and 2000 points`;
+
+  return null;
+};
+
+/**
+ * Return an error message if the `watermark` option is unusable, else null
+ */
+const validateWatermarkOptions = ({ watermark } = {}) => {
+  if (watermark === undefined) return null;
+
+  const marks = watermarkList(watermark);
+  if (marks.length === 0) return 'watermark must not be an empty list';
+
+  for (const [i, mark] of marks.entries()) {
+    const error = validateOne(mark, Array.isArray(watermark) ? `watermark[${i}]` : 'watermark');
+    if (error) return error;
+  }
+  return null;
+};
+
+const hexToRgb = (hex) => rgb(
+  parseInt(hex.slice(1, 3), 16) / 255,
+  parseInt(hex.slice(3, 5), 16) / 255,
+  parseInt(hex.slice(5, 7), 16) / 255
+);
+
+/**
+ * Where to draw a w×h box rotated by `angle` degrees about its lower-left
+ * corner so that its bounding box sits at `position` on the page.
+ * Returns the lower-left corner to draw from.
+ */
+const placeBox = (page, { w, h, angle, position }) => {
+  const rad = (angle * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+
+  const boundsW = Math.abs(w * cos) + Math.abs(h * sin);
+  const boundsH = Math.abs(w * sin) + Math.abs(h * cos);
+  const pageW = page.getWidth();
+  const pageH = page.getHeight();
+
+  let cx = pageW / 2;
+  let cy = pageH / 2;
+  if (position.includes('left')) cx = EDGE_MARGIN + boundsW / 2;
+  if (position.includes('right')) cx = pageW - EDGE_MARGIN - boundsW / 2;
+  if (position.startsWith('top')) cy = pageH - EDGE_MARGIN - boundsH / 2;
+  if (position.startsWith('bottom')) cy = EDGE_MARGIN + boundsH / 2;
+
+  // Centre of the box relative to its rotated lower-left corner
+  return {
+    x: cx - ((w / 2) * cos - (h / 2) * sin),
+    y: cy - ((w / 2) * sin + (h / 2) * cos)
+  };
+};
+
+const pagesFor = (doc, which) => {
+  const pages = doc.getPages();
+  if (which === 'first') return pages.slice(0, 1);
+  if (which === 'last') return pages.slice(-1);
+  return pages;
+};
+
+const drawText = async (doc, mark) => {
+  const font = await doc.embedFont(StandardFonts.HelveticaBold);
+  const angle = mark.rotation ?? 45;
+
+  for (const page of pagesFor(doc, mark.pages)) {
+    // Big enough to read, small enough to fit across the page
+    const size = mark.fontSize ?? Math.min(120, (page.getWidth() * 0.9) / Math.max(1, font.widthOfTextAtSize(mark.text, 1)));
+    const w = font.widthOfTextAtSize(mark.text, size);
+    const h = font.heightAtSize(size, { descender: false });
+    const { x, y } = placeBox(page, { w, h, angle, position: mark.position });
+
+    page.drawText(mark.text, {
+      x,
+      y,
+      size,
+      font,
+      color: hexToRgb(mark.color),
+      opacity: mark.opacity ?? 0.25,
+      rotate: degrees(angle)
+    });
+  }
+};
+
+const drawImage = async (doc, mark) => {
+  const [, format, base64] = IMAGE_DATA_URI.exec(mark.image);
+  const bytes = Buffer.from(base64.replace(/\s/g, ''), 'base64');
+  const image = format === 'png' ? await doc.embedPng(bytes) : await doc.embedJpg(bytes);
+  const angle = mark.rotation ?? 0;
+
+  for (const page of pagesFor(doc, mark.pages)) {
+    const w = mark.width ?? Math.min(image.width, page.getWidth() / 4);
+    const h = (w / image.width) * image.height;
+    const { x, y } = placeBox(page, { w, h, angle, position: mark.position });
+
+    page.drawImage(image, { x, y, width: w, height: h, opacity: mark.opacity ?? 1, rotate: degrees(angle) });
+  }
+};
+
+/**
+ * Draw the payload's watermarks onto a rendered PDF. Returns the PDF
+ * untouched when there are none.
+ */
+const applyWatermarks = async (pdf, { watermark } = {}) => {
+  const marks = watermarkList(watermark);
+  if (marks.length === 0) return pdf;
+
+  const doc = await PDFDocument.load(pdf, { updateMetadata: false });
+
+  for (const mark of marks) {
+    const options = { ...DEFAULTS, ...mark };
+    if (options.text !== undefined) {
+      await drawText(doc, options);
+    } else {
+      await drawImage(doc, options);
+    }
+  }
+
+  return Buffer.from(await doc.save());
+};
+
+module.exports = { validateWatermarkOptions, applyWatermarks };
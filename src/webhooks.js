@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { networkPolicy } = require('./networkPolicy');
+const { logger } = require('./logger');
+
+/**
+ * Signed webhook delivery
+ *
+ * Each delivery is a JSON POST with:
+ *
+ *   X-Webhook-Id          unique per delivery (the same across its retries)
+ *   X-Webhook-Timestamp   unix seconds when this attempt was signed
+ *   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *
+ * Receivers should recompute the signature with their secret and reject
+ * timestamps older than a few minutes. Network errors, timeouts, 429 and
+ * 5xx responses are retried with exponential backoff; other responses end
+ * the delivery. Callback URLs go through the network policy like any other
+ * outbound request, and redirects are not followed.
+ */
+
+const CALLBACK_CONTENT = ['reference', 'content'];
+
+const DEFAULTS = {
+  maxAttempts: 6,
+  baseDelayMs: 1000,
+  timeoutMs: 10000
+};
+
+/**
+ * Return an error message if the job's callback options are unusable, else null
+ */
+const validateCallbackOptions = ({ callbackUrl, callbackContent } = {}, policy = networkPolicy) => {
+  if (callbackUrl === undefined) {
+    return callbackContent === undefined ? null : 'callbackContent requires a callbackUrl';
+  }
+
+  if (typeof callbackUrl !== 'string' || !/^https?:\/\//.test(callbackUrl)) return 'callbackUrl must be an http(s) URL';
+  const reason = policy.checkUrlSync(callbackUrl);
+  if (reason) return `callbackUrl not allowed: ${reason}`;
+
+  if (callbackContent !== undefined && !CALLBACK_CONTENT.includes(callbackContent)) {
+    return `callbackContent must be one of: ${CALLBACK_CONTENT.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Signature header value for a raw body
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// 1s, 2s, 4s... with up to 20% jitter so retries from many jobs spread out
+const backoff = (attempt, baseDelayMs) => baseDelayMs * 2 ** (attempt - 1) * (1 + Math.random() * 0.2);
+
+const isRetryable = (status) => status === 429 || status >= 500;
+
+const createWebhookSender = ({
+  fetch = networkPolicy.safeFetch,
+  maxAttempts = DEFAULTS.maxAttempts,
+  baseDelayMs = DEFAULTS.baseDelayMs,
+  timeoutMs = DEFAULTS.timeoutMs,
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) => {
+  /**
+   * POST `payload` to `url`, retrying as needed. `onAttempt(entry)` is
+   * called after every attempt with
+   * { attempt, at, statusCode, durationMs, error, nextRetryAt }.
+   * Resolves to 'delivered' or 'failed'; never rejects.
+   */
+  const deliver = async ({ url, secret, payload, onAttempt = () => { } }) => {
+    const deliveryId = crypto.randomUUID();
+    const body = JSON.stringify(payload);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const started = Date.now();
+      const timestamp = Math.floor(started / 1000);
+      let statusCode = null;
+      let error = null;
+      let retryable = true;
+
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'puppeteer-fargate-webhooks/1.0',
+            'X-Webhook-Id': deliveryId,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': signPayload(secret, timestamp, body)
+          },
+          body,
+          signal: AbortSignal.timeout(timeoutMs)
+        }, 0);
+        await response.body?.cancel().catch(() => { });
+
+        statusCode = response.status;
+        if (response.ok) {
+          await onAttempt({ attempt, at: new Date(started).toISOString(), statusCode, durationMs: Date.now() - started, error: null, nextRetryAt: null });
+          return 'delivered';
+        }
+        error = `HTTP ${statusCode}`;
+        retryable = isRetryable(statusCode);
+      } catch (err) {
+        error = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : err.message;
+        if (err.code === 'ERR_TOO_MANY_REDIRECTS') error = 'Callback URL redirected; redirects are not followed';
+        retryable = !['ERR_URL_BLOCKED', 'ERR_TOO_MANY_REDIRECTS'].includes(err.code);
+      }
+
+      const delay = retryable && attempt < maxAttempts ? backoff(attempt, baseDelayMs) : null;
+      await onAttempt({
+        attempt,
+        at: new Date(started).toISOString(),
+        statusCode,
+        durationMs: Date.now() - started,
+        error,
+        nextRetryAt: delay === null ? null : new Date(Date.now() + delay).toISOString()
+      });
+      logger.warn('Webhook delivery failed', { deliveryId, attempt, statusCode, error, retrying: delay !== null });
+
+      if (delay === null) return 'failed';
+      await sleep(delay);
+    }
+
+    return 'failed';
+  };
+
+  return { deliver };
+};
+
+/**
+ * Sender configured from the environment
+ */
+const createWebhookSenderFromEnv = (env = process.env) => createWebhookSender({
+  maxAttempts: parseInt(env.WEBHOOK_MAX_ATTEMPTS, 10) || DEFAULTS.maxAttempts,
+  baseDelayMs: parseInt(env.WEBHOOK_RETRY_BASE_MS, 10) || DEFAULTS.baseDelayMs,
+  timeoutMs: parseInt(env.WEBHOOK_TIMEOUT_MS, 10) || DEFAULTS.timeoutMs
+});
+
+module.exports = { CALLBACK_CONTENT, validateCallbackOptions, signPayload, createWebhookSender, createWebhookSenderFromEnv };
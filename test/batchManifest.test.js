@@ -0,0 +1,46 @@
+const { assignFilenames, createManifest } = require('../src/batchManifest');
+
+describe('assignFilenames', () => {
+  test('builds names from headerInfo and keeps requested filenames', () => {
+    expect(assignFilenames([
+      { headerInfo: { formName: 'Site Audit', user: 'ann' } },
+      { filename: 'report.PDF' },
+      {}
+    ])).toEqual(['Site_Audit_ann.pdf', 'report.pdf', 'form_user-2.pdf']);
+  });
+
+  test('makes every name unique, ignoring case', () => {
+    expect(assignFilenames([
+      { filename: 'a' },
+      { filename: 'A.pdf' },
+      { filename: 'a' },
+      { filename: 'manifest.json' }
+    ])).toEqual(['a.pdf', 'A-2.pdf', 'a-3.pdf', 'manifest.json.pdf']);
+  });
+
+  test('strips path separators and leading dots', () => {
+    expect(assignFilenames([{ filename: '../../etc/passwd' }, { filename: '...' }, null]))
+      .toEqual(['etc_passwd.pdf', 'document-2.pdf', 'form_user-2.pdf']);
+  });
+});
+
+describe('createManifest', () => {
+  const batch = [{ id: 'a' }, { id: 0 }, {}, null];
+
+  test('lists every item in input order', () => {
+    const manifest = createManifest(batch, ['a.pdf', 'b.pdf', 'c.pdf', 'd.pdf']);
+    manifest.record(1, 'completed', null, { pages: 2, bytes: 1024, durationMs: 30 });
+    manifest.record(0, 'failed', 'Navigation timeout', { durationMs: 5000 });
+    manifest.record(2, 'skipped', 'Missing html or url');
+
+    const json = manifest.toJSON();
+    expect(json).toMatchObject({ total: 4, completed: 1, failed: 1, skipped: 1, cancelled: 0 });
+    expect(Date.parse(json.generatedAt)).not.toBeNaN();
+    expect(json.items).toEqual([
+      { index: 0, id: 'a', filename: 'a.pdf', status: 'failed', error: 'Navigation timeout', pages: null, bytes: null, durationMs: 5000 },
+      { index: 1, id: 0, filename: 'b.pdf', status: 'completed', error: null, pages: 2, bytes: 1024, durationMs: 30 },
+      { index: 2, id: null, filename: 'c.pdf', status: 'skipped', error: 'Missing html or url', pages: null, bytes: null, durationMs: null },
+      { index: 3, id: null, filename: 'd.pdf', status: 'pending', error: null, pages: null, bytes: null, durationMs: null }
+    ]);
+  });
+});
@@ -0,0 +1,42 @@
+const { formatDateValue, validateDateOptions } = require('../src/dateFormat');
+
+describe('formatDateValue', () => {
+  test('formats calendar dates as given', () => {
+    expect(formatDateValue('2024-03-09', 'dddd DD MMMM YYYY')).toBe('Saturday 09 March 2024');
+    expect(formatDateValue('2024-02-29', 'DD/MM/YYYY')).toBe('29/02/2024');
+  });
+
+  test('converts instants into the time zone', () => {
+    expect(formatDateValue('2024-03-09T23:30:00Z', 'DD/MM/YYYY HH:mm', { kind: 'datetime', timeZone: 'Europe/Berlin' }))
+      .toBe('10/03/2024 00:30');
+    expect(formatDateValue(Date.UTC(2024, 0, 1, 15, 5), 'hh:mm A', { kind: 'time', timeZone: 'America/New_York' })).toBe('10:05 AM');
+  });
+
+  test('keeps the legacy lowercase spellings for dates', () => {
+    expect(formatDateValue('2024-03-09', 'dd/mm/yyyy')).toBe('09/03/2024');
+  });
+
+  test.each([
+    ['2024-13-01'],
+    ['2024-00-10'],
+    ['2024-02-30'],
+    ['2023-02-29'],
+    ['2024-04-31'],
+    ['2024-01-01T24:00'],
+    ['2024-01-01 12:60'],
+    ['25:00'],
+    ['12:30:61']
+  ])('returns out-of-range %s unchanged', (value) => {
+    expect(formatDateValue(value, 'DD MMMM YYYY HH:mm:ss', { kind: 'datetime' })).toBe(value);
+  });
+
+  test('returns other unparseable values unchanged', () => {
+    expect(formatDateValue('next tuesday', 'DD/MM/YYYY')).toBe('next tuesday');
+    expect(formatDateValue('', 'DD/MM/YYYY')).toBe('');
+  });
+});
+
+test('validateDateOptions rejects unknown time zones', () => {
+  expect(validateDateOptions({ timeZone: 'Mars/Olympus' })).toMatch(/timeZone/);
+  expect(validateDateOptions({ timeZone: 'Europe/Berlin' })).toBeNull();
+});
@@ -0,0 +1,56 @@
+const { registerFieldHandler, resolveFieldTypes, fillForm } = require('../src/formFill');
+
+// Page stand-in that records the script fillForm sends to the browser
+const recordingPage = () => ({
+  evaluate: jest.fn(async () => ({ filled: [], missing: [] }))
+});
+
+describe('resolveFieldTypes', () => {
+  test('prefers declared types and treats "date" names as dates', () => {
+    expect(resolveFieldTypes(
+      { start_date: '2024-01-01', updatedAt: 'x', dueDate: '2024-01-01', notes: 'y' },
+      { updatedAt: 'datetime', dueDate: 'text' }
+    )).toEqual({ start_date: 'date', updatedAt: 'datetime', dueDate: 'text' });
+  });
+});
+
+describe('fillForm', () => {
+  test('formats date fields in the time zone before they reach the page', async () => {
+    const page = recordingPage();
+
+    await expect(fillForm(page, {
+      fields: { visit_date: '2024-03-09', checkedAt: '2024-03-09T23:30:00Z', name: 'Ann', bad_date: '2024-02-31' },
+      fieldTypes: { checkedAt: 'datetime' },
+      dateDisplayFormat: 'DD MMM YYYY',
+      timeZone: 'Europe/Berlin'
+    })).resolves.toEqual({ filled: [], missing: [] });
+
+    const [script] = page.evaluate.mock.calls[0];
+    expect(script).toContain('"fields":{"visit_date":"09 Mar 2024","checkedAt":"10/03/2024 00:30","name":"Ann","bad_date":"2024-02-31"}');
+    expect(script).toContain('"fieldTypes":{"visit_date":"date","checkedAt":"datetime","bad_date":"date"}');
+  });
+
+  test('ships registered handlers with the engine', async () => {
+    registerFieldHandler({
+      types: ['text'],
+      namePattern: /^phone_/i,
+      fill: (el, value, ctx) => { ctx.setValue(el, String(value).replace(/\D/g, '')); }
+    });
+    const page = recordingPage();
+
+    await fillForm(page, { fields: { phone_home: '+1 (555) 010' } });
+
+    const [script] = page.evaluate.mock.calls[0];
+    expect(script).toContain('{ types: ["text"], namePattern: {"source":"^phone_","flags":"i"}, fill: ((el, value, ctx) =>');
+    expect(() => new Function(`return ${script}`)).not.toThrow();
+  });
+});
+
+describe('registerFieldHandler', () => {
+  test('needs a target and a shippable function', () => {
+    expect(() => registerFieldHandler({ fill: () => { } })).toThrow('A field handler needs types and/or a namePattern');
+    expect(() => registerFieldHandler({ types: ['text'], fill: 'nope' })).toThrow('fill must be a function');
+    expect(() => registerFieldHandler({ types: ['text'], fill: { fill(el) { return el; } }.fill }))
+      .toThrow('fill must be an arrow or function expression');
+  });
+});
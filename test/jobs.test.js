@@ -0,0 +1,98 @@
+const { createJobManager } = require('../src/jobs');
+
+// Resolves with the first final status event of a job
+const finalStatus = (manager, id) => new Promise(resolve => {
+  const unsubscribe = manager.subscribe(id, ({ event, data }) => {
+    if (event === 'status' && data.status !== 'running') {
+      unsubscribe();
+      resolve(data.status);
+    }
+  });
+});
+
+describe('createJobManager', () => {
+  test('runs a job and keeps its result', async () => {
+    const manager = createJobManager({
+      runners: {
+        echo: {
+          validate: () => null,
+          run: async (payload, { onItem }) => {
+            onItem(0, 'completed');
+            return { data: Buffer.from(payload.text), contentType: 'text/plain', filename: 'echo.txt' };
+          }
+        }
+      }
+    });
+
+    const job = await manager.submit('echo', { text: 'hello' });
+    await expect(finalStatus(manager, job.id)).resolves.toBe('completed');
+
+    await expect(manager.get(job.id)).resolves.toMatchObject({
+      status: 'completed',
+      progress: { total: 1, completed: 1 },
+      result: { contentType: 'text/plain', filename: 'echo.txt', size: 5 }
+    });
+    expect((await manager.getResult(job.id)).data.toString()).toBe('hello');
+  });
+
+  test('aborts a running job and does not record it as failed', async () => {
+    let signal;
+    const onFinished = jest.fn();
+    const manager = createJobManager({
+      onFinished,
+      runners: {
+        slow: {
+          validate: () => null,
+          run: (payload, ctx) => new Promise((resolve, reject) => {
+            signal = ctx.signal;
+            signal.addEventListener('abort', () => reject(new Error('Render cancelled')));
+          })
+        }
+      }
+    });
+
+    const job = await manager.submit('slow', {});
+    await new Promise(resolve => setImmediate(resolve));
+    expect(signal.aborted).toBe(false);
+
+    const cancelled = await manager.cancel(job.id);
+    expect(cancelled.status).toBe('cancelled');
+    expect(signal.aborted).toBe(true);
+
+    await new Promise(resolve => setImmediate(resolve));
+    await expect(manager.get(job.id)).resolves.toMatchObject({ status: 'cancelled', error: null });
+    expect(onFinished).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps cancel and delete apart', async () => {
+    const manager = createJobManager({
+      runners: { noop: { validate: () => null, run: async () => ({ data: Buffer.alloc(0) }) } }
+    });
+    const job = await manager.submit('noop', {});
+    await finalStatus(manager, job.id);
+
+    // Cancelling a finished job leaves it in place
+    await expect(manager.cancel(job.id)).resolves.toMatchObject({ status: 'completed' });
+    await expect(manager.get(job.id)).resolves.toMatchObject({ status: 'completed' });
+
+    await expect(manager.remove(job.id)).resolves.toMatchObject({ id: job.id });
+    await expect(manager.get(job.id)).resolves.toBeNull();
+    await expect(manager.remove(job.id)).resolves.toBeNull();
+  });
+
+  test('does not delete an active job', async () => {
+    const manager = createJobManager({
+      runners: { hang: { validate: () => null, run: (payload, { signal }) => new Promise((_, reject) => signal.addEventListener('abort', reject)) } }
+    });
+    const job = await manager.submit('hang', {});
+
+    await expect(manager.remove(job.id)).resolves.toMatchObject({ status: expect.stringMatching(/queued|running/) });
+    await expect(manager.get(job.id)).resolves.not.toBeNull();
+    await manager.cancel(job.id);
+  });
+
+  test('rejects unknown job types', () => {
+    const manager = createJobManager({ runners: { pdf: { validate: () => null } } });
+    expect(manager.validate('zip', {})).toBe('Unknown job type "zip". Expected one of: pdf');
+  });
+});
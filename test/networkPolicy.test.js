@@ -0,0 +1,158 @@
+const dns = require('dns');
+const { createNetworkPolicy, guardPage } = require('../src/networkPolicy');
+
+describe('checkAddress', () => {
+  const policy = createNetworkPolicy();
+
+  test.each([
+    ['10.0.0.1'],
+    ['127.0.0.1'],
+    ['192.168.1.20'],
+    ['169.254.169.254'],
+    ['::1'],
+    ['fe80::1'],
+    ['fd00::1']
+  ])('blocks private and link-local %s', (ip) => {
+    expect(policy.checkAddress('internal.test', ip)).toMatch(/is private or reserved$/);
+  });
+
+  test.each([
+    ['::ffff:127.0.0.1', '127.0.0.1'],
+    ['::ffff:a9fe:a9fe', '169.254.169.254'],
+    ['::a9fe:a9fe', '169.254.169.254'],
+    ['64:ff9b::a00:1', '10.0.0.1'],
+    ['2002:c0a8:101::', '192.168.1.1']
+  ])('blocks %s by the IPv4 address it carries', (ip, ipv4) => {
+    expect(policy.checkAddress('internal.test', ip)).toBe(`address ${ipv4} is private or reserved`);
+  });
+
+  test.each([['93.184.215.14'], ['2606:4700::1111'], ['64:ff9b::808:808'], ['::ffff:8.8.8.8']])('allows public %s', (ip) => {
+    expect(policy.checkAddress('example.com', ip)).toBeNull();
+  });
+
+  test('honours allow and deny lists', () => {
+    const listed = createNetworkPolicy({ allow: ['10.1.0.0/16', '*.example.com'], deny: ['10.1.2.3'] });
+
+    expect(listed.checkAddress('db.internal', '10.1.0.5')).toBeNull();
+    expect(listed.checkAddress('db.internal', '10.1.2.3')).toBe('address 10.1.2.3 is in the deny list');
+    expect(listed.checkAddress('cdn.example.com', '10.9.9.9')).toBeNull();
+    expect(listed.checkAddress('other.com', '93.184.215.14')).toBe('host other.com is not in the allow list');
+  });
+
+  test('allowPrivate lets non-public ranges through', () => {
+    expect(createNetworkPolicy({ allowPrivate: true }).checkAddress('internal.test', '10.0.0.1')).toBeNull();
+  });
+});
+
+describe('checkUrlSync', () => {
+  const policy = createNetworkPolicy();
+
+  test('checks bracketed IPv6 hosts', () => {
+    expect(policy.checkUrlSync('http://[::1]:8080/')).toBe('address ::1 is private or reserved');
+    expect(policy.checkUrlSync('http://[::ffff:7f00:1]/')).toBe('address 127.0.0.1 is private or reserved');
+    expect(policy.checkUrlSync('https://[2606:4700::1111]/')).toBeNull();
+  });
+
+  test('treats localhost names as loopback', () => {
+    expect(policy.checkUrlSync('http://localhost:3000/')).toBe('address 127.0.0.1 is private or reserved');
+    expect(policy.checkUrlSync('http://app.localhost/')).toBe('address 127.0.0.1 is private or reserved');
+  });
+
+  test('rejects other schemes and lets local ones through', () => {
+    expect(policy.checkUrlSync('file:///etc/passwd')).toBe('scheme file: is not allowed');
+    expect(policy.checkUrlSync('data:text/html,hi')).toBeNull();
+    expect(policy.checkUrlSync('not a url')).toBe('invalid URL');
+  });
+
+  test('leaves hostnames to the DNS check', () => {
+    expect(policy.checkUrlSync('https://example.com/')).toBeNull();
+  });
+});
+
+describe('checkUrl', () => {
+  const policy = createNetworkPolicy();
+  let lookup;
+
+  beforeEach(() => {
+    lookup = jest.spyOn(dns.promises, 'lookup');
+  });
+
+  afterEach(() => {
+    lookup.mockRestore();
+  });
+
+  test('blocks a hostname when any address it resolves to is private', async () => {
+    lookup.mockResolvedValue([{ address: '93.184.215.14', family: 4 }, { address: '10.0.0.7', family: 4 }]);
+
+    await expect(policy.checkUrl('https://mixed.example/')).resolves.toBe('address 10.0.0.7 is private or reserved');
+    expect(lookup).toHaveBeenCalledWith('mixed.example', { all: true });
+  });
+
+  test('allows a hostname with only public addresses', async () => {
+    lookup.mockResolvedValue([{ address: '93.184.215.14', family: 4 }]);
+
+    await expect(policy.checkUrl('https://example.com/')).resolves.toBeNull();
+  });
+
+  test('blocks a hostname that does not resolve', async () => {
+    lookup.mockRejectedValue(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+
+    await expect(policy.checkUrl('https://missing.example/')).resolves.toBe('could not resolve host missing.example');
+  });
+
+  test('skips DNS for IP literals', async () => {
+    await expect(policy.checkUrl('http://[fe80::1]/')).resolves.toBe('address fe80::1 is private or reserved');
+    await expect(policy.checkUrl('http://8.8.8.8/')).resolves.toBeNull();
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  test('assertAllowed gives DNS failures their own code', async () => {
+    lookup.mockRejectedValue(new Error('getaddrinfo EAI_AGAIN'));
+    await expect(policy.assertAllowed('https://flaky.example/', 'callbackUrl'))
+      .rejects.toMatchObject({ statusCode: 403, code: 'ERR_HOST_UNRESOLVED', message: 'callbackUrl not allowed: could not resolve host flaky.example' });
+
+    await expect(policy.assertAllowed('http://10.0.0.1/'))
+      .rejects.toMatchObject({ statusCode: 403, code: 'ERR_URL_BLOCKED' });
+  });
+});
+
+describe('guardPage', () => {
+  // Just enough of a Puppeteer page to replay intercepted requests
+  const fakePage = () => {
+    const handlers = {};
+    return {
+      setRequestInterception: async () => { },
+      on: (event, handler) => { handlers[event] = handler; },
+      request: (url, resourceType = 'image') => {
+        const request = {
+          url: () => url,
+          resourceType: () => resourceType,
+          headers: () => ({}),
+          isInterceptResolutionHandled: () => false,
+          abort: jest.fn().mockResolvedValue(),
+          continue: jest.fn().mockResolvedValue(),
+          respond: jest.fn().mockResolvedValue()
+        };
+        return handlers.request(request).then(() => request);
+      }
+    };
+  };
+
+  test('lists blocked requests without their query strings', async () => {
+    const page = fakePage();
+    const guard = await guardPage(page, createNetworkPolicy());
+
+    const blockedRequest = await page.request('http://10.0.0.1/pixel.gif?token=secret');
+    const allowedRequest = await page.request('https://8.8.8.8/logo.png?v=2');
+
+    expect(blockedRequest.abort).toHaveBeenCalledWith('blockedbyclient');
+    expect(allowedRequest.continue).toHaveBeenCalled();
+    expect(guard.blocked).toEqual([{
+      url: 'http://10.0.0.1/pixel.gif',
+      resourceType: 'image',
+      rule: 'networkPolicy',
+      reason: 'address 10.0.0.1 is private or reserved'
+    }]);
+    expect(guard.summary()).toMatchObject({ blocked: 1, byRule: { networkPolicy: 1 }, byResourceType: { image: 1 }, truncated: false });
+  });
+});
@@ -0,0 +1,94 @@
+const {
+  validatePageAuthOptions, pageAuthHeaders, applyPageAuth, createRedactor, redactError
+} = require('../src/pageAuth');
+
+const url = 'https://app.example.com/forms/1';
+
+describe('validatePageAuthOptions', () => {
+  test('accepts options scoped to the page origin', () => {
+    expect(validatePageAuthOptions({
+      url,
+      cookies: [{ name: 'session', value: 'abc123', domain: '.example.com', sameSite: 'Lax' }],
+      extraHTTPHeaders: { 'X-Tenant': 'acme' },
+      basicAuth: { username: 'ann', password: 'hunter22' },
+      userAgent: 'FormsBot/1.0'
+    })).toBeNull();
+  });
+
+  test('needs a url or domainName to scope credentials to', () => {
+    expect(validatePageAuthOptions({ html: '<p>', cookies: [] })).toMatch(/need a url or domainName/);
+  });
+
+  test.each([
+    [{ cookies: [{ name: 'a', value: 'x', domain: 'other.com' }] }, /domain must be app.example.com/],
+    [{ extraHTTPHeaders: { Cookie: 'a=b' } }, /Cookie cannot be set \(use cookies\)/],
+    [{ extraHTTPHeaders: { 'X-Token': 'a\r\nInjected: 1' } }, /single-line/],
+    [{ basicAuth: { username: 'a:b', password: 'x' } }, /without ":"/],
+    [{ basicAuth: { username: 'a', password: 'x' }, extraHTTPHeaders: { authorization: 'Bearer t' } }, /not both/]
+  ])('rejects %j', (options, message) => {
+    expect(validatePageAuthOptions({ url, ...options })).toMatch(message);
+  });
+
+  test('never echoes secret values', () => {
+    const error = validatePageAuthOptions({ url, cookies: [{ name: 'session', value: 'topsecret;x' }] });
+    expect(error).toMatch(/cookies\[0\]\.value/);
+    expect(error).not.toMatch(/topsecret/);
+  });
+});
+
+describe('pageAuthHeaders', () => {
+  test('sends headers and basic auth to the auth origin only', () => {
+    const headersFor = pageAuthHeaders({ url, extraHTTPHeaders: { 'X-Tenant': 'acme' }, basicAuth: { username: 'ann', password: 'pw' } });
+
+    expect(headersFor('https://app.example.com/logo.png')).toEqual({
+      'X-Tenant': 'acme',
+      Authorization: `Basic ${Buffer.from('ann:pw').toString('base64')}`
+    });
+    expect(headersFor('https://cdn.example.com/app.js')).toBeNull();
+    expect(headersFor('http://app.example.com/')).toBeNull();
+    expect(headersFor('not a url')).toBeNull();
+  });
+
+  test('adds nothing without credentials', () => {
+    expect(pageAuthHeaders({ url })(url)).toBeNull();
+  });
+});
+
+test('applyPageAuth scopes cookies without a domain to the page origin', async () => {
+  const page = { setUserAgent: jest.fn(), setCookie: jest.fn() };
+  await applyPageAuth(page, { url, userAgent: 'FormsBot/1.0', cookies: [{ name: 'a', value: '1' }, { name: 'b', value: '2', domain: 'example.com' }] });
+
+  expect(page.setUserAgent).toHaveBeenCalledWith('FormsBot/1.0');
+  expect(page.setCookie).toHaveBeenCalledWith(
+    { name: 'a', value: '1', url: 'https://app.example.com' },
+    { name: 'b', value: '2', domain: 'example.com' }
+  );
+});
+
+describe('createRedactor', () => {
+  const payload = {
+    url,
+    cookies: [{ name: 'session', value: 'cookie-secret' }, { name: 'short', value: 'ab' }],
+    extraHTTPHeaders: { Authorization: 'Bearer token-123456' },
+    basicAuth: { username: 'ann', password: 'hunter22' }
+  };
+  const redact = createRedactor(payload);
+
+  test('replaces cookie values, header values, tokens and passwords', () => {
+    const basic = Buffer.from('ann:hunter22').toString('base64');
+    expect(redact(`cookie-secret; Bearer token-123456; token-123456; hunter22; Basic ${basic}`))
+      .toBe('[redacted]; [redacted]; [redacted]; [redacted]; Basic [redacted]');
+  });
+
+  test('leaves short values and non-strings alone', () => {
+    expect(redact('ab cd')).toBe('ab cd');
+    expect(redact(undefined)).toBeUndefined();
+    expect(createRedactor({})('hunter22')).toBe('hunter22');
+  });
+
+  test('redactError scrubs the message and stack', () => {
+    const err = redactError(new Error('net::ERR_FAILED at https://app.example.com/?t=token-123456'), redact);
+    expect(err.message).toBe('net::ERR_FAILED at https://app.example.com/?t=[redacted]');
+    expect(err.stack).not.toMatch(/token-123456/);
+  });
+});
@@ -0,0 +1,89 @@
+const { PDFDocument, PDFName, PDFString, StandardFonts } = require('pdf-lib');
+const { validateEncryptionOptions, permissionFlags, applyEncryption } = require('../src/pdfEncryption');
+
+const P_PRINT = 1 << 2;
+const P_MODIFY = 1 << 3;
+const P_COPY = 1 << 4;
+const P_ACCESSIBILITY = 1 << 9;
+
+const textPdf = async (text) => {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  // A literal string, so the plain file contains the text as is
+  doc.getInfoDict().set(PDFName.of('Subject'), PDFString.of(text));
+  doc.addPage().drawText(text, { x: 50, y: 700, font, size: 12 });
+  return Buffer.from(await doc.save({ useObjectStreams: false }));
+};
+
+describe('validateEncryptionOptions', () => {
+  test('accepts passwords and known permissions', () => {
+    expect(validateEncryptionOptions({})).toBeNull();
+    expect(validateEncryptionOptions({ encryption: {} })).toBeNull();
+    expect(validateEncryptionOptions({
+      encryption: { userPassword: 'open', ownerPassword: 'admin', permissions: { printing: false, copying: true } }
+    })).toBeNull();
+  });
+
+  test.each([
+    ['secret', /must be an object/],
+    [{ userPassword: 42 }, /userPassword must be a string/],
+    [{ ownerPassword: 'x'.repeat(128) }, /at most 127 bytes/],
+    [{ userPassword: 'same', ownerPassword: 'same' }, /must differ/],
+    [{ permissions: { annotating: true } }, /annotating is not supported/],
+    [{ permissions: { printing: 'yes' } }, /printing must be a boolean/]
+  ])('rejects %j', (encryption, message) => {
+    expect(validateEncryptionOptions({ encryption })).toMatch(message);
+  });
+});
+
+describe('permissionFlags', () => {
+  test('allows printing only by default, and always accessibility', () => {
+    const flags = permissionFlags();
+    expect(flags & P_PRINT).toBeTruthy();
+    expect(flags & P_ACCESSIBILITY).toBeTruthy();
+    expect(flags & P_COPY).toBe(0);
+    expect(flags & P_MODIFY).toBe(0);
+  });
+
+  test('sets the reserved bits and fits a signed 32-bit integer', () => {
+    const flags = permissionFlags({ printing: false });
+    expect(flags).toBeLessThan(0);
+    expect(flags & P_PRINT).toBe(0);
+    expect(flags & 0xc0).toBe(0xc0);
+  });
+
+  test('grants the requested permissions', () => {
+    const flags = permissionFlags({ copying: true, modifying: true });
+    expect(flags & P_COPY).toBeTruthy();
+    expect(flags & P_MODIFY).toBeTruthy();
+  });
+});
+
+describe('applyEncryption', () => {
+  test('returns the PDF untouched without encryption', async () => {
+    const pdf = await textPdf('Hello');
+    await expect(applyEncryption(pdf, {})).resolves.toBe(pdf);
+  });
+
+  test('writes an AES-256 security handler and hides the content', async () => {
+    const pdf = await textPdf('Confidential');
+    expect(pdf.includes('Confidential')).toBe(true);
+
+    const encrypted = await applyEncryption(pdf, { encryption: { userPassword: 'open', permissions: { copying: true } } });
+
+    expect(encrypted.includes('Confidential')).toBe(false);
+    await expect(PDFDocument.load(encrypted)).rejects.toThrow(/encrypted/i);
+
+    const doc = await PDFDocument.load(encrypted, { ignoreEncryption: true });
+    const encrypt = doc.context.lookup(doc.context.trailerInfo.Encrypt);
+    const value = (name) => encrypt.get(PDFName.of(name));
+
+    expect(value('V').asNumber()).toBe(5);
+    expect(value('R').asNumber()).toBe(6);
+    expect(value('P').asNumber()).toBe(permissionFlags({ copying: true }));
+    expect(value('U').asBytes()).toHaveLength(48);
+    expect(value('O').asBytes()).toHaveLength(48);
+    expect(value('Perms').asBytes()).toHaveLength(16);
+    expect(doc.getPageCount()).toBe(1);
+  });
+});
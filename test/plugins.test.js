@@ -0,0 +1,30 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPlugins } = require('../src/plugins');
+
+describe('loadPlugins', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    fs.writeFileSync(path.join(dir, 'phone.js'), "module.exports = (api) => api.registerFieldHandler({ types: ['tel'], fill: () => { } });");
+    fs.writeFileSync(path.join(dir, 'object.js'), 'module.exports = { name: "not a plugin" };');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('runs each plugin with the registration API', () => {
+    const api = { registerFieldHandler: jest.fn(), registerBinaryResolver: jest.fn() };
+
+    expect(loadPlugins([path.join(dir, 'phone.js')], api)).toEqual([path.join(dir, 'phone.js')]);
+    expect(api.registerFieldHandler).toHaveBeenCalledWith(expect.objectContaining({ types: ['tel'] }));
+  });
+
+  test('refuses modules that are missing or not functions', () => {
+    expect(() => loadPlugins([path.join(dir, 'object.js')])).toThrow(/must export a function$/);
+    expect(() => loadPlugins([path.join(dir, 'missing.js')])).toThrow(/Cannot find module/);
+  });
+});
@@ -0,0 +1,55 @@
+const { createRenderer } = require('../src/render');
+
+describe('renderBatch', () => {
+  test('fails an item whose setup throws and carries on with the rest', async () => {
+    const timer = { mark: jest.fn(), end: jest.fn() };
+    const metrics = {
+      startRender: jest.fn()
+        .mockImplementationOnce(() => { throw new Error('metrics unavailable'); })
+        .mockReturnValue(timer),
+      observeBinaryErrors: jest.fn(),
+      observeBatchItem: jest.fn(),
+      observeOutput: jest.fn()
+    };
+    const browserPool = { acquire: jest.fn().mockRejectedValue(new Error('no browser')) };
+    const onItem = jest.fn();
+
+    const manifest = await createRenderer({ browserPool, metrics })
+      .renderBatch([{ html: '<p>a</p>' }, { html: '<p>b</p>' }], () => { }, { onItem });
+
+    expect(manifest.items.map(({ status, error }) => ({ status, error }))).toEqual([
+      { status: 'failed', error: 'metrics unavailable' },
+      { status: 'failed', error: 'no browser' }
+    ]);
+    expect(onItem).toHaveBeenCalledWith(0, 'failed', 'metrics unavailable', expect.objectContaining({ binaryErrors: [] }));
+    expect(timer.end).toHaveBeenCalledTimes(1);
+    expect(metrics.observeBatchItem).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('cancellation', () => {
+  test('closes the page of a running batch item and marks it cancelled', async () => {
+    let closePage;
+    const lease = {
+      context: { newPage: () => new Promise((_, reject) => { closePage = reject; }) },
+      release: jest.fn(async () => closePage(new Error('Target closed')))
+    };
+    const browserPool = { acquire: jest.fn().mockResolvedValue(lease) };
+    const metrics = {
+      startRender: () => ({ mark: () => { }, end: () => { } }),
+      observeBinaryErrors: () => { },
+      observeBatchItem: () => { },
+      observeOutput: () => { }
+    };
+    const controller = new AbortController();
+
+    const rendering = createRenderer({ browserPool, metrics })
+      .renderBatch([{ html: '<p>a</p>' }], () => { }, { signal: controller.signal });
+    await new Promise(resolve => setImmediate(resolve));
+    controller.abort();
+
+    const manifest = await rendering;
+    expect(lease.release).toHaveBeenCalled();
+    expect(manifest.items[0]).toMatchObject({ status: 'cancelled', error: null });
+  });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  canonicalJson, etagFor, createDiskBlobs, createRenderCache, matchesEtag
+} = require('../src/renderCache');
+
+const pdf = (text) => ({ data: Buffer.from(text), contentType: 'application/pdf', report: { fields: 1 } });
+
+test('canonicalJson sorts keys and drops undefined values', () => {
+  expect(canonicalJson({ b: 1, a: [{ d: 2, c: undefined }], e: null })).toBe('{"a":[{"d":2}],"b":1,"e":null}');
+  expect(canonicalJson({ x: 1, y: 2 })).toBe(canonicalJson({ y: 2, x: 1 }));
+});
+
+describe('keyFor', () => {
+  const cache = createRenderCache();
+
+  test('ignores key order and response-only fields', () => {
+    const key = cache.keyFor('pdf', 'acme', { html: '<p>', fields: { a: 1, b: 2 } }, {});
+    expect(cache.keyFor('pdf', 'acme', { fields: { b: 2, a: 1 }, html: '<p>', responseType: 'base64', noCache: false }, {}))
+      .toBe(key);
+  });
+
+  test('separates routes, tenants, payloads and binary field data', () => {
+    const key = cache.keyFor('pdf', 'acme', { html: '<p>' }, { sig: 'a' });
+    expect(cache.keyFor('connector-pdf', 'acme', { html: '<p>' }, { sig: 'a' })).not.toBe(key);
+    expect(cache.keyFor('pdf', 'other', { html: '<p>' }, { sig: 'a' })).not.toBe(key);
+    expect(cache.keyFor('pdf', 'acme', { html: '<p> ' }, { sig: 'a' })).not.toBe(key);
+    expect(cache.keyFor('pdf', 'acme', { html: '<p>' }, { sig: 'b' })).not.toBe(key);
+  });
+});
+
+describe('createRenderCache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('returns what was stored, with an etag', async () => {
+    const cache = createRenderCache();
+    const stored = await cache.set('k', pdf('%PDF-1'), 'acme');
+
+    const hit = await cache.get('k');
+    expect(hit).toMatchObject({ key: 'k', scope: 'acme', contentType: 'application/pdf', report: { fields: 1 }, size: 6 });
+    expect(hit.data.toString()).toBe('%PDF-1');
+    expect(hit.etag).toBe(stored.etag);
+    expect(hit.etag).toBe(etagFor(Buffer.from('%PDF-1')));
+    expect(await cache.get('missing')).toBeNull();
+  });
+
+  test('expires entries after ttlMs', async () => {
+    jest.useFakeTimers({ now: Date.parse('2024-01-01T00:00:00Z') });
+    const cache = createRenderCache({ ttlMs: 1000 });
+    await cache.set('k', pdf('x'), 'acme');
+
+    jest.setSystemTime(Date.parse('2024-01-01T00:00:00.999Z'));
+    expect(await cache.get('k')).not.toBeNull();
+
+    jest.setSystemTime(Date.parse('2024-01-01T00:00:01Z'));
+    expect(await cache.get('k')).toBeNull();
+    expect(cache.stats()).toMatchObject({ entries: 0, bytes: 0 });
+  });
+
+  test('evicts the least recently used entries beyond maxBytes', async () => {
+    const cache = createRenderCache({ maxBytes: 10 });
+    await cache.set('a', pdf('aaaa'), 's');
+    await cache.set('b', pdf('bbbb'), 's');
+    await cache.get('a');
+    await cache.set('c', pdf('cccc'), 's');
+
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('a')).not.toBeNull();
+    expect(await cache.get('c')).not.toBeNull();
+    expect(cache.stats()).toMatchObject({ entries: 2, bytes: 8 });
+  });
+
+  test('does not store renders larger than the cache', async () => {
+    const cache = createRenderCache({ maxBytes: 4 });
+    const entry = await cache.set('big', pdf('too large'), 's');
+
+    expect(entry.data.toString()).toBe('too large');
+    expect(await cache.get('big')).toBeNull();
+  });
+
+  test('overwrites an entry without counting it twice', async () => {
+    const cache = createRenderCache();
+    await Promise.all([cache.set('k', pdf('one'), 's'), cache.set('k', pdf('three'), 's')]);
+
+    expect((await cache.get('k')).data.toString()).toBe('three');
+    expect(cache.stats()).toMatchObject({ entries: 1, bytes: 5 });
+  });
+
+  test('purges one tenant or everything', async () => {
+    const cache = createRenderCache();
+    await cache.set('a', pdf('a'), 'acme');
+    await cache.set('b', pdf('b'), 'acme');
+    await cache.set('c', pdf('c'), 'other');
+
+    expect(await cache.purge({ scope: 'acme' })).toBe(2);
+    expect(await cache.get('c')).not.toBeNull();
+    expect(await cache.purge()).toBe(1);
+    expect(cache.stats().entries).toBe(0);
+  });
+
+  describe('on disk', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('keeps entries across a restart', async () => {
+      const key = 'a'.repeat(64);
+      await createRenderCache({ blobs: createDiskBlobs({ dir }) }).set(key, pdf('%PDF-1'), 'acme');
+
+      const reopened = createRenderCache({ blobs: createDiskBlobs({ dir }) });
+      expect((await reopened.get(key)).data.toString()).toBe('%PDF-1');
+
+      await reopened.purge();
+      expect(fs.readdirSync(dir)).toEqual([]);
+    });
+  });
+});
+
+test('matchesEtag handles lists, weak tags and wildcards', () => {
+  expect(matchesEtag('"abc"', '"abc"')).toBe(true);
+  expect(matchesEtag('"x", W/"abc"', '"abc"')).toBe(true);
+  expect(matchesEtag('*', '"abc"')).toBe(true);
+  expect(matchesEtag('"x"', '"abc"')).toBe(false);
+  expect(matchesEtag(undefined, '"abc"')).toBe(false);
+});
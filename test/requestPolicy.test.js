@@ -0,0 +1,90 @@
+const { validateRequestPolicyOptions, compileRequestPolicy } = require('../src/requestPolicy');
+
+// Refuses rewrites to one internal host, like the service policy would
+const policy = { checkUrlSync: (url) => (new URL(url).hostname === 'metadata.internal' ? 'private address' : null) };
+
+describe('validateRequestPolicyOptions', () => {
+  test('accepts the documented options', () => {
+    expect(validateRequestPolicyOptions({
+      html: '<p>',
+      network: {
+        blockResourceTypes: ['media', 'font'],
+        blockUrls: ['*://fonts.googleapis.com/*', '*.hotjar.com'],
+        blockTrackers: true,
+        offline: true,
+        allowHosts: ['cdn.acme.com'],
+        mocks: [{ url: 'api.acme.com', status: 204 }],
+        rewrites: [{ url: 'old.acme.com', to: 'https://new.acme.com/' }]
+      }
+    }, policy)).toBeNull();
+  });
+
+  test.each([
+    [{ proxy: true }, /network.proxy is not supported/],
+    [{ blockResourceTypes: ['video'] }, /blockResourceTypes must list/],
+    [{ blockUrls: [''] }, /blockUrls must be a list/],
+    [{ allowHosts: ['cdn.acme.com'] }, /only applies with network.offline/],
+    [{ offline: true, allowHosts: ['https://cdn.acme.com/*'] }, /hostnames or \*.wildcards/],
+    [{ mocks: [{ url: 'a.com', status: 700 }] }, /mocks\[0\].status/],
+    [{ rewrites: [{ url: 'a.com', to: 'ftp://b.com' }] }, /rewrites\[0\].to must be an http\(s\) URL/],
+    [{ rewrites: [{ url: 'a.com', to: 'http://metadata.internal/' }] }, /rewrites\[0\].to not allowed: private address/]
+  ])('rejects %j', (network, message) => {
+    expect(validateRequestPolicyOptions({ html: '<p>', network }, policy)).toMatch(message);
+  });
+
+  test('offline only applies to html input', () => {
+    expect(validateRequestPolicyOptions({ url: 'https://a.com/', network: { offline: true } }, policy)).toMatch(/html input/);
+  });
+});
+
+describe('compileRequestPolicy decide', () => {
+  test('is null without a network option', () => {
+    expect(compileRequestPolicy(undefined)).toBeNull();
+  });
+
+  test('blocks by resource type, tracker list and URL pattern', () => {
+    const { decide } = compileRequestPolicy({
+      blockResourceTypes: ['font'], blockTrackers: true, blockUrls: ['*://*.example.com/ads/*', '*.ads.net']
+    });
+
+    expect(decide('https://app.com/a.woff2', 'font')).toMatchObject({ action: 'block', rule: 'resourceType' });
+    expect(decide('https://www.google-analytics.com/g/collect', 'ping')).toMatchObject({ action: 'block', rule: 'tracker' });
+    expect(decide('https://cdn.example.com/ads/banner.js', 'script')).toMatchObject({ action: 'block', rule: 'blockUrls' });
+    expect(decide('https://x.ads.net/p', 'image')).toMatchObject({ action: 'block', rule: 'blockUrls' });
+    expect(decide('https://ads.net/p', 'image')).toBeNull();
+    expect(decide('https://app.com/a.css', 'stylesheet')).toBeNull();
+  });
+
+  test('offline mode lets local and allowed URLs through only', () => {
+    const { decide } = compileRequestPolicy({ offline: true, allowHosts: ['*.acme.com'] });
+
+    expect(decide('https://cdn.acme.com/logo.png', 'image')).toBeNull();
+    expect(decide('data:image/png;base64,AAAA', 'image')).toBeNull();
+    expect(decide('https://acme.com/logo.png', 'image')).toMatchObject({ action: 'block', rule: 'offline' });
+  });
+
+  test('answers mocks before any block rule', () => {
+    const { decide } = compileRequestPolicy({
+      offline: true,
+      mocks: [{ url: 'https://api.acme.com/user', body: 'eyJhIjoxfQ==', base64: true, contentType: 'application/json' }]
+    });
+
+    const decision = decide('https://api.acme.com/user', 'fetch');
+    expect(decision).toMatchObject({ action: 'mock', response: { status: 200, contentType: 'application/json', headers: {} } });
+    expect(decision.response.body.toString()).toBe('{"a":1}');
+  });
+
+  test('rewrites requests that are not blocked', () => {
+    const { decide } = compileRequestPolicy({
+      blockUrls: ['*://old.acme.com/private/*'],
+      rewrites: [{ url: 'old.acme.com', to: 'https://new.acme.com/' }]
+    });
+
+    expect(decide('https://old.acme.com/a.js', 'script')).toEqual({ action: 'rewrite', url: 'https://new.acme.com/' });
+    expect(decide('https://old.acme.com/private/a.js', 'script')).toMatchObject({ action: 'block', rule: 'blockUrls' });
+  });
+
+  test('ignores unparseable URLs', () => {
+    expect(compileRequestPolicy({ offline: true }).decide('not a url', 'other')).toBeNull();
+  });
+});
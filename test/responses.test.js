@@ -0,0 +1,46 @@
+const { headerReport, sendRendered } = require('../src/responses');
+
+describe('headerReport', () => {
+  test('turns lists into counts and flags what was left out', () => {
+    const report = {
+      binaryErrors: [],
+      missingFields: ['a', 'b'],
+      blockedRequests: Array.from({ length: 100 }, (_, i) => ({ url: `https://t.example/${i}?token=secret`, rule: 'networkPolicy' })),
+      network: { blocked: 140, byRule: { networkPolicy: 140 }, truncated: true },
+      wait: [{ type: 'networkIdle', status: 'satisfied', elapsedMs: 512 }],
+      diagnostics: { console: [{ type: 'log', text: 'x'.repeat(1000) }], errors: [], failedRequests: [], truncated: false }
+    };
+
+    expect(headerReport(report)).toEqual({
+      binaryErrors: [],
+      missingFields: 2,
+      blockedRequests: 100,
+      network: { blocked: 140, byRule: { networkPolicy: 140 }, truncated: true },
+      wait: 1,
+      diagnostics: { console: 1, errors: [], failedRequests: [], truncated: false },
+      truncated: true
+    });
+  });
+
+  test('keeps short lists of item indexes', () => {
+    expect(headerReport({ failed: [2, 5], skipped: [] })).toEqual({ failed: [2, 5], skipped: [], truncated: false });
+    expect(headerReport({ failed: Array.from({ length: 21 }, (_, i) => i) })).toEqual({ failed: 21, truncated: true });
+  });
+});
+
+test('binary responses carry the summary, JSON responses the whole report', () => {
+  const report = { blockedRequests: [{ url: 'https://t.example/a' }] };
+  const headers = {};
+  const res = {
+    setHeader: (name, value) => { headers[name] = value; },
+    status: () => res,
+    end: jest.fn(),
+    json: jest.fn()
+  };
+
+  sendRendered(res, 'binary', { data: Buffer.from('%PDF'), mimeType: 'application/pdf', filename: 'a.pdf', report });
+  expect(JSON.parse(headers['X-Render-Report'])).toEqual({ blockedRequests: 1, truncated: true });
+
+  sendRendered(res, 'base64', { data: Buffer.from('%PDF'), mimeType: 'application/pdf', field: 'pdf', report });
+  expect(res.json.mock.calls[0][0].report).toBe(report);
+});
@@ -0,0 +1,84 @@
+const { createFileStore, createS3Backend } = require('../src/storage');
+
+// Keeps files in memory; the store only needs put() for saving and signing
+const memoryBackend = () => {
+  const files = new Map();
+  return {
+    put: async (id, data, meta) => { files.set(id, { data, meta }); },
+    get: async () => null,
+    remove: async (id) => { files.delete(id); }
+  };
+};
+
+const linkParams = (url) => {
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  return { id: pathname.split('/').pop(), expires: searchParams.get('expires'), signature: searchParams.get('signature') };
+};
+
+describe('signed download links', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('accepts the link it issued', async () => {
+    const store = createFileStore({ backend: memoryBackend(), secret: 'secret', ttlMs: 60000 });
+    const record = await store.save(Buffer.from('%PDF'), { contentType: 'application/pdf', filename: 'a.pdf' });
+    const { id, expires, signature } = linkParams(record.url);
+
+    expect(id).toBe(record.id);
+    expect(Number(expires)).toBe(Math.floor(Date.parse(record.expiresAt) / 1000));
+    expect(store.verify(id, { expires, signature })).toBeNull();
+  });
+
+  test('rejects tampered, missing or foreign signatures', async () => {
+    const store = createFileStore({ backend: memoryBackend(), secret: 'secret' });
+    const { id, expires, signature } = linkParams((await store.save(Buffer.from('x'), {})).url);
+    const forbidden = { status: 403, error: 'Invalid or missing download signature' };
+
+    expect(store.verify(id, { expires: String(Number(expires) + 3600), signature })).toEqual(forbidden);
+    expect(store.verify(id, { expires, signature: signature.replace(/^./, c => (c === '0' ? '1' : '0')) })).toEqual(forbidden);
+    expect(store.verify(id, { expires, signature: signature.slice(1) })).toEqual(forbidden);
+    expect(store.verify(id, { expires })).toEqual(forbidden);
+    expect(store.verify('../etc/passwd', { expires, signature })).toEqual(forbidden);
+
+    const otherStore = createFileStore({ backend: memoryBackend(), secret: 'other' });
+    expect(otherStore.verify(id, { expires, signature })).toEqual(forbidden);
+  });
+
+  test('reports expired links as gone', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const store = createFileStore({ backend: memoryBackend(), secret: 'secret', ttlMs: 60000 });
+    const { id, expires, signature } = linkParams((await store.save(Buffer.from('x'), {})).url);
+
+    jest.setSystemTime(new Date('2026-01-01T00:01:00Z'));
+    expect(store.verify(id, { expires, signature })).toEqual({ status: 410, error: 'Download link has expired' });
+  });
+});
+
+describe('S3 backend', () => {
+  test('lists the files stored under its prefix across pages', async () => {
+    const id = (n) => `00000000-0000-4000-8000-00000000000${n}`;
+    const pages = {
+      first: { keys: [`out/${id(1)}`, `out/${id(1)}.json`, 'out/notes.json'], continuationToken: 'second' },
+      second: { keys: [`out/${id(2)}.json`, `out/${id(3)}.json`], continuationToken: null }
+    };
+    const metas = { [id(1)]: { expiresAt: '2026-01-01T00:00:00.000Z' }, [id(2)]: { expiresAt: '2026-01-02T00:00:00.000Z' } };
+    const client = {
+      listObjects: jest.fn(async (bucket, { continuationToken }) => pages[continuationToken || 'first']),
+      getObject: async (bucket, key) => {
+        const meta = metas[key.slice('out/'.length, -'.json'.length)];
+        if (!meta) throw new Error(`S3 GET s3://${bucket}/${key} failed with HTTP 404`);
+        return { json: async () => meta };
+      }
+    };
+
+    const files = await createS3Backend({ client, bucket: 'files', prefix: 'out/' }).list();
+
+    expect(client.listObjects).toHaveBeenCalledWith('files', { prefix: 'out/', continuationToken: null });
+    expect(client.listObjects).toHaveBeenCalledWith('files', { prefix: 'out/', continuationToken: 'second' });
+    expect(files).toEqual([
+      { id: id(1), expiresAt: '2026-01-01T00:00:00.000Z' },
+      { id: id(2), expiresAt: '2026-01-02T00:00:00.000Z' }
+    ]);
+  });
+});
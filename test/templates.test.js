@@ -0,0 +1,56 @@
+const { renderTemplate, buildHeaderFooter, validateTemplateOptions } = require('../src/templates');
+
+describe('renderTemplate', () => {
+  test('escapes values and uses fallbacks for blank ones', () => {
+    expect(renderTemplate('<b>{{user}}</b> {{formName|N/A}}', { user: '<script>"x"&\'y\'</script>', formName: '' }))
+      .toBe('<b>&lt;script&gt;&quot;x&quot;&amp;&#39;y&#39;&lt;/script&gt;</b> N/A');
+  });
+
+  test('renders sections only when their value is set', () => {
+    const template = '{{#logo}}<img src="{{logo}}">{{/logo}}|{{#user}}by {{user}}{{/user}}';
+
+    expect(renderTemplate(template, { logo: 'data:image/png;base64,AAAA' })).toBe('<img src="data:image/png;base64,AAAA">|');
+    expect(renderTemplate(template, { user: 'Ann' })).toBe('|by Ann');
+  });
+
+  test('turns page placeholders into the markup Chrome fills in', () => {
+    expect(renderTemplate('{{page.number}}/{{ page.total }}')).toBe('<span class="pageNumber"></span>/<span class="totalPages"></span>');
+  });
+
+  test('ignores inherited properties and object values', () => {
+    expect(renderTemplate('[{{constructor}}][{{__proto__|none}}][{{toString}}]', {})).toBe('[][none][]');
+    expect(renderTemplate('{{info|-}}', { info: { nested: true } })).toBe('-');
+  });
+});
+
+describe('buildHeaderFooter', () => {
+  test('fills a preset from headerInfo', () => {
+    const { displayHeaderFooter, headerTemplate, footerTemplate } = buildHeaderFooter({
+      headerInfo: { formName: 'Daily <inspection>', user: 'J. Smith' }
+    });
+
+    expect(displayHeaderFooter).toBe(true);
+    expect(headerTemplate).toContain('Daily &lt;inspection&gt;');
+    expect(headerTemplate).toContain('J. Smith');
+    expect(footerTemplate).toContain('<span class="pageNumber"></span>');
+  });
+
+  test('prefers custom templates over presets and route defaults', () => {
+    const options = buildHeaderFooter(
+      { footerTemplate: '<i>{{user}}</i>', headerInfo: { user: 'Ann' } },
+      { headerPreset: 'none', footerPreset: 'none' }
+    );
+
+    expect(options).toEqual({ displayHeaderFooter: true, headerTemplate: '<span></span>', footerTemplate: '<i>Ann</i>' });
+  });
+
+  test('turns header and footer off when both presets are none', () => {
+    expect(buildHeaderFooter({ headerPreset: 'none', footerPreset: 'none' }).displayHeaderFooter).toBe(false);
+  });
+});
+
+test('validateTemplateOptions checks presets and logos', () => {
+  expect(validateTemplateOptions({ headerPreset: 'fancy' })).toMatch(/^headerPreset must be one of: default, centered, title, none$/);
+  expect(validateTemplateOptions({ logo: 'https://example.com/logo.png' })).toMatch(/^logo must be a base64 image data URI/);
+  expect(validateTemplateOptions({ footerPreset: 'dated', logo: 'data:image/svg+xml;base64,PHN2Zz4=' })).toBeNull();
+});
@@ -0,0 +1,52 @@
+const { createTenantRegistry } = require('../src/tenants');
+
+// Resolve the tenant for `key` the way the middleware does for a request
+const tenantFor = (registry, key) => {
+  const req = { get: (name) => (name.toLowerCase() === 'x-api-key' ? key : undefined) };
+  registry.authenticate(req, {}, () => { });
+  return req.tenant;
+};
+
+describe('admit', () => {
+  const registry = createTenantRegistry({
+    tenants: [
+      { id: 'acme', keys: ['acme-key'], dailyQuota: 3, maxBatchSize: 2, allowedDomains: ['https://app.acme.com', 'acme.org'] },
+      { id: 'open', keys: ['open-key'] }
+    ]
+  });
+  const acme = tenantFor(registry, 'acme-key');
+  const usageOf = (id) => registry.report().find(tenant => tenant.id === id).usage;
+
+  test('rejects batches over the tenant limit without counting them', () => {
+    expect(registry.admit(acme, [{}, {}, {}], { batch: true }))
+      .toEqual({ status: 400, error: 'Batch has 3 items, the limit is 2' });
+    expect(usageOf('acme')).toMatchObject({ documents: 0, rejected: { batchSize: 1 } });
+  });
+
+  test('checks domainName against allowed origins and hostnames', () => {
+    expect(registry.admit(acme, [{ domainName: 'https://evil.example' }]))
+      .toEqual({ status: 403, error: 'domainName https://evil.example is not allowed for this API key' });
+    expect(registry.admit(acme, [{ domainName: 'http://app.acme.com' }])).toMatchObject({ status: 403 });
+
+    expect(registry.admit(acme, [{ domainName: 'https://app.acme.com/forms' }])).toBeNull();
+    expect(registry.admit(acme, [{ domainName: 'http://acme.org' }])).toBeNull();
+    expect(usageOf('acme')).toMatchObject({ documents: 2, documentsToday: 2, rejected: { domain: 2 } });
+  });
+
+  test('enforces the daily quota per document', () => {
+    expect(registry.admit(acme, [{}, {}])).toEqual({
+      status: 429,
+      error: 'Daily quota of 3 documents exceeded (2 used today)'
+    });
+    expect(registry.admit(acme, [{}])).toBeNull();
+    expect(registry.admit(acme, [{}])).toMatchObject({ status: 429 });
+    expect(usageOf('acme')).toMatchObject({ documentsToday: 3, rejected: { quota: 2 } });
+  });
+
+  test('admits anything for tenants without limits', () => {
+    const open = tenantFor(registry, 'open-key');
+
+    expect(registry.admit(open, Array.from({ length: 500 }, () => ({ domainName: 'https://any.example' })), { batch: true })).toBeNull();
+    expect(usageOf('open').documents).toBe(500);
+  });
+});
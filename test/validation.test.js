@@ -0,0 +1,18 @@
+const { validateBatchPayload } = require('../src/validation');
+
+describe('validateBatchPayload', () => {
+  test('rejects item footers when the merged packet is numbered continuously', () => {
+    const batch = (item) => ({ output: 'merged', pageNumbering: 'continuous', items: [{ html: '<p>a</p>' }, { html: '<p>b</p>', ...item }] });
+
+    expect(validateBatchPayload(batch({ footerTemplate: '<span class="pageNumber"></span>' })))
+      .toBe('Item 1: footerTemplate and footerPreset are not available with pageNumbering "continuous"');
+    expect(validateBatchPayload(batch({ footerPreset: 'default' }))).toMatch(/^Item 1: /);
+
+    expect(validateBatchPayload(batch({ footerPreset: 'none' }))).toBeNull();
+    expect(validateBatchPayload(batch({}))).toBeNull();
+  });
+
+  test('keeps item footers when each document is numbered on its own', () => {
+    expect(validateBatchPayload({ output: 'merged', items: [{ html: '<p>a</p>', footerPreset: 'default' }] })).toBeNull();
+  });
+});
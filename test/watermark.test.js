@@ -0,0 +1,64 @@
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { validateWatermarkOptions, applyWatermarks } = require('../src/watermark');
+
+// 1x1 transparent PNG
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const blankPdf = async (pages) => {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pages; i++) doc.addPage([595, 842]);
+  return Buffer.from(await doc.save());
+};
+
+// How many fonts or images each page draws with
+const pageResources = async (pdf, kind) => {
+  const doc = await PDFDocument.load(pdf);
+  return doc.getPages().map(page => {
+    const dict = page.node.Resources().lookup(PDFName.of(kind));
+    return dict ? dict.keys().length : 0;
+  });
+};
+
+describe('validateWatermarkOptions', () => {
+  test('accepts text and image overlays', () => {
+    expect(validateWatermarkOptions({})).toBeNull();
+    expect(validateWatermarkOptions({ watermark: { text: 'DRAFT', opacity: 0.1, color: '#ff0000' } })).toBeNull();
+    expect(validateWatermarkOptions({ watermark: [{ text: 'COPY' }, { image: PNG, position: 'bottom-right', pages: 'last' }] }))
+      .toBeNull();
+  });
+
+  test.each([
+    [[], /empty list/],
+    [{}, /exactly one of text or image/],
+    [{ text: 'A', image: PNG }, /exactly one of text or image/],
+    [{ text: 'Entwurf ✓' }, /Latin-1/],
+    [{ image: 'data:image/gif;base64,R0lG' }, /PNG or JPEG/],
+    [{ text: 'A', opacity: 2 }, /opacity/],
+    [{ text: 'A', position: 'middle' }, /position must be one of/],
+    [{ text: 'A', pages: 'odd' }, /pages must be one of/],
+    [{ text: 'A', color: 'red' }, /hex color/]
+  ])('rejects %j', (watermark, message) => {
+    expect(validateWatermarkOptions({ watermark })).toMatch(message);
+  });
+});
+
+describe('applyWatermarks', () => {
+  test('returns the PDF untouched without watermarks', async () => {
+    const pdf = await blankPdf(1);
+    await expect(applyWatermarks(pdf, {})).resolves.toBe(pdf);
+  });
+
+  test('draws text on the selected pages only', async () => {
+    const pdf = await blankPdf(3);
+    const marked = await applyWatermarks(pdf, { watermark: { text: 'DRAFT', pages: 'last' } });
+
+    expect(await pageResources(marked, 'Font')).toEqual([0, 0, 1]);
+  });
+
+  test('draws image stamps', async () => {
+    const pdf = await blankPdf(2);
+    const marked = await applyWatermarks(pdf, { watermark: { image: PNG, pages: 'first', width: 40 } });
+
+    expect(await pageResources(marked, 'XObject')).toEqual([1, 0]);
+  });
+});
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { signPayload, createWebhookSender } = require('../src/webhooks');
+
+describe('signPayload', () => {
+  test('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const body = JSON.stringify({ jobId: 'abc', status: 'completed' });
+    const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+
+    expect(signPayload('secret', 1700000000, body)).toBe(`sha256=${expected}`);
+  });
+
+  test('changes with the secret, timestamp and body', () => {
+    const signature = signPayload('secret', 1700000000, '{}');
+
+    expect(signPayload('other', 1700000000, '{}')).not.toBe(signature);
+    expect(signPayload('secret', 1700000001, '{}')).not.toBe(signature);
+    expect(signPayload('secret', 1700000000, '{ }')).not.toBe(signature);
+  });
+});
+
+describe('deliver', () => {
+  test('sends headers a receiver can verify', async () => {
+    const fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+    const { deliver } = createWebhookSender({ fetch });
+
+    await expect(deliver({ url: 'https://hooks.example/jobs', secret: 's3cret', payload: { jobId: 'abc' } })).resolves.toBe('delivered');
+
+    const [url, { headers, body }] = fetch.mock.calls[0];
+    expect(url).toBe('https://hooks.example/jobs');
+    expect(body).toBe('{"jobId":"abc"}');
+    expect(headers['X-Webhook-Signature']).toBe(signPayload('s3cret', headers['X-Webhook-Timestamp'], body));
+  });
+
+  test('re-signs each retry with a fresh timestamp under one delivery ID', async () => {
+    const fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: false, status: 503 })
+      .mockResolvedValueOnce({ ok: true, status: 200 });
+    const now = jest.spyOn(Date, 'now').mockReturnValueOnce(1700000000000).mockReturnValue(1700000005000);
+    const { deliver } = createWebhookSender({ fetch, sleep: async () => { } });
+
+    await expect(deliver({ url: 'https://hooks.example/jobs', secret: 's3cret', payload: {} })).resolves.toBe('delivered');
+    now.mockRestore();
+
+    const [first, second] = fetch.mock.calls.map(([, init]) => init.headers);
+    expect(second['X-Webhook-Id']).toBe(first['X-Webhook-Id']);
+    expect(first['X-Webhook-Timestamp']).toBe('1700000000');
+    expect(second['X-Webhook-Timestamp']).toBe('1700000005');
+    expect(second['X-Webhook-Signature']).toBe(signPayload('s3cret', '1700000005', '{}'));
+  });
+});